@@ -18,7 +18,9 @@ async function start () {
       schemes: ['http'],
       consumes: ['application/json', 'multipart/form-data'],
       produces: ['application/json']
-    }
+    },
+    // Document file properties as file inputs
+    transform: multipart.swaggerTransform
   })
 
   // Register Swagger UI
@@ -30,29 +32,12 @@ async function start () {
     }
   })
 
-  // Register multipart plugin with validation fix
+  // Register multipart plugin, validating forms against the route schemas
   await fastify.register(multipart, {
     limits: {
       fileSize: 1024 * 1024 * 10 // 10MB
     },
-    autoContentTypeParser: false
-  })
-
-  // Custom content type parser to prevent validation conflicts
-  fastify.addContentTypeParser('multipart/form-data', function (request, payload, done) {
-    done(null, payload)
-  })
-
-  // Custom validation bypass for multipart routes
-  fastify.setValidatorCompiler(({ schema, method, url, httpPart }) => {
-    return function validate (data) {
-      // Skip body validation for multipart routes
-      if (httpPart === 'body' && url && (url.includes('products') || url.includes('users') || url.includes('documents'))) {
-        return { value: data }
-      }
-      // Use default validation for other routes/parts
-      return { value: data }
-    }
+    validateBody: true
   })
 
   // Product upload with image
@@ -256,12 +241,9 @@ async function start () {
       }
     }
   }, async (request, reply) => {
+    // Only reached when title, type and file are present
     const { files, fields } = await request.parseMultipart()
 
-    if (files.length === 0) {
-      return reply.code(400).send({ error: 'No file uploaded' })
-    }
-
     const file = files[0]
     const tags = fields.tags ? fields.tags.split(',').map(t => t.trim()) : []
 
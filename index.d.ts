@@ -1,13 +1,15 @@
-import { FastifyPluginCallback, FastifyRequest } from 'fastify'
+import { FastifyPluginAsync, FastifyPluginCallback, FastifyReply, FastifyRequest } from 'fastify'
+import { EventEmitter } from 'events'
 import { Readable } from 'stream'
 
 declare module 'fastify' {
   interface FastifyRequest {
     /**
      * Parse multipart form data
+     * @param options Options overriding the route and plugin options for this call
      * @returns Promise containing files and fields
      */
-    parseMultipart(): Promise<MultipartParseResult>
+    parseMultipart(options?: MultipartRouteOptions): Promise<MultipartParseResult>
 
     /**
      * Get the first uploaded file
@@ -23,15 +25,29 @@ declare module 'fastify' {
 
     /**
      * Get async iterator for multipart parts
+     * @param options Options overriding the route and plugin options for this call
      * @returns Async generator of parts
      */
-    parts(): AsyncGenerator<MultipartPart, void, unknown>
+    parts(options?: MultipartRouteOptions): AsyncGenerator<MultipartPart, void, unknown>
 
     /**
      * Clean up temporary files
      * @param tempFiles Optional array of temp file paths
      */
     cleanupTempFiles(tempFiles?: string[]): Promise<void>
+
+    /**
+     * Emits `'progress'` with a `MultipartProgress` while the body is parsed.
+     * Listeners must be attached before parsing starts.
+     */
+    readonly uploadProgress: EventEmitter
+  }
+
+  interface FastifyContextConfig {
+    /**
+     * Multipart options for this route, merged over the plugin options
+     */
+    multipart?: MultipartRouteOptions
   }
 
   interface FastifyInstance {
@@ -44,6 +60,38 @@ declare module 'fastify' {
       FieldsLimit: () => Error
       InvalidMultipartContentType: () => Error
       InvalidPart: () => Error
+      FileTypeNotAllowed: (filename: string, fieldname: string) => Error
+      MimeMismatch: (declared: string, filename: string, detected: string) => Error
+      ImageDimensions: (filename: string, fieldname: string, reason: string) => Error
+      ArchiveEntriesLimit: (filename: string, fieldname: string, limit: number) => Error
+      ArchiveSizeLimit: (filename: string, fieldname: string, limit: number) => Error
+      ArchiveRatioLimit: (filename: string, fieldname: string, limit: number) => Error
+      UnsafeArchivePath: (filename: string, fieldname: string, entry: string) => Error
+      InvalidArchive: (filename: string, fieldname: string, reason: string) => Error
+      InvalidJsonField: (fieldname: string, reason: string) => Error
+      InvalidFieldName: (fieldname: string, reason: string) => Error
+      RequestAborted: () => Error
+      InfectedFile: (filename: string, fieldname: string, viruses: string) => Error
+      ScanFailed: (filename: string, reason: string) => Error
+      QuotaExceeded: (limit: number) => Error
+    }
+
+    /**
+     * Remove orphaned temp upload files from `tempDir`
+     * @returns Paths removed
+     */
+    multipartSweep(): Promise<string[]>
+
+    multipartMetrics: {
+      snapshot(): MultipartMetricsSnapshot
+      /**
+       * Metrics in the Prometheus text exposition format
+       */
+      prometheus(): string
+      /**
+       * Set every metric back to zero
+       */
+      reset(): void
     }
   }
 }
@@ -59,6 +107,16 @@ export interface MultipartFile {
    */
   filename: string
 
+  /**
+   * Filename safe to use on any file system
+   */
+  safeFilename: string
+
+  /**
+   * Path of the file inside the archive it was extracted from, with `expandArchives`
+   */
+  archivePath?: string
+
   /**
    * File encoding
    */
@@ -74,6 +132,21 @@ export interface MultipartFile {
    */
   readonly size: number
 
+  /**
+   * Stored file path (disk and directory storage)
+   */
+  path?: string
+
+  /**
+   * File content (memory storage)
+   */
+  buffer?: Buffer
+
+  /**
+   * Directory holding the file (directory storage)
+   */
+  destination?: string
+
   /**
    * Read file into buffer
    */
@@ -85,9 +158,238 @@ export interface MultipartFile {
   createReadStream(): Readable
 
   /**
-   * Internal temp file path
+   * Digests keyed by algorithm, when `hashAlgorithms` is configured
+   */
+  hashes?: Record<string, string>
+
+  /**
+   * MIME type detected from the file content, `null` when no signature matched
+   */
+  detectedMimeType?: string | null
+
+  /**
+   * Image metadata, `null` for files that are not images or whose header could not be read.
+   * Set unless `imageMetadata` is false and no image limit is set.
+   */
+  image?: ImageInfo | null
+
+  /**
+   * Entries of ZIP files when `inspectArchives` is set, `null` for other files
+   */
+  archive?: ArchiveInfo | null
+
+  /**
+   * Scanner verdict when a `scanner` is configured, `null` when the scan failed and `scanFailOpen` accepted the file
+   */
+  scan?: ScanResult | null
+
+  /**
+   * Internal temp file path, only set for temporary storage
+   */
+  _tempPath?: string
+
+  /**
+   * Info returned by the storage engine
+   */
+  _storage: StoredFileInfo
+
+  /**
+   * Additional properties returned by custom storage engines
+   */
+  [key: string]: unknown
+}
+
+export interface StorageFilePart {
+  fieldname: string
+  filename: string
+  safeFilename: string
+  encoding: string
+  mimetype: string
+  stream: Readable
+}
+
+export interface StoredFileInfo {
+  size?: number
+  path?: string
+  buffer?: Buffer
+  [key: string]: unknown
+}
+
+export interface StorageEngine {
+  /**
+   * Remove stored paths once the response is sent
+   */
+  temporary?: boolean
+
+  /**
+   * Consume `part.stream` and describe the stored file
+   */
+  _handleFile(part: StorageFilePart): Promise<StoredFileInfo>
+
+  /**
+   * Remove a stored file after a failed upload
+   */
+  _removeFile(info: StoredFileInfo): Promise<void> | void
+
+  /**
+   * Read a stored file back, for engines storing neither `path` nor `buffer`
+   */
+  _createReadStream?(info: StoredFileInfo): Readable
+}
+
+export interface ImageInfo {
+  width: number
+  height: number
+  format: 'png' | 'jpeg' | 'gif' | 'webp' | 'bmp' | 'avif' | 'heic' | 'heif'
+  /**
+   * Exif orientation (1 to 8), `null` when the file declares none
+   */
+  orientation: number | null
+}
+
+export interface ArchiveEntry {
+  name: string
+  /**
+   * Sizes declared by the central directory, in bytes
+   */
+  compressedSize: number
+  size: number
+}
+
+export interface ArchiveInfo {
+  entries: ArchiveEntry[]
+  totalUncompressed: number
+}
+
+export interface ScanResult {
+  infected: boolean
+  /**
+   * Names of the threats found
+   */
+  viruses: string[]
+}
+
+export interface ScannedFile {
+  fieldname: string
+  filename: string
+  encoding: string
+  mimetype: string
+}
+
+export interface Scanner {
+  /**
+   * Read `stream`, the bytes of the file as they are stored, and resolve with the verdict.
+   * Reject when the file could not be scanned.
+   */
+  scan(stream: Readable, file: ScannedFile): Promise<{ infected: boolean, viruses?: string[] }>
+}
+
+export interface ClamavScannerOptions {
+  /**
+   * clamd host (default: '127.0.0.1')
+   */
+  host?: string
+
+  /**
+   * clamd port (default: 3310)
+   */
+  port?: number
+
+  /**
+   * clamd unix socket, used instead of host and port
+   */
+  socketPath?: string | null
+
+  /**
+   * Milliseconds to wait for the connection, for clamd to read more of the file, and for the verdict once the file is sent (default: 10000)
+   */
+  timeout?: number
+
+  /**
+   * Largest chunk sent to clamd, in bytes (default: 65536)
+   */
+  chunkSize?: number
+}
+
+export interface QuotaStore {
+  /**
+   * Add `bytes` to the usage of `key` in its current window of `window` ms, atomically
+   * @returns Usage after the addition
+   */
+  increment(key: string, bytes: number, window: number): number | Promise<number>
+
+  /**
+   * Give `bytes` back
+   */
+  decrement(key: string, bytes: number, window: number): void | Promise<void>
+}
+
+export interface MemoryQuotaStore extends QuotaStore {
+  /**
+   * Bytes used by `key` in its current window
+   */
+  get(key: string): number
+}
+
+export interface QuotaOptions {
+  /**
+   * Key the request counts against, no quota applies when null or undefined
+   */
+  key: (request: FastifyRequest) => string | null | undefined | Promise<string | null | undefined>
+
+  /**
+   * Bytes each key may upload per window
+   */
+  limit: number
+
+  /**
+   * Window in milliseconds (default: 24 hours)
    */
-  _tempPath: string
+  window?: number
+
+  /**
+   * Store keeping the usage of each key (default: an in-memory store shared by the plugin instance)
+   */
+  store?: QuotaStore
+}
+
+export interface HistogramSnapshot {
+  /**
+   * Cumulative counts keyed by upper bound, '+Inf' included
+   */
+  buckets: Record<string, number>
+  sum: number
+  count: number
+}
+
+export interface MultipartMetricsSnapshot {
+  requests: { success: number, error: number }
+  /**
+   * Failed requests by error code
+   */
+  errors: Record<string, number>
+  filesPerRequest: HistogramSnapshot
+  fieldsPerRequest: HistogramSnapshot
+  /**
+   * Bytes per file
+   */
+  fileSize: HistogramSnapshot
+  /**
+   * Parse duration in seconds
+   */
+  duration: HistogramSnapshot
+}
+
+export interface DirectoryStorageOptions {
+  /**
+   * Target directory, or function of the part returning one
+   */
+  destination: string | ((part: StorageFilePart) => string | Promise<string>)
+
+  /**
+   * Stored file name (default: random UUID)
+   */
+  filename?: (part: StorageFilePart) => string | Promise<string>
 }
 
 export interface MultipartParseResult {
@@ -101,6 +403,11 @@ export interface MultipartParseResult {
    */
   fields: Record<string, string>
 
+  /**
+   * Content type and transfer encoding of each field, arrays for repeated names
+   */
+  fieldInfo: Record<string, MultipartFieldInfo | MultipartFieldInfo[]>
+
   /**
    * Array of temporary file paths for cleanup
    */
@@ -110,16 +417,77 @@ export interface MultipartParseResult {
 export interface MultipartFieldPart {
   type: 'field'
   fieldname: string
-  value: string
+
+  /**
+   * Field value, parsed for JSON parts when `parseJsonFields` is enabled
+   */
+  value: any
+  mimetype: string
+  /**
+   * Charset the value was decoded from, 'utf-8' unless the part declares one
+   */
+  charset: string
+  encoding: string
+}
+
+export interface MultipartFieldInfo {
+  mimetype: string
+  /**
+   * Charset the value was decoded from, 'utf-8' unless the part declares one
+   */
+  charset: string
+  encoding: string
 }
 
 export interface MultipartFilePart {
   type: 'file'
   fieldname: string
   filename: string
+  safeFilename: string
   encoding: string
   mimetype: string
+
+  /**
+   * Path of the file inside the archive it was extracted from, with `expandArchives`
+   */
+  archivePath?: string
+
+  /**
+   * File content, read with backpressure: read or pipe it before asking for the next part, or it is discarded
+   */
   stream: Readable
+
+  /**
+   * Bytes read from the stream so far
+   */
+  size: number
+
+  /**
+   * Type sniffed from the content, set once the start of the file has been read
+   */
+  detectedMimeType?: string | null
+
+  /**
+   * Image metadata, set once the start of the file has been read
+   */
+  image?: ImageInfo | null
+
+  /**
+   * ZIP entries, set once the whole file has been read when `inspectArchives` is set
+   */
+  archive?: ArchiveInfo | null
+
+  /**
+   * Resolves with digests keyed by algorithm once the stream ends, when `hashAlgorithms` is configured
+   */
+  digest?(): Promise<Record<string, string>>
+
+  /**
+   * Resolves with the verdict once the file has been scanned, when a `scanner` is configured.
+   * Rejects with `FST_MULTIPART_INFECTED_FILE`, or `FST_MULTIPART_SCAN_FAILED` unless `scanFailOpen` is set,
+   * the error `stream` fails with as well.
+   */
+  scan?(): Promise<ScanResult | null>
 }
 
 export type MultipartPart = MultipartFieldPart | MultipartFilePart
@@ -169,9 +537,363 @@ export interface MultipartOptions {
    * Auto register content type parser (default: true)
    */
   autoContentTypeParser?: boolean
+
+  /**
+   * Where uploaded files are stored (default: 'disk')
+   */
+  storage?: 'disk' | 'memory' | 'hybrid' | StorageEngine
+
+  /**
+   * Bytes kept in memory before 'hybrid' storage spills a file to disk (default: 64KB)
+   */
+  memoryThreshold?: number
+
+  /**
+   * Hash algorithms computed while files are received, e.g. ['sha256', 'md5'] (default: [])
+   */
+  hashAlgorithms?: string[]
+
+  /**
+   * Digest encoding (default: 'hex')
+   */
+  hashEncoding?: 'hex' | 'base64' | 'base64url'
+
+  /**
+   * Detect the real file type from its first bytes (default: true)
+   */
+  detectMimeType?: boolean
+
+  /**
+   * Reject files whose declared and detected types disagree (default: false)
+   */
+  rejectMimeMismatch?: boolean
+
+  /**
+   * Read the dimensions of images from their first bytes (default: true)
+   */
+  imageMetadata?: boolean
+
+  /**
+   * Minimum image width in pixels (default: none)
+   */
+  minWidth?: number | null
+
+  /**
+   * Maximum image width in pixels (default: none)
+   */
+  maxWidth?: number | null
+
+  /**
+   * Minimum image height in pixels (default: none)
+   */
+  minHeight?: number | null
+
+  /**
+   * Maximum image height in pixels (default: none)
+   */
+  maxHeight?: number | null
+
+  /**
+   * Maximum width x height of images, rejects decompression bombs (default: none)
+   */
+  maxPixels?: number | null
+
+  /**
+   * Read the central directory of ZIP files and enforce the archive limits (default: false)
+   */
+  inspectArchives?: boolean
+
+  /**
+   * Maximum number of entries in an archive (default: 1000)
+   */
+  maxArchiveEntries?: number | null
+
+  /**
+   * Maximum total uncompressed size of an archive in bytes (default: 1GB)
+   */
+  maxArchiveSize?: number | null
+
+  /**
+   * Maximum ratio of the total uncompressed size to the archive size (default: 100)
+   */
+  maxCompressionRatio?: number | null
+
+  /**
+   * Turn ZIP, tar and .tar.gz files into one file per entry, `limits.files` and `limits.fileSize` applying to each entry (default: false)
+   */
+  expandArchives?: boolean
+
+  /**
+   * Virus scanner seeing each file as it is stored (default: none)
+   */
+  scanner?: Scanner | null
+
+  /**
+   * Accept files the scanner failed to scan instead of rejecting the request (default: false)
+   */
+  scanFailOpen?: boolean
+
+  /**
+   * Upload quota per user or tenant, rejecting uploads crossing it with a 429 (default: none)
+   */
+  quota?: QuotaOptions | null
+
+  /**
+   * Bytes per second read from the body of each request (default: unlimited)
+   */
+  uploadRate?: number | null
+
+  /**
+   * Bytes per second read from the bodies of all requests together, a plugin option (default: unlimited)
+   */
+  totalUploadRate?: number | null
+
+  /**
+   * Path of a GET route serving the metrics in the Prometheus text format, a plugin option (default: none)
+   */
+  metricsRoute?: string | null
+
+  /**
+   * Allowed MIME types, globs such as 'image/*' are supported
+   */
+  allowedMimeTypes?: string[]
+
+  /**
+   * Allowed filename extensions, e.g. ['.png', 'jpg', '.tar.gz']
+   */
+  allowedExtensions?: string[]
+
+  /**
+   * Denied MIME types, checked after the allowlist
+   */
+  deniedMimeTypes?: string[]
+
+  /**
+   * Denied filename extensions, checked after the allowlist
+   */
+  deniedExtensions?: string[]
+
+  /**
+   * Type rules per fieldname, replacing the global rules they set
+   */
+  fieldRules?: Record<string, MultipartFileRules>
+
+  /**
+   * Custom sanitizer producing `safeFilename`, replacing the built-in one
+   */
+  sanitizeFilename?: ((filename: string, part: StorageFilePart) => string) | null
+
+  /**
+   * Maximum `safeFilename` length in UTF-8 bytes (default: 255)
+   */
+  maxFilenameLength?: number
+
+  /**
+   * Called with the upload progress while the body is parsed
+   */
+  onProgress?: ((progress: MultipartProgress, request: FastifyRequest) => void) | null
+
+  /**
+   * Minimum delay between two progress reports, in milliseconds (default: 100)
+   */
+  progressInterval?: number
+
+  /**
+   * Remove orphaned temp files from `tempDir` on start and every `sweepInterval` (default: false)
+   */
+  sweepTempFiles?: boolean
+
+  /**
+   * Delay between two sweeps in milliseconds (default: 15 minutes)
+   */
+  sweepInterval?: number
+
+  /**
+   * Temp files not modified for this long are swept, in milliseconds (default: 1 hour)
+   */
+  tempFileMaxAge?: number
+
+  /**
+   * Validate multipart forms against the route's `schema.body` (default: false)
+   */
+  validateBody?: boolean
+
+  /**
+   * Parse before validation and put the form on `request.body`: text fields as strings and
+   * files as file objects (`true`) or as Buffers (`'keyValues'`). A route `schema.body`
+   * validates the form as with `validateBody` (default: false)
+   */
+  attachFieldsToBody?: boolean | 'keyValues'
+
+  /**
+   * Build nested objects and arrays from `address[city]` (`'brackets'`) or `address.city` (`'dots'`)
+   * field names (default: null, names stay flat)
+   */
+  fieldNameParser?: 'brackets' | 'dots' | null
+
+  /**
+   * Maximum nesting depth of field names (default: 5)
+   */
+  maxFieldDepth?: number
+
+  /**
+   * Largest array index accepted in field names (default: 100)
+   */
+  maxArrayIndex?: number
+
+  /**
+   * Parse fields sent as `application/json` (or `*+json`) into values (default: false)
+   */
+  parseJsonFields?: boolean
+
+  /**
+   * Coerce fields to the types declared by the route's body schema, like Ajv's `coerceTypes` (default: false)
+   */
+  coerceFields?: boolean
+}
+
+export interface MultipartFileProgress {
+  fieldname: string
+  filename: string
+  bytesReceived: number
+  done: boolean
+}
+
+export interface MultipartProgress {
+  /**
+   * Bytes of the request body received so far
+   */
+  bytesReceived: number
+
+  /**
+   * Request content-length, null when unknown
+   */
+  bytesExpected: number | null
+
+  /**
+   * bytesReceived as a percentage of bytesExpected, null when unknown
+   */
+  percent: number | null
+
+  /**
+   * Fieldname of the part being received
+   */
+  fieldname: string | null
+
+  files: MultipartFileProgress[]
+}
+
+export interface MultipartFileRules {
+  allowedMimeTypes?: string[]
+  allowedExtensions?: string[]
+  deniedMimeTypes?: string[]
+  deniedExtensions?: string[]
+}
+
+/**
+ * Options that can be overridden per route (`config.multipart`) or per call
+ */
+export type MultipartRouteOptions = Omit<MultipartOptions, 'autoContentTypeParser' | 'totalUploadRate' | 'metricsRoute'>
+
+type FastifyMultipartPlugin = FastifyPluginCallback<MultipartOptions> & {
+  diskStorage(options: { tempDir: string, tempFiles?: Set<string> }): StorageEngine
+  memoryStorage(): StorageEngine
+  hybridStorage(options: { tempDir: string, threshold: number, tempFiles?: Set<string> }): StorageEngine
+  directoryStorage(options: DirectoryStorageOptions): StorageEngine
+  sanitizeFilename(filename: string, options?: SanitizeFilenameOptions): string
+  tus: FastifyPluginAsync<TusOptions>
+  clamavScanner(options?: ClamavScannerOptions): Scanner
+  memoryQuotaStore(): MemoryQuotaStore
+  swaggerTransform(options: SwaggerTransformOptions): { schema: any, url: string }
+  swaggerTransformObject(options: SwaggerTransformObjectOptions): any
+}
+
+declare const fastifyMultipart: FastifyMultipartPlugin
+
+export interface SanitizeFilenameOptions {
+  /**
+   * Maximum length in UTF-8 bytes (default: 255)
+   */
+  maxLength?: number
+
+  /**
+   * Replacement for illegal characters (default: '_')
+   */
+  replacement?: string
+}
+
+export interface TusFile extends MultipartFile {
+  /**
+   * Upload id, the last segment of the upload URL
+   */
+  id: string
+
+  /**
+   * Decoded Upload-Metadata sent on creation
+   */
+  metadata: Record<string, string>
+}
+
+export interface TusOptions {
+  /**
+   * Directory holding uploads in progress (default: os.tmpdir())
+   */
+  tempDir?: string
+
+  /**
+   * Maximum Upload-Length in bytes (default: unlimited)
+   */
+  maxSize?: number | null
+
+  /**
+   * Milliseconds after the last write an upload is removed, complete or not.
+   * `null` keeps uploads until they are terminated (default: 24h)
+   */
+  expireAfter?: number | null
+
+  /**
+   * Called once all bytes of an upload have been received. The file stays in
+   * `tempDir` until it expires or is terminated: move it away to keep it.
+   * When it throws, the client completes the upload again by retrying its last request.
+   */
+  onComplete?: (file: TusFile, request: FastifyRequest, reply: FastifyReply) => void | Promise<void>
+}
+
+export interface SwaggerTransformOptions {
+  /**
+   * Route schema
+   */
+  schema?: any
+  url: string
+  route?: any
+  openapiObject?: any
+  /**
+   * Set when generating a Swagger 2 document
+   */
+  swaggerObject?: any
+}
+
+export interface SwaggerTransformObjectOptions {
+  openapiObject?: any
+  swaggerObject?: any
 }
 
-declare const fastifyMultipart: FastifyPluginCallback<MultipartOptions>
+export declare const tus: FastifyPluginAsync<TusOptions>
+export declare function clamavScanner(options?: ClamavScannerOptions): Scanner
+export declare function memoryQuotaStore(): MemoryQuotaStore
+/**
+ * `transform` for @fastify/swagger documenting multipart routes
+ */
+export declare function swaggerTransform(options: SwaggerTransformOptions): { schema: any, url: string }
+/**
+ * `transformObject` for @fastify/swagger, adding the `encoding` of multipart request bodies
+ */
+export declare function swaggerTransformObject(options: SwaggerTransformObjectOptions): any
+export declare function sanitizeFilename(filename: string, options?: SanitizeFilenameOptions): string
+export declare function diskStorage(options: { tempDir: string, tempFiles?: Set<string> }): StorageEngine
+export declare function memoryStorage(): StorageEngine
+export declare function hybridStorage(options: { tempDir: string, threshold: number, tempFiles?: Set<string> }): StorageEngine
+export declare function directoryStorage(options: DirectoryStorageOptions): StorageEngine
 
 export default fastifyMultipart
 export { fastifyMultipart }
\ No newline at end of file
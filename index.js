@@ -3,19 +3,65 @@
 const fp = require('fastify-plugin')
 const busboy = require('busboy')
 const fs = require('fs')
-const path = require('path')
 const os = require('os')
-const { PassThrough } = require('stream')
+const { EventEmitter } = require('events')
+const { Transform, pipeline } = require('stream')
 const createError = require('@fastify/error')
+const { getBodySchema, buildValidationBody } = require('./lib/schema')
+const { buildBody } = require('./lib/body')
+const { coerceFields } = require('./lib/coerce')
+const { createFieldNameParser, setValue, appendValue } = require('./lib/fieldnames')
+const { validateHashOptions, createHasher } = require('./lib/hash')
+const { detectMimeType, isMimeMismatch, createSniffer } = require('./lib/sniff')
+const { createImageProbe, checkImageLimits, hasImageLimits } = require('./lib/image')
+const { createArchiveProbe, checkArchiveLimits } = require('./lib/archive')
+const { createArchiveExpander, getExpandLimits } = require('./lib/expand')
+const { createFileFilters } = require('./lib/filter')
+const { sanitizeFilename } = require('./lib/filename')
+const { createProgressTracker } = require('./lib/progress')
+const { sweepTempFiles } = require('./lib/sweeper')
+const { validateScanner, startScan } = require('./lib/scanner')
+const { DAY, validateQuota, memoryQuotaStore, createQuotaLease } = require('./lib/quota')
+const { createTokenBucket, createThrottle } = require('./lib/throttle')
+const { createMetrics } = require('./lib/metrics')
+const { createCharsetReader } = require('./lib/charset')
+const { clamavScanner } = require('./lib/clamav')
+const { tusPlugin } = require('./lib/tus')
+const { swaggerTransform, swaggerTransformObject } = require('./lib/swagger')
+const { diskStorage, memoryStorage, hybridStorage, directoryStorage, getStorage, createFile } = require('./lib/storage')
 
 const kMultipart = Symbol('multipart')
 const kTempFiles = Symbol('tempFiles')
+const kPayload = Symbol('multipartPayload')
+const kProgress = Symbol('multipartProgress')
 
 const FileSizeLimit = createError('FST_MULTIPART_FILE_SIZE_LIMIT', 'File size limit exceeded: %s', 413)
 const FilesLimit = createError('FST_MULTIPART_FILES_LIMIT', 'Too many files', 413)
 const FieldsLimit = createError('FST_MULTIPART_FIELDS_LIMIT', 'Too many fields', 413)
 const InvalidMultipartContentType = createError('FST_MULTIPART_INVALID_CONTENT_TYPE', 'Invalid multipart content type', 400)
 const InvalidPart = createError('FST_MULTIPART_INVALID_PART', 'Invalid multipart part', 400)
+const FileTypeNotAllowed = createError('FST_MULTIPART_FILE_TYPE_NOT_ALLOWED', 'File "%s" in field "%s" is not an allowed type', 415)
+const MimeMismatch = createError('FST_MULTIPART_MIME_MISMATCH', 'Declared type %s of file "%s" does not match its content (%s)', 415)
+const ImageDimensions = createError('FST_MULTIPART_IMAGE_DIMENSIONS', 'Image "%s" in field "%s" is not accepted: %s', 422)
+const ArchiveEntriesLimit = createError('FST_MULTIPART_ARCHIVE_ENTRIES_LIMIT', 'Archive "%s" in field "%s" has more than %s entries', 413)
+const ArchiveSizeLimit = createError('FST_MULTIPART_ARCHIVE_SIZE_LIMIT', 'Archive "%s" in field "%s" expands to more than %s bytes', 413)
+const ArchiveRatioLimit = createError('FST_MULTIPART_ARCHIVE_RATIO_LIMIT', 'Archive "%s" in field "%s" exceeds the compression ratio of %s', 413)
+const UnsafeArchivePath = createError('FST_MULTIPART_UNSAFE_ARCHIVE_PATH', 'Archive "%s" in field "%s" contains an unsafe path: %s', 422)
+const InvalidArchive = createError('FST_MULTIPART_INVALID_ARCHIVE', 'Archive "%s" in field "%s" could not be read: %s', 422)
+const InvalidJsonField = createError('FST_MULTIPART_INVALID_JSON_FIELD', 'Invalid JSON in field "%s": %s', 400)
+const InvalidFieldName = createError('FST_MULTIPART_INVALID_FIELD_NAME', 'Invalid field name "%s": %s', 400)
+const RequestAborted = createError('FST_MULTIPART_REQUEST_ABORTED', 'Request aborted before the multipart body was received', 400)
+const InfectedFile = createError('FST_MULTIPART_INFECTED_FILE', 'File "%s" in field "%s" is infected: %s', 422)
+const ScanFailed = createError('FST_MULTIPART_SCAN_FAILED', 'File "%s" could not be scanned: %s', 503)
+const QuotaExceeded = createError('FST_MULTIPART_QUOTA_EXCEEDED', 'Upload quota of %s bytes exceeded', 429)
+
+// Archive limit reported by checkArchiveLimits() to the error rejecting the file
+const archiveErrors = {
+  entries: ArchiveEntriesLimit,
+  path: UnsafeArchivePath,
+  size: ArchiveSizeLimit,
+  ratio: ArchiveRatioLimit
+}
 
 async function multipartPlugin (fastify, options) {
   const defaults = {
@@ -28,156 +74,590 @@ async function multipartPlugin (fastify, options) {
       headerPairs: 2000
     },
     tempDir: os.tmpdir(),
-    autoContentTypeParser: true
+    autoContentTypeParser: true,
+    validateBody: false,
+    attachFieldsToBody: false,
+    fieldNameParser: null,
+    maxFieldDepth: 5,
+    maxArrayIndex: 100,
+    parseJsonFields: false,
+    coerceFields: false,
+    storage: 'disk',
+    memoryThreshold: 1024 * 64, // 64KB, for 'hybrid' storage
+    hashAlgorithms: [],
+    hashEncoding: 'hex',
+    detectMimeType: true,
+    rejectMimeMismatch: false,
+    imageMetadata: true,
+    minWidth: null,
+    maxWidth: null,
+    minHeight: null,
+    maxHeight: null,
+    maxPixels: null,
+    inspectArchives: false,
+    maxArchiveEntries: 1000,
+    maxArchiveSize: 1024 * 1024 * 1024, // 1GB uncompressed
+    maxCompressionRatio: 100,
+    expandArchives: false,
+    scanner: null,
+    scanFailOpen: false,
+    quota: null,
+    uploadRate: null,
+    totalUploadRate: null,
+    metricsRoute: null,
+    sanitizeFilename: null,
+    maxFilenameLength: 255,
+    onProgress: null,
+    progressInterval: 100,
+    sweepTempFiles: false,
+    sweepInterval: 1000 * 60 * 15, // 15 minutes
+    tempFileMaxAge: 1000 * 60 * 60 // 1 hour
   }
 
-  const config = {
-    ...defaults,
-    ...options,
-    limits: {
-      ...defaults.limits,
-      ...(options.limits || {})
+  const config = mergeOptions(defaults, options)
+
+  // Fail fast on invalid storage engine, hash, scanner or body options
+  getStorage(config.storage, config)
+  validateHashOptions(config.hashAlgorithms, config.hashEncoding)
+  validateScanner(config.scanner)
+  validateQuota(config.quota)
+  for (const name of ['uploadRate', 'totalUploadRate']) {
+    if (config[name] !== null && !(typeof config[name] === 'number' && config[name] > 0)) {
+      throw new TypeError(`${name} must be a positive number of bytes per second`)
+    }
+  }
+  if (![true, false, 'keyValues'].includes(config.attachFieldsToBody)) {
+    throw new TypeError('attachFieldsToBody must be true, false or "keyValues"')
+  }
+  getFieldNameParser(config)
+
+  // Usage of quotas configured without a store
+  const defaultQuotaStore = memoryQuotaStore()
+
+  // Shared by all in-flight uploads
+  const totalUploadBucket = config.totalUploadRate ? createTokenBucket(config.totalUploadRate) : null
+
+  const metrics = createMetrics()
+
+  // Temp files being written or held by in-flight requests, never swept
+  const activeTempFiles = new Set()
+
+  // Directories the sweeper goes through: the plugin's, and those set per route or per call
+  const tempDirs = new Set([config.tempDir])
+  fastify.addHook('onRoute', (routeOptions) => {
+    const routeConfig = routeOptions.config && routeOptions.config.multipart
+    if (routeConfig && routeConfig.tempDir) {
+      tempDirs.add(routeConfig.tempDir)
     }
+  })
+
+  // Route-level `config.multipart` and per-call options override the plugin options
+  function resolveOptions (request, overrides) {
+    const routeConfig = request.routeOptions.config
+    return mergeOptions(config, routeConfig && routeConfig.multipart, overrides)
+  }
+
+  // Parser of `address[city]` / `address.city` names, null when fields stay flat
+  function getFieldNameParser (settings) {
+    if (!settings.fieldNameParser) {
+      return null
+    }
+    return createFieldNameParser({
+      mode: settings.fieldNameParser,
+      maxDepth: settings.maxFieldDepth,
+      maxArrayIndex: settings.maxArrayIndex
+    })
+  }
+
+  // A custom `sanitizeFilename` option replaces the built-in sanitizer
+  function getSafeFilename (settings, part) {
+    if (typeof settings.sanitizeFilename === 'function') {
+      return settings.sanitizeFilename(part.filename, part)
+    }
+    return sanitizeFilename(part.filename, { maxLength: settings.maxFilenameLength })
+  }
+
+  // Detect the real type of a file from its first bytes, held back until then, and
+  // check it against the file rules and the declared type
+  function createTypeCheck (settings, part, accepts) {
+    if (!settings.detectMimeType && !settings.rejectMimeMismatch) {
+      return null
+    }
+    part.detectedMimeType = null
+    return createSniffer((sample) => {
+      part.detectedMimeType = detectMimeType(sample)
+      if (accepts && part.detectedMimeType && !accepts(part.detectedMimeType, part.filename)) {
+        throw new FileTypeNotAllowed(part.filename, part.fieldname)
+      }
+      if (settings.rejectMimeMismatch && isMimeMismatch(part.mimetype, part.detectedMimeType)) {
+        throw new MimeMismatch(part.mimetype, part.filename, part.detectedMimeType || 'unknown')
+      }
+    })
+  }
+
+  // Read image metadata from the first bytes of a file, rejecting images outside the dimension limits
+  function createImageObserver (settings, part) {
+    const limited = hasImageLimits(settings)
+    if (!settings.imageMetadata && !limited) {
+      return null
+    }
+    part.image = null
+    return createImageProbe((image, format) => {
+      part.image = image
+      const reason = limited && format && checkImageLimits(image, settings)
+      if (reason) {
+        throw new ImageDimensions(part.filename, part.fieldname, reason)
+      }
+    })
+  }
+
+  // busboy, wrapped to emit the entries of archives as files with `expandArchives`.
+  // Field infos get the `charset` their value was decoded from.
+  function createPartParser (request, settings) {
+    const limits = settings.expandArchives ? getExpandLimits(settings.limits) : settings.limits
+    const bb = busboy({ headers: request.headers, limits })
+
+    const charsets = createCharsetReader(request.headers['content-type'])
+    request.raw.on('data', (chunk) => charsets.push(chunk))
+    bb.prependListener('field', (fieldname, value, info) => {
+      info.charset = charsets.next()
+    })
+
+    if (!settings.expandArchives) {
+      return { bb, parser: bb }
+    }
+    const parser = createArchiveExpander(bb, {
+      limits: settings.limits,
+      errors: { FileSizeLimit, InvalidArchive, UnsafeArchivePath }
+    })
+    return { bb, parser }
+  }
+
+  // Pipe the request body into busboy, at the pace of the upload rates when they are set.
+  // Returns a function stopping the flow.
+  function pipeBody (request, bb, settings) {
+    const buckets = []
+    if (settings.uploadRate) {
+      buckets.push(createTokenBucket(settings.uploadRate))
+    }
+    if (totalUploadBucket) {
+      buckets.push(totalUploadBucket)
+    }
+    if (buckets.length === 0) {
+      request.raw.pipe(bb)
+      return () => request.raw.unpipe(bb)
+    }
+    const throttle = createThrottle(buckets)
+    request.raw.pipe(throttle).pipe(bb)
+    return () => {
+      request.raw.unpipe(throttle)
+      throttle.unpipe(bb)
+      throttle.destroy()
+    }
+  }
+
+  // Count the bytes of the files of a request against its quota, null without quota
+  function createRequestQuota (request, settings) {
+    if (!settings.quota) {
+      return null
+    }
+    const quota = { window: DAY, store: defaultQuotaStore, ...settings.quota }
+    const lease = createQuotaLease(quota, request, () => new QuotaExceeded(quota.limit))
+    return {
+      meter: lease.meter,
+      release (succeeded) {
+        lease.release(succeeded).catch((err) => {
+          request.log.warn({ err }, 'Failed to release upload quota')
+        })
+      }
+    }
+  }
+
+  // Read the central directory of ZIP files once they have streamed by, rejecting archive bombs
+  function createArchiveObserver (settings, part) {
+    if (!settings.inspectArchives) {
+      return null
+    }
+    part.archive = null
+    return createArchiveProbe((archive, error, size) => {
+      if (error) {
+        throw new InvalidArchive(part.filename, part.fieldname, error.message)
+      }
+      const exceeded = checkArchiveLimits(archive, size, settings)
+      if (exceeded) {
+        const ArchiveError = archiveErrors[exceeded.limit]
+        throw new ArchiveError(part.filename, part.fieldname, exceeded.value)
+      }
+      part.archive = { entries: archive.entries, totalUncompressed: archive.totalUncompressed }
+    })
+  }
+
+  // Turn the verdict of a scan into the error rejecting the file, if any
+  function getScanError (request, settings, part, verdict) {
+    if (verdict.error) {
+      if (settings.scanFailOpen) {
+        request.log.warn({ err: verdict.error, filename: part.filename }, 'Virus scan failed, file accepted unscanned')
+        return null
+      }
+      return new ScanFailed(part.filename, verdict.error.message)
+    }
+    if (verdict.result.infected) {
+      const viruses = verdict.result.viruses.join(', ') || 'unknown threat'
+      request.log.warn({ filename: part.filename, viruses: verdict.result.viruses }, 'Infected file rejected')
+      return new InfectedFile(part.filename, part.fieldname, viruses)
+    }
+    return null
+  }
+
+  // Report progress to `onProgress` and to `request.uploadProgress` listeners, if any
+  function createRequestProgress (request, settings) {
+    const emitter = request[kProgress]
+    if (!settings.onProgress && !(emitter && emitter.listenerCount('progress') > 0)) {
+      return null
+    }
+
+    const length = Number(request.headers['content-length'])
+    const progress = createProgressTracker({
+      bytesExpected: Number.isFinite(length) ? length : null,
+      interval: settings.progressInterval,
+      onProgress (snapshot) {
+        try {
+          if (settings.onProgress) {
+            settings.onProgress(snapshot, request)
+          }
+          if (emitter) {
+            emitter.emit('progress', snapshot)
+          }
+        } catch (err) {
+          request.log.error({ err }, 'multipart progress listener failed')
+        }
+      }
+    })
+    request.raw.on('data', (chunk) => progress.received(chunk.length))
+    return progress
   }
 
   fastify.decorateRequest(kMultipart, null)
   fastify.decorateRequest(kTempFiles, null)
+  fastify.decorateRequest(kPayload, null)
+  fastify.decorateRequest(kProgress, null)
 
-  fastify.decorateRequest('parseMultipart', function () {
+  // Emits 'progress' while the body is parsed, created on first access
+  fastify.decorateRequest('uploadProgress', {
+    getter () {
+      if (!this[kProgress]) {
+        this[kProgress] = new EventEmitter()
+      }
+      return this[kProgress]
+    }
+  })
+
+  fastify.decorateRequest('parseMultipart', function (overrides) {
     const request = this
 
+    // The body may already have been parsed for schema validation
+    if (request[kMultipart]) {
+      return Promise.resolve(request[kMultipart])
+    }
+
+    const settings = resolveOptions(request, overrides)
+    const measure = metrics.startRequest()
+
     return new Promise((resolve, reject) => {
       if (!request.headers['content-type']?.includes('multipart/form-data')) {
-        return reject(new InvalidMultipartContentType())
+        const err = new InvalidMultipartContentType()
+        measure.end(err)
+        return reject(err)
       }
 
-      const bb = busboy({
-        headers: request.headers,
-        limits: config.limits
-      })
+      const { bb, parser } = createPartParser(request, settings)
 
+      const storage = getStorage(settings.storage, settings, activeTempFiles)
+      if (storage.temporary) {
+        tempDirs.add(settings.tempDir)
+      }
+      const progress = createRequestProgress(request, settings)
+      const quota = createRequestQuota(request, settings)
+      const parseFieldName = getFieldNameParser(settings)
+      const getFileFilter = createFileFilters(settings)
       const files = []
       const fields = {}
+      const fieldInfo = {}
+      // Shape of the nested body, files included, to catch conflicting names as they arrive
+      const layout = {}
       const tempFiles = []
       let pendingFiles = 0
       let finished = false
+      let settled = false
+      let stopBody = null
+
+      // Stop parsing if the client disconnects: destroying busboy fails the file
+      // streams in flight, so storage engines remove what they partially wrote
+      const unwatch = watchAbort(request.raw, () => {
+        const err = new RequestAborted()
+        fail(err)
+        stopBody()
+        bb.destroy(err)
+      })
+
+      function done () {
+        if (settled || !finished || pendingFiles > 0) {
+          return
+        }
+        settled = true
+        unwatch()
+        if (progress) {
+          progress.finish()
+        }
+        if (quota) {
+          quota.release(true)
+        }
+        // Coerce fields to the types declared by the route's body schema
+        const schema = settings.coerceFields ? getBodySchema(request.routeOptions.schema) : null
+        const result = {
+          files,
+          fields: schema ? coerceFields(fields, schema) : fields,
+          fieldInfo,
+          _tempFiles: tempFiles
+        }
+        request[kMultipart] = result
+        request[kTempFiles] = tempFiles
+        measure.end(null)
+        resolve(result)
+      }
+
+      function fail (err) {
+        if (settled) {
+          return
+        }
+        settled = true
+        unwatch()
+        if (progress) {
+          progress.stop()
+        }
+        // Bytes of failed uploads do not count against the quota
+        if (quota) {
+          quota.release(false)
+        }
+        // Remove what has been stored so far, files still being stored are removed when they settle
+        for (const file of files) {
+          activeTempFiles.delete(file._tempPath)
+          removeStoredFile(storage, file._storage)
+        }
+        measure.end(err)
+        reject(err)
+      }
+
+      // Resolve where a nested field name goes, failing on invalid or conflicting names
+      function resolveFieldName (fieldname) {
+        let path
+        try {
+          path = parseFieldName(fieldname)
+        } catch (err) {
+          fail(new InvalidFieldName(fieldname, err.message))
+          return null
+        }
+        const conflict = setValue(layout, path, true)
+        if (conflict) {
+          fail(new InvalidFieldName(fieldname, conflict))
+          return null
+        }
+        return path
+      }
 
       // Handle file fields
-      bb.on('file', (fieldname, file, info) => {
-        pendingFiles++
+      parser.on('file', (fieldname, stream, info) => {
+        // The request already failed: do not store the parts that follow
+        if (settled) {
+          stream.resume()
+          return
+        }
+        if (parseFieldName && !resolveFieldName(fieldname)) {
+          stream.resume()
+          return
+        }
 
         // Extract filename, encoding, mimeType from info object
-        const filename = info.filename || 'unnamed'
-        const encoding = info.encoding || '7bit'
-        const mimetype = info.mimeType || 'application/octet-stream'
-
-        // Create temp directory if it doesn't exist
-        if (!fs.existsSync(config.tempDir)) {
-          fs.mkdirSync(config.tempDir, { recursive: true })
+        const part = {
+          fieldname,
+          filename: info.filename || 'unnamed',
+          encoding: info.encoding || '7bit',
+          mimetype: info.mimeType || 'application/octet-stream',
+          stream
+        }
+        if (info.archivePath) {
+          part.archivePath = info.archivePath
         }
+        part.safeFilename = getSafeFilename(settings, part)
 
-        const tempFilePath = path.join(config.tempDir, `upload_${Date.now()}_${Math.random().toString(36).substring(7)}`)
-        const writeStream = fs.createWriteStream(tempFilePath)
+        // Reject disallowed types before any byte is written
+        const accepts = getFileFilter(fieldname)
+        if (accepts && !accepts(part.mimetype, part.filename)) {
+          stream.resume()
+          fail(new FileTypeNotAllowed(part.filename, fieldname))
+          return
+        }
 
-        tempFiles.push(tempFilePath)
+        pendingFiles++
 
         // Check for truncated files (size limit exceeded)
-        file.on('limit', () => {
-          writeStream.destroy()
-          reject(new FileSizeLimit(`File size exceeds limit of ${config.limits.fileSize} bytes`))
+        stream.on('limit', () => {
+          fail(new FileSizeLimit(`File size exceeds limit of ${settings.limits.fileSize} bytes`))
         })
 
-        // Pipe file to writeStream
-        file.pipe(writeStream)
-
-        writeStream.on('finish', () => {
-          const fileObj = {
-            fieldname,
-            filename,
-            encoding,
-            mimetype,
-
-            // Method to read file as buffer
-            async toBuffer () {
-              return fs.promises.readFile(tempFilePath)
-            },
-
-            // Method to create read stream
-            createReadStream () {
-              return fs.createReadStream(tempFilePath)
-            },
-
-            // File size getter
-            get size () {
-              try {
-                return fs.statSync(tempFilePath).size
-              } catch {
-                return 0
-              }
-            },
-
-            // Temporary file path (for cleanup)
-            _tempPath: tempFilePath
-          }
+        // Transforms the file goes through on its way to the storage engine
+        const transforms = []
 
-          files.push(fileObj)
-          pendingFiles--
+        if (quota) {
+          transforms.push(quota.meter())
+        }
 
-          // If all files are done and busboy is finished, resolve
-          if (pendingFiles === 0 && finished) {
-            const result = { files, fields, _tempFiles: tempFiles }
-            request[kMultipart] = result
-            request[kTempFiles] = tempFiles
-            resolve(result)
-          }
-        })
+        const fileProgress = progress && progress.file(fieldname, part.filename)
+        if (fileProgress) {
+          transforms.push(createObserver((chunk) => fileProgress.received(chunk.length)))
+        }
+
+        const typeCheck = createTypeCheck(settings, part, accepts)
+        if (typeCheck) {
+          transforms.push(typeCheck)
+        }
+
+        const imageProbe = createImageObserver(settings, part)
+        if (imageProbe) {
+          transforms.push(imageProbe)
+        }
 
-        writeStream.on('error', reject)
+        const archiveProbe = createArchiveObserver(settings, part)
+        if (archiveProbe) {
+          transforms.push(archiveProbe)
+        }
+
+        const hasher = settings.hashAlgorithms.length > 0
+          ? createHasher(settings.hashAlgorithms, settings.hashEncoding)
+          : null
+        if (hasher) {
+          transforms.push(createObserver((chunk) => hasher.update(chunk)))
+        }
+
+        // The scanner sees the bytes the storage engine writes
+        const scan = settings.scanner ? startScan(settings.scanner, part) : null
+        if (scan) {
+          transforms.push(scan.tee)
+        }
+
+        if (transforms.length > 0) {
+          // Errors on the source destroy the transforms, so storage engines see them
+          part.stream = pipeline(stream, ...transforms, () => {})
+        }
+
+        Promise.resolve()
+          .then(() => storage._handleFile(part))
+          .then(async (stored) => {
+            // Files are only accepted once the scanner cleared them
+            const verdict = scan ? await scan.verdict : null
+            pendingFiles--
+            if (settled) {
+              removeStoredFile(storage, stored)
+              return
+            }
+            const scanError = verdict && getScanError(request, settings, part, verdict)
+            if (scanError) {
+              removeStoredFile(storage, stored)
+              fail(scanError)
+              return
+            }
+            if (storage.temporary && stored.path) {
+              tempFiles.push(stored.path)
+              activeTempFiles.add(stored.path)
+            }
+            const file = createFile(part, stored, storage)
+            if (part.archivePath) {
+              file.archivePath = part.archivePath
+            }
+            if (settings.detectMimeType || settings.rejectMimeMismatch) {
+              file.detectedMimeType = part.detectedMimeType
+            }
+            if (hasher) {
+              file.hashes = hasher.digest()
+            }
+            if (imageProbe) {
+              file.image = part.image
+            }
+            if (archiveProbe) {
+              file.archive = part.archive
+            }
+            if (verdict) {
+              file.scan = verdict.result || null
+            }
+            if (fileProgress) {
+              fileProgress.end()
+            }
+            measure.file(file.size)
+            files.push(file)
+
+            // If all files are done and busboy is finished, resolve
+            done()
+          }, (err) => {
+            pendingFiles--
+            stream.resume()
+            fail(err)
+          })
       })
 
       // Handle text fields - store as plain strings
-      bb.on('field', (fieldname, value) => {
-        if (fields[fieldname]) {
-          // Handle multiple values for same field name
-          if (!Array.isArray(fields[fieldname])) {
-            fields[fieldname] = [fields[fieldname]]
+      parser.on('field', (fieldname, rawValue, info) => {
+        if (progress) {
+          progress.field(fieldname)
+        }
+        measure.field()
+
+        let value
+        try {
+          value = parseFieldValue(settings, fieldname, rawValue, info)
+        } catch (err) {
+          fail(err)
+          return
+        }
+
+        appendValue(fieldInfo, fieldname, { mimetype: info.mimeType, charset: info.charset, encoding: info.encoding })
+        if (parseFieldName) {
+          const path = resolveFieldName(fieldname)
+          if (path) {
+            setValue(fields, path, value)
           }
-          fields[fieldname].push(value)
         } else {
-          fields[fieldname] = value
+          // Repeated names turn into arrays
+          appendValue(fields, fieldname, value)
         }
       })
 
-      bb.on('finish', () => {
+      parser.on('finish', () => {
         finished = true
 
         // If no pending files, resolve immediately
-        if (pendingFiles === 0) {
-          const result = { files, fields, _tempFiles: tempFiles }
-          request[kMultipart] = result
-          request[kTempFiles] = tempFiles
-          resolve(result)
-        }
+        done()
       })
 
-      bb.on('filesLimit', () => {
-        reject(new FilesLimit())
+      parser.on('filesLimit', () => {
+        fail(new FilesLimit())
       })
 
-      bb.on('fieldsLimit', () => {
-        reject(new FieldsLimit())
+      parser.on('fieldsLimit', () => {
+        fail(new FieldsLimit())
       })
 
-      bb.on('error', (err) => {
-        if (err.message && err.message.includes('File size limit exceeded')) {
-          reject(new FileSizeLimit(err.message))
+      parser.on('error', (err) => {
+        if (err instanceof FileSizeLimit) {
+          fail(err)
+        } else if (err.message && err.message.includes('File size limit exceeded')) {
+          fail(new FileSizeLimit(err.message))
         } else {
-          reject(err)
+          fail(err)
         }
       })
 
       // Pipe request to busboy
-      request.raw.pipe(bb)
+      stopBody = pipeBody(request, bb, settings)
     })
   })
 
@@ -197,121 +677,264 @@ async function multipartPlugin (fastify, options) {
     throw new Error('Multipart data not parsed. Call parseMultipart() first.')
   })
 
-  fastify.decorateRequest('parts', async function * () {
-    const contentType = this.headers['content-type']
+  fastify.decorateRequest('parts', async function * (overrides) {
+    const request = this
+    const settings = resolveOptions(request, overrides)
+    const measure = metrics.startRequest()
+    const contentType = request.headers['content-type']
     if (!contentType || !contentType.includes('multipart/form-data')) {
-      throw new InvalidMultipartContentType()
+      const err = new InvalidMultipartContentType()
+      measure.end(err)
+      throw err
     }
 
-    const bb = busboy({
-      headers: this.headers,
-      limits: config.limits
-    })
+    const { bb, parser } = createPartParser(request, settings)
+
+    const progress = createRequestProgress(request, settings)
+    const quota = createRequestQuota(request, settings)
+    const getFileFilter = createFileFilters(settings)
 
-    const parts = []
+    // Parts waiting to be consumed. busboy does not emit the next part before the
+    // current file stream has been read, so this holds at most one file.
+    const queue = []
+    let wakeUp = null
+    let current = null
     let finished = false
     let error = null
 
-    bb.on('file', (fieldname, stream, info) => {
-      // Create PassThrough stream to avoid consuming the original
-      const passThrough = new PassThrough()
-      let fileSize = 0
-
-      stream.on('data', (chunk) => {
-        fileSize += chunk.length
-        if (config.limits.fileSize && fileSize > config.limits.fileSize) {
-          stream.destroy(new FileSizeLimit(`${fileSize} bytes`))
-          error = new FileSizeLimit(`${fileSize} bytes`)
-          finished = true
-          return
-        }
-        passThrough.write(chunk)
-      })
+    function notify () {
+      if (wakeUp) {
+        const resolve = wakeUp
+        wakeUp = null
+        resolve()
+      }
+    }
 
-      stream.on('end', () => {
-        passThrough.end()
-      })
+    function fail (err) {
+      if (error) {
+        return
+      }
+      error = err
+      // A consumer reading the current file sees the error right away
+      if (current && !current.readableEnded) {
+        current.destroy(err)
+      }
+      notify()
+    }
 
-      stream.on('error', (err) => {
-        passThrough.destroy(err)
-      })
+    parser.on('file', (fieldname, stream, info) => {
+      if (error) {
+        stream.resume()
+        return
+      }
 
-      parts.push({
+      const part = {
         type: 'file',
         fieldname,
         filename: info.filename || 'unnamed',
         encoding: info.encoding || '7bit',
         mimetype: info.mimeType || 'application/octet-stream',
-        stream: passThrough,
-        size: fileSize
+        size: 0
+      }
+      if (info.archivePath) {
+        part.archivePath = info.archivePath
+      }
+      part.safeFilename = getSafeFilename(settings, part)
+
+      const accepts = getFileFilter(fieldname)
+      if (accepts && !accepts(part.mimetype, part.filename)) {
+        stream.resume()
+        fail(new FileTypeNotAllowed(part.filename, fieldname))
+        return
+      }
+
+      const hasher = settings.hashAlgorithms.length > 0
+        ? createHasher(settings.hashAlgorithms, settings.hashEncoding)
+        : null
+      const fileProgress = progress && progress.file(fieldname, part.filename)
+
+      // busboy truncates the stream once limits.fileSize is reached
+      stream.on('limit', () => {
+        fail(new FileSizeLimit(`File size exceeds limit of ${settings.limits.fileSize} bytes`))
       })
-    })
 
-    bb.on('field', (fieldname, value) => {
-      parts.push({
-        type: 'field',
-        fieldname,
-        value
+      stream.on('end', () => {
+        if (fileProgress) {
+          fileProgress.end()
+        }
+      })
+
+      const observer = createObserver((chunk) => {
+        part.size += chunk.length
+        if (hasher) {
+          hasher.update(chunk)
+        }
+        if (fileProgress) {
+          fileProgress.received(chunk.length)
+        }
       })
+      const transforms = [observer]
+
+      // `part.detectedMimeType` is set once the first bytes have been read, held back until then
+      const typeCheck = createTypeCheck(settings, part, accepts)
+      if (typeCheck) {
+        typeCheck.on('error', fail)
+        transforms.unshift(typeCheck)
+      }
+
+      // Fails the stream once the quota is exceeded
+      if (quota) {
+        const meter = quota.meter()
+        meter.on('error', fail)
+        transforms.unshift(meter)
+      }
+
+      // `part.image` is set once the start of the file has been read
+      const imageProbe = createImageObserver(settings, part)
+      if (imageProbe) {
+        imageProbe.on('error', fail)
+        transforms.push(imageProbe)
+      }
+
+      // `part.archive` is set once the whole file has been read
+      const archiveProbe = createArchiveObserver(settings, part)
+      if (archiveProbe) {
+        archiveProbe.on('error', fail)
+        transforms.push(archiveProbe)
+      }
+
+      // The file stream only ends once the scanner cleared the file, and fails otherwise
+      const scan = settings.scanner
+        ? startScan(settings.scanner, part, (verdict) => {
+          const err = getScanError(request, settings, part, verdict)
+          if (err) {
+            throw err
+          }
+          return verdict.result || null
+        })
+        : null
+      if (scan) {
+        scan.tee.on('error', fail)
+        transforms.push(scan.tee)
+      }
+
+      // Bytes only flow, and busboy only moves on, as fast as the consumer reads
+      part.stream = pipeline(stream, ...transforms, () => {})
+      part.stream.on('end', () => measure.file(part.size))
+
+      if (hasher) {
+        // Resolves with the hashes once the whole file went through the observer: the source
+        // may end while transforms before it still hold chunks
+        const digest = new Promise((resolve, reject) => {
+          observer.on('finish', () => resolve(hasher.digest()))
+          part.stream.on('error', reject)
+        })
+        digest.catch(() => {})
+        part.digest = () => digest
+      }
+
+      if (scan) {
+        // Resolves with the verdict once the whole file has been scanned, rejects infected files
+        part.scan = () => scan.checked
+      }
+
+      queue.push(part)
+      notify()
     })
 
-    bb.on('finish', () => {
-      finished = true
+    parser.on('field', (fieldname, value, info) => {
+      if (progress) {
+        progress.field(fieldname)
+      }
+      measure.field()
+      try {
+        queue.push({
+          type: 'field',
+          fieldname,
+          value: parseFieldValue(settings, fieldname, value, info),
+          mimetype: info.mimeType,
+          charset: info.charset,
+          encoding: info.encoding
+        })
+        notify()
+      } catch (err) {
+        fail(err)
+      }
     })
 
-    bb.on('error', (err) => {
-      error = err
+    parser.on('finish', () => {
       finished = true
+      notify()
     })
 
+    parser.on('error', fail)
+
     // Handle size limits
-    bb.on('filesLimit', () => {
-      error = new FilesLimit()
-      finished = true
-    })
+    parser.on('filesLimit', () => fail(new FilesLimit()))
+    parser.on('fieldsLimit', () => fail(new FieldsLimit()))
+    parser.on('partsLimit', () => fail(new Error('Parts limit exceeded')))
 
-    bb.on('fieldsLimit', () => {
-      error = new FieldsLimit()
-      finished = true
-    })
+    const stopBody = pipeBody(request, bb, settings)
 
-    bb.on('partsLimit', () => {
-      error = new Error('Parts limit exceeded')
-      finished = true
+    const unwatch = watchAbort(request.raw, () => {
+      const err = new RequestAborted()
+      fail(err)
+      stopBody()
+      bb.destroy(err)
     })
 
-    this.raw.pipe(bb)
-
-    // eslint-disable-next-line no-unmodified-loop-condition
-    while (!finished) {
-      if (error) {
-        throw error
+    try {
+      while (true) {
+        if (error) {
+          throw error
+        }
+        if (queue.length > 0) {
+          const part = queue.shift()
+          current = part.type === 'file' ? part.stream : null
+          yield part
+          // busboy only emits the next part once the file is read: discard a file the consumer skipped
+          if (current && current.readableFlowing === null && !current.readableDidRead) {
+            current.resume()
+          }
+          continue
+        }
+        if (finished) {
+          break
+        }
+        await new Promise((resolve) => { wakeUp = resolve })
       }
 
-      if (parts.length > 0) {
-        const part = parts.shift()
-        yield part
-      } else {
-        await new Promise(resolve => setImmediate(resolve))
+      if (progress) {
+        progress.finish()
+      }
+    } finally {
+      unwatch()
+      if (progress) {
+        progress.stop()
+      }
+      if (quota) {
+        quota.release(!error)
+      }
+      measure.end(error)
+      if (!finished) {
+        // The consumer stopped early or parsing failed: discard the rest of the body
+        stopBody()
+        request.raw.resume()
+        for (const part of queue) {
+          if (part.type === 'file') {
+            part.stream.resume()
+          }
+        }
       }
-    }
-
-    // Yield remaining parts after finish
-    while (parts.length > 0) {
-      const part = parts.shift()
-      yield part
-    }
-
-    if (error) {
-      throw error
     }
   })
 
   fastify.decorateRequest('cleanupTempFiles', async function (tempFiles) {
     const filesToClean = tempFiles || this[kTempFiles]
-    const cleanupPromises = filesToClean.map(tempPath =>
-      fs.promises.unlink(tempPath).catch(() => {})
-    )
+    const cleanupPromises = filesToClean.map(tempPath => {
+      activeTempFiles.delete(tempPath)
+      return fs.promises.unlink(tempPath).catch(() => {})
+    })
     await Promise.all(cleanupPromises)
   })
 
@@ -320,15 +943,107 @@ async function multipartPlugin (fastify, options) {
     FilesLimit,
     FieldsLimit,
     InvalidMultipartContentType,
-    InvalidPart
+    InvalidPart,
+    FileTypeNotAllowed,
+    MimeMismatch,
+    ImageDimensions,
+    ArchiveEntriesLimit,
+    ArchiveSizeLimit,
+    ArchiveRatioLimit,
+    UnsafeArchivePath,
+    InvalidArchive,
+    InvalidJsonField,
+    InvalidFieldName,
+    RequestAborted,
+    InfectedFile,
+    ScanFailed,
+    QuotaExceeded
   })
 
-  // Auto cleanup temp files on response
-  fastify.addHook('onResponse', async (request) => {
+  // Upload metrics of this plugin instance
+  fastify.decorate('multipartMetrics', {
+    snapshot: metrics.snapshot,
+    prometheus: metrics.prometheus,
+    reset: metrics.reset
+  })
+
+  // Remove temp files left in the temp directories by processes that died before cleaning up
+  async function sweepTempDirs () {
+    const removed = []
+    for (const tempDir of tempDirs) {
+      removed.push(...await sweepTempFiles({
+        tempDir,
+        maxAge: config.tempFileMaxAge,
+        isActive: (filePath) => activeTempFiles.has(filePath)
+      }))
+    }
+    return removed
+  }
+
+  let sweeping = null
+  fastify.decorate('multipartSweep', function () {
+    if (!sweeping) {
+      sweeping = sweepTempDirs().then((removed) => {
+        if (removed.length > 0) {
+          fastify.log.info({ files: removed }, `Removed ${removed.length} orphaned temp upload file(s)`)
+        }
+        return removed
+      }).finally(() => {
+        sweeping = null
+      })
+    }
+    return sweeping
+  })
+
+  if (config.sweepTempFiles) {
+    let timer = null
+    const sweep = () => fastify.multipartSweep().catch((err) => {
+      fastify.log.warn({ err }, 'Failed to sweep temp upload files')
+    })
+
+    fastify.addHook('onReady', async () => {
+      await sweep()
+      if (config.sweepInterval) {
+        timer = setInterval(sweep, config.sweepInterval)
+        timer.unref()
+      }
+    })
+    fastify.addHook('onClose', async () => {
+      clearInterval(timer)
+    })
+  }
+
+  // Serve the metrics to Prometheus
+  if (config.metricsRoute) {
+    fastify.get(config.metricsRoute, async (request, reply) => {
+      reply.type('text/plain; version=0.0.4; charset=utf-8')
+      return metrics.prometheus()
+    })
+  }
+
+  async function removeTempFiles (request) {
     const tempFiles = request[kTempFiles]
     if (tempFiles && Array.isArray(tempFiles) && tempFiles.length > 0) {
       await request.cleanupTempFiles()
     }
+  }
+
+  // Auto cleanup temp files on response
+  fastify.addHook('onResponse', removeTempFiles)
+
+  // onResponse never runs for requests whose client went away: Fastify reports
+  // disconnects while the body is received, the response closing early covers the rest
+  if (supportsRequestAbortHook(fastify.version)) {
+    fastify.addHook('onRequestAbort', removeTempFiles)
+  }
+  fastify.addHook('onRequest', async (request, reply) => {
+    if (request.headers['content-type']?.includes('multipart/form-data')) {
+      reply.raw.once('close', () => {
+        if (!reply.raw.writableFinished) {
+          removeTempFiles(request).catch(() => {})
+        }
+      })
+    }
   })
 
   // Auto register content type parser
@@ -344,11 +1059,151 @@ async function multipartPlugin (fastify, options) {
     if (contentType && contentType.includes('multipart/form-data')) {
       // Skip validation for multipart requests
       request.validationFunction = null
+
+      const settings = resolveOptions(request)
+      // Fastify validates an attached body against the route schema in any case,
+      // and file objects do not match `format: 'binary'` properties
+      const schema = settings.validateBody || settings.attachFieldsToBody
+        ? getBodySchema(request.routeOptions.schema)
+        : null
+
+      if (schema || settings.attachFieldsToBody) {
+        // Parse up front, before Fastify's validation step
+        const result = await request.parseMultipart()
+        const parseFieldName = getFieldNameParser(settings)
+        const body = settings.attachFieldsToBody
+          ? await buildBody(result, settings.attachFieldsToBody, parseFieldName)
+          : request.body
+
+        if (schema) {
+          // Let Fastify validate the form against the route schema, the handler gets `body`
+          request[kPayload] = body
+          request.body = buildValidationBody(result, schema, parseFieldName)
+        } else {
+          request.body = body
+        }
+      }
+    }
+  })
+
+  // Restore the raw payload, or the attached form, once validation has passed
+  fastify.addHook('preHandler', async (request) => {
+    if (request[kPayload] !== null) {
+      request.body = request[kPayload]
+      request[kPayload] = null
+    }
+  })
+}
+
+/**
+ * Remove a file stored by an engine once the upload failed. Engines may remove it
+ * synchronously, and failing to remove it does not change the error of the request.
+ * @param {object} storage Storage engine
+ * @param {object} stored Info resolved by the engine's `_handleFile()`
+ */
+function removeStoredFile (storage, stored) {
+  Promise.resolve()
+    .then(() => storage._removeFile(stored))
+    .catch(() => {})
+}
+
+/**
+ * Create a transform that reports every chunk passing through it
+ * @param {function(Buffer): void} onChunk Called with each chunk before it is passed on
+ * @returns {import('stream').Transform}
+ */
+function createObserver (onChunk) {
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      onChunk(chunk)
+      callback(null, chunk)
     }
   })
 }
 
+/**
+ * Turn the value of a text field into what is handed to the application:
+ * with `parseJsonFields`, JSON parts (`application/json`, `*+json`) are parsed
+ * @param {object} settings Resolved options
+ * @param {string} fieldname
+ * @param {string} value Value decoded by busboy
+ * @param {{ mimeType: string }} info Part info from busboy
+ * @returns {*}
+ */
+function parseFieldValue (settings, fieldname, value, info) {
+  if (!settings.parseJsonFields || !/^application\/(?:[\w.-]+\+)?json$/i.test(info.mimeType)) {
+    return value
+  }
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    throw new InvalidJsonField(fieldname, err.message)
+  }
+}
+
+/**
+ * Whether Fastify has the `onRequestAbort` hook, added in 4.14
+ * @param {string} version Fastify version
+ * @returns {boolean}
+ */
+function supportsRequestAbortHook (version) {
+  const [major, minor] = String(version).split('.').map(Number)
+  return major > 4 || (major === 4 && minor >= 14)
+}
+
+/**
+ * Watch for a client disconnecting before the request body has been fully received
+ * @param {import('http').IncomingMessage} raw Raw request
+ * @param {function(): void} onAbort Called once when the request is aborted
+ * @returns {function(): void} Stops watching
+ */
+function watchAbort (raw, onAbort) {
+  let called = false
+  function abort () {
+    if (!called && !raw.complete) {
+      called = true
+      onAbort()
+    }
+  }
+  raw.on('aborted', abort)
+  raw.on('close', abort)
+  return () => {
+    raw.removeListener('aborted', abort)
+    raw.removeListener('close', abort)
+  }
+}
+
+/**
+ * Merge option objects, later sources taking precedence.
+ * `limits` are merged key by key instead of being replaced.
+ * @param {object} base Base options
+ * @param {...object} sources Overrides, `null`/`undefined` are ignored
+ * @returns {object}
+ */
+function mergeOptions (base, ...sources) {
+  const merged = { ...base, limits: { ...base.limits } }
+  for (const source of sources) {
+    if (!source) {
+      continue
+    }
+    Object.assign(merged, source, {
+      limits: { ...merged.limits, ...(source.limits || {}) }
+    })
+  }
+  return merged
+}
+
 module.exports = fp(multipartPlugin, {
   fastify: '>=4.0.0',
   name: '@aegisx/fastify-multipart'
 })
+module.exports.diskStorage = diskStorage
+module.exports.memoryStorage = memoryStorage
+module.exports.hybridStorage = hybridStorage
+module.exports.directoryStorage = directoryStorage
+module.exports.sanitizeFilename = sanitizeFilename
+module.exports.tus = tusPlugin
+module.exports.clamavScanner = clamavScanner
+module.exports.memoryQuotaStore = memoryQuotaStore
+module.exports.swaggerTransform = swaggerTransform
+module.exports.swaggerTransformObject = swaggerTransformObject
@@ -0,0 +1,269 @@
+'use strict'
+
+const { Transform } = require('stream')
+
+// End of the file kept to read the central directory from
+const MAX_TAIL_SIZE = 4 * 1024 * 1024
+
+const EOCD_SIZE = 22
+const MAX_COMMENT_SIZE = 0xFFFF
+
+const LOCAL_HEADER = 0x04034B50
+const EOCD = 0x06054B50
+const ZIP64_LOCATOR = 0x07064B50
+const ZIP64_EOCD = 0x06064B50
+const CENTRAL_HEADER = 0x02014B50
+
+/**
+ * Error thrown for archives whose structure cannot be read
+ */
+class ArchiveFormatError extends Error {}
+
+/**
+ * Find the end of central directory record, the last one followed by exactly its comment
+ * @param {Buffer} tail End of the file
+ * @returns {number} Offset in `tail`, -1 when missing
+ */
+function findEndOfCentralDirectory (tail) {
+  const last = tail.length - EOCD_SIZE
+  const first = Math.max(0, last - MAX_COMMENT_SIZE)
+  for (let offset = last; offset >= first; offset--) {
+    if (tail.readUInt32LE(offset) === EOCD && offset + EOCD_SIZE + tail.readUInt16LE(offset + 20) === tail.length) {
+      return offset
+    }
+  }
+  return -1
+}
+
+/**
+ * Read the central directory location, following the ZIP64 records when needed
+ * @param {Buffer} tail End of the file
+ * @param {number} eocd Offset of the end of central directory record
+ * @returns {{ count: number, size: number, end: number }} `end` is the offset in `tail` where the central directory ends
+ */
+function readDirectoryLocation (tail, eocd) {
+  const count = tail.readUInt16LE(eocd + 10)
+  const size = tail.readUInt32LE(eocd + 12)
+  const offset = tail.readUInt32LE(eocd + 16)
+
+  if (count !== 0xFFFF && size !== 0xFFFFFFFF && offset !== 0xFFFFFFFF) {
+    return { count, size, end: eocd }
+  }
+
+  // ZIP64: the record is followed by its locator, then by the end of central directory
+  const locator = eocd - 20
+  if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_LOCATOR) {
+    throw new ArchiveFormatError('missing ZIP64 end of central directory locator')
+  }
+  const record = locator - 56
+  if (record < 0 || tail.readUInt32LE(record) !== ZIP64_EOCD) {
+    throw new ArchiveFormatError('missing ZIP64 end of central directory record')
+  }
+  return {
+    count: Number(tail.readBigUInt64LE(record + 32)),
+    size: Number(tail.readBigUInt64LE(record + 40)),
+    end: record
+  }
+}
+
+/**
+ * Read the sizes stored in the ZIP64 extra field for the fields set to 0xFFFFFFFF
+ * @param {Buffer} extra Extra fields of a central directory header
+ * @param {{ size: number, compressedSize: number }} entry Updated in place
+ */
+function readZip64Sizes (extra, entry) {
+  let offset = 0
+  while (offset + 4 <= extra.length) {
+    const id = extra.readUInt16LE(offset)
+    const length = extra.readUInt16LE(offset + 2)
+    if (id === 0x0001) {
+      let field = offset + 4
+      if (entry.size === 0xFFFFFFFF && field + 8 <= offset + 4 + length) {
+        entry.size = Number(extra.readBigUInt64LE(field))
+        field += 8
+      }
+      if (entry.compressedSize === 0xFFFFFFFF && field + 8 <= offset + 4 + length) {
+        entry.compressedSize = Number(extra.readBigUInt64LE(field))
+      }
+      return
+    }
+    offset += 4 + length
+  }
+}
+
+/**
+ * Read the entries of a ZIP archive from the end of the file
+ * @param {Buffer} tail End of the file, holding the central directory
+ * @returns {{ entries: Array<{ name: string, compressedSize: number, size: number }>, totalUncompressed: number, declaredEntries: number }}
+ * Throws an ArchiveFormatError when the central directory cannot be read
+ */
+function readCentralDirectory (tail) {
+  const eocd = findEndOfCentralDirectory(tail)
+  if (eocd === -1) {
+    throw new ArchiveFormatError('end of central directory not found')
+  }
+
+  const location = readDirectoryLocation(tail, eocd)
+  const start = location.end - location.size
+  const entries = []
+  let totalUncompressed = 0
+
+  if (start < 0) {
+    // Only the entry count is known
+    return { entries, totalUncompressed, declaredEntries: location.count, truncated: true }
+  }
+
+  let offset = start
+  while (offset < location.end) {
+    if (offset + 46 > location.end || tail.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new ArchiveFormatError('invalid central directory header')
+    }
+    const flags = tail.readUInt16LE(offset + 8)
+    const nameLength = tail.readUInt16LE(offset + 28)
+    const extraLength = tail.readUInt16LE(offset + 30)
+    const commentLength = tail.readUInt16LE(offset + 32)
+    const nameStart = offset + 46
+    const extraStart = nameStart + nameLength
+    const next = extraStart + extraLength + commentLength
+    if (next > location.end) {
+      throw new ArchiveFormatError('invalid central directory header')
+    }
+
+    const entry = {
+      // Bit 11: UTF-8 names, CP437 otherwise (read as latin1)
+      name: tail.toString(flags & 0x0800 ? 'utf8' : 'latin1', nameStart, extraStart),
+      compressedSize: tail.readUInt32LE(offset + 20),
+      size: tail.readUInt32LE(offset + 24)
+    }
+    if (entry.size === 0xFFFFFFFF || entry.compressedSize === 0xFFFFFFFF) {
+      readZip64Sizes(tail.subarray(extraStart, extraStart + extraLength), entry)
+    }
+    entries.push(entry)
+    totalUncompressed += entry.size
+    offset = next
+  }
+
+  return { entries, totalUncompressed, declaredEntries: location.count, truncated: false }
+}
+
+/**
+ * Tell whether an entry name would escape the extraction directory:
+ * absolute paths, drive letters and `..` segments, with either separator
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isUnsafePath (name) {
+  const normalized = name.replace(/\\/g, '/')
+  return normalized.startsWith('/') ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized.split('/').includes('..') ||
+    normalized.includes('\0')
+}
+
+/**
+ * Check an archive against limits
+ * @param {object} archive From `readCentralDirectory()`
+ * @param {number} archiveSize Size of the archive in bytes
+ * @param {object} limits `maxArchiveEntries`, `maxArchiveSize` and `maxCompressionRatio`, null when unset
+ * @returns {{ limit: 'entries'|'path'|'size'|'ratio', value: * }|null} The exceeded limit, or null
+ */
+function checkArchiveLimits (archive, archiveSize, limits) {
+  const count = Math.max(archive.entries.length, archive.declaredEntries)
+  if (limits.maxArchiveEntries != null && count > limits.maxArchiveEntries) {
+    return { limit: 'entries', value: limits.maxArchiveEntries }
+  }
+  const unsafe = archive.entries.find((entry) => isUnsafePath(entry.name))
+  if (unsafe) {
+    return { limit: 'path', value: unsafe.name }
+  }
+  if (limits.maxArchiveSize != null && archive.totalUncompressed > limits.maxArchiveSize) {
+    return { limit: 'size', value: limits.maxArchiveSize }
+  }
+  if (limits.maxCompressionRatio != null && archiveSize > 0 && archive.totalUncompressed / archiveSize > limits.maxCompressionRatio) {
+    return { limit: 'ratio', value: limits.maxCompressionRatio }
+  }
+  return null
+}
+
+/**
+ * Create a transform reading the central directory of ZIP files as they stream by.
+ * Chunks pass through untouched, only the end of the file is kept. Once the file
+ * has ended `onArchive` is called with the archive, or with the ArchiveFormatError
+ * describing why it could not be read, and may throw to fail the stream.
+ * Files not starting with a ZIP signature are ignored.
+ * @param {function(object|null, Error|null, number): void} onArchive Called with (archive, error, archiveSize)
+ * @returns {import('stream').Transform}
+ */
+function createArchiveProbe (onArchive) {
+  let chunks = []
+  let length = 0
+  let size = 0
+  // null until the first 4 bytes are known
+  let zip = null
+
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      size += chunk.length
+      if (zip === false) {
+        return callback(null, chunk)
+      }
+      chunks.push(chunk)
+      length += chunk.length
+
+      if (zip === null && length >= 4) {
+        const signature = Buffer.concat(chunks).readUInt32LE(0)
+        zip = signature === LOCAL_HEADER || signature === EOCD
+        if (!zip) {
+          chunks = null
+          return callback(null, chunk)
+        }
+      }
+
+      // Keep the end of the file only
+      while (chunks.length > 1 && length - chunks[0].length >= MAX_TAIL_SIZE) {
+        length -= chunks.shift().length
+      }
+      callback(null, chunk)
+    },
+
+    flush (callback) {
+      if (!zip) {
+        return callback()
+      }
+      let tail = Buffer.concat(chunks)
+      chunks = null
+      if (tail.length > MAX_TAIL_SIZE) {
+        tail = tail.subarray(tail.length - MAX_TAIL_SIZE)
+      }
+
+      let archive = null
+      let error = null
+      try {
+        archive = readCentralDirectory(tail)
+        if (archive.truncated) {
+          error = new ArchiveFormatError(`central directory larger than ${MAX_TAIL_SIZE} bytes`)
+        }
+      } catch (err) {
+        if (!(err instanceof ArchiveFormatError)) {
+          return callback(err)
+        }
+        error = err
+      }
+
+      try {
+        onArchive(archive, error, size)
+        callback()
+      } catch (err) {
+        callback(err)
+      }
+    }
+  })
+}
+
+module.exports = {
+  readCentralDirectory,
+  createArchiveProbe,
+  checkArchiveLimits,
+  isUnsafePath,
+  ArchiveFormatError
+}
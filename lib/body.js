@@ -0,0 +1,33 @@
+'use strict'
+
+const { setValue, appendValue, cloneFields } = require('./fieldnames')
+
+/**
+ * Build the `request.body` of `attachFieldsToBody` mode.
+ * Text fields stay plain strings. Files are file objects, or their content as
+ * a Buffer in `'keyValues'` mode. Repeated names become arrays.
+ * With a field name parser, files are placed inside the nested fields.
+ * @param {{ files: object[], fields: object }} result Parsed multipart data
+ * @param {true|'keyValues'} mode
+ * @param {function(string): Array<string|number>} [parseFieldName] Nested field name parser
+ * @returns {Promise<object>}
+ */
+async function buildBody (result, mode, parseFieldName) {
+  const body = cloneFields(result.fields)
+
+  for (const file of result.files) {
+    const value = mode === 'keyValues' ? await file.toBuffer() : file
+    if (parseFieldName) {
+      // Names were checked for conflicts while parsing
+      setValue(body, parseFieldName(file.fieldname), value)
+    } else {
+      appendValue(body, file.fieldname, value)
+    }
+  }
+
+  return body
+}
+
+module.exports = {
+  buildBody
+}
@@ -0,0 +1,136 @@
+'use strict'
+
+/**
+ * busboy decodes text fields from the charset of their part but does not report
+ * it. This reads the part headers of the raw body alongside busboy to recover it.
+ */
+
+const DEFAULT_CHARSET = 'utf-8'
+
+// busboy rejects larger part headers
+const MAX_HEADER_SIZE = 16 * 1024
+
+const HEADER_END = Buffer.from('\r\n\r\n')
+
+/**
+ * Extract the boundary from a multipart Content-Type header
+ * @param {string} contentType
+ * @returns {string|null}
+ */
+function getBoundary (contentType) {
+  const match = /;\s*boundary\s*=\s*(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '')
+  return match ? match[1] || match[2] : null
+}
+
+/**
+ * Tell the charset and kind of a part from its headers, the way busboy does:
+ * parts whose disposition type is not `form-data` are skipped, parts with a
+ * filename or typed application/octet-stream are files.
+ * @param {string} headers Raw header block
+ * @returns {{ field: boolean, charset: string }|null} null for parts busboy skips
+ */
+function parsePartHeaders (headers) {
+  let disposition = null
+  let contentType = null
+  for (const line of headers.split('\r\n')) {
+    const colon = line.indexOf(':')
+    const name = line.slice(0, colon).trim().toLowerCase()
+    if (name === 'content-disposition' && disposition === null) {
+      disposition = line.slice(colon + 1).trim()
+    } else if (name === 'content-type' && contentType === null) {
+      contentType = line.slice(colon + 1).trim()
+    }
+  }
+  if (!disposition || disposition.split(';')[0].trim().toLowerCase() !== 'form-data') {
+    return null
+  }
+
+  const type = contentType ? contentType.split(';')[0].trim().toLowerCase() : 'text/plain'
+  const charset = contentType && /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType)
+  return {
+    field: type !== 'application/octet-stream' && !/;\s*filename\*?\s*=/i.test(disposition),
+    charset: charset ? charset[1].toLowerCase() : DEFAULT_CHARSET
+  }
+}
+
+/**
+ * Follow the body of a multipart request and queue the charset of each text field
+ * @param {string} contentType Request Content-Type
+ * @returns {{ push: function(Buffer): void, next: function(): string }}
+ */
+function createCharsetReader (contentType) {
+  const boundary = getBoundary(contentType)
+  // The first delimiter may start the body, without the line break before it
+  const delimiter = Buffer.from(`\r\n--${boundary}`)
+  const charsets = []
+
+  // Bytes kept from the previous chunk: the start of a delimiter, or the headers read so far
+  let carry = Buffer.from('\r\n')
+  let inHeaders = false
+  let stopped = !boundary
+
+  function scan (buffer) {
+    let offset = 0
+    while (offset < buffer.length) {
+      if (inHeaders) {
+        const end = buffer.indexOf(HEADER_END, offset)
+        if (end === -1) {
+          carry = buffer.subarray(offset)
+          // Malformed, busboy fails the request
+          stopped = carry.length > MAX_HEADER_SIZE
+          return
+        }
+        const part = parsePartHeaders(buffer.toString('latin1', offset, end + 2))
+        if (part && part.field) {
+          charsets.push(part.charset)
+        }
+        inHeaders = false
+        offset = end + HEADER_END.length
+        continue
+      }
+      const start = buffer.indexOf(delimiter, offset)
+      if (start === -1) {
+        // Keep what may be the start of the next delimiter
+        carry = buffer.subarray(Math.max(offset, buffer.length - delimiter.length + 1))
+        return
+      }
+      offset = start + delimiter.length
+      // '--' after the delimiter closes the body
+      if (buffer.toString('latin1', offset, offset + 2) === '--') {
+        stopped = true
+        return
+      }
+      inHeaders = true
+    }
+    carry = Buffer.alloc(0)
+  }
+
+  return {
+    push (chunk) {
+      if (stopped) {
+        return
+      }
+      if (inHeaders || chunk.length < delimiter.length) {
+        scan(Buffer.concat([carry, chunk]))
+        return
+      }
+      // Only the start of the chunk is copied, to find delimiters split between chunks
+      const head = Buffer.concat([carry, chunk.subarray(0, delimiter.length - 1)])
+      const start = head.indexOf(delimiter)
+      if (start !== -1) {
+        scan(Buffer.concat([head.subarray(start), chunk.subarray(delimiter.length - 1)]))
+      } else {
+        scan(chunk)
+      }
+    },
+
+    // Charset of the next text field busboy emits
+    next () {
+      return charsets.length > 0 ? charsets.shift() : DEFAULT_CHARSET
+    }
+  }
+}
+
+module.exports = {
+  createCharsetReader
+}
@@ -0,0 +1,130 @@
+'use strict'
+
+const net = require('net')
+
+/**
+ * Parse a clamd reply: `stream: OK`, `stream: <signature> FOUND` or `<message> ERROR`
+ * @param {string} reply
+ * @returns {{ infected: boolean, viruses: string[] }}
+ */
+function parseReply (reply) {
+  const text = reply.replace(/\0/g, '').trim()
+  if (/^(?:stream: )?OK$/.test(text)) {
+    return { infected: false, viruses: [] }
+  }
+  const found = /^(?:stream: )?(.+) FOUND$/.exec(text)
+  if (found) {
+    return { infected: true, viruses: [found[1]] }
+  }
+  throw new Error(`clamd replied: ${text || 'nothing'}`)
+}
+
+/**
+ * Scanner sending files to clamd with the INSTREAM command, over TCP or a unix socket
+ * @param {object} [options]
+ * @param {string} [options.host] clamd host (default: '127.0.0.1')
+ * @param {number} [options.port] clamd port (default: 3310)
+ * @param {string} [options.socketPath] clamd unix socket, used instead of host and port
+ * @param {number} [options.timeout] Milliseconds to wait for the connection, for clamd to read more of the file, and for the verdict once the file is sent (default: 10s)
+ * @param {number} [options.chunkSize] Largest chunk sent to clamd, in bytes (default: 64KB)
+ * @returns {{ scan: function(import('stream').Readable): Promise<{ infected: boolean, viruses: string[] }> }}
+ */
+function clamavScanner (options = {}) {
+  const {
+    host = '127.0.0.1',
+    port = 3310,
+    socketPath = null,
+    timeout = 10000,
+    chunkSize = 64 * 1024
+  } = options
+
+  return {
+    scan (stream) {
+      return new Promise((resolve, reject) => {
+        const socket = socketPath
+          ? net.createConnection({ path: socketPath })
+          : net.createConnection({ host, port })
+        let reply = ''
+        let settled = false
+        let timer = setTimeout(() => finish(new Error(`clamd did not accept the connection within ${timeout}ms`)), timeout)
+
+        function finish (err, result) {
+          if (settled) {
+            return
+          }
+          settled = true
+          clearTimeout(timer)
+          socket.destroy()
+          stream.off('data', send)
+          stream.destroy()
+          if (err) {
+            reject(err)
+          } else {
+            resolve(result)
+          }
+        }
+
+        // Each chunk is prefixed with its length, a zero length ends the stream
+        function send (chunk) {
+          let flushed = true
+          for (let offset = 0; offset < chunk.length; offset += chunkSize) {
+            const slice = chunk.subarray(offset, offset + chunkSize)
+            const length = Buffer.alloc(4)
+            length.writeUInt32BE(slice.length)
+            flushed = socket.write(Buffer.concat([length, slice]))
+          }
+          if (!flushed) {
+            stream.pause()
+            socket.once('drain', () => stream.resume())
+          }
+        }
+
+        socket.on('connect', () => {
+          clearTimeout(timer)
+          // clamd stops reading when it stalls, leaving the upload waiting for 'drain'
+          socket.setTimeout(timeout, () => finish(new Error(`clamd stopped reading the file for ${timeout}ms`)))
+          socket.write('zINSTREAM\0')
+          stream.on('data', send)
+          stream.once('end', () => {
+            socket.setTimeout(0)
+            socket.write(Buffer.alloc(4))
+            timer = setTimeout(() => finish(new Error(`clamd did not reply within ${timeout}ms`)), timeout)
+          })
+        })
+
+        socket.on('data', (chunk) => {
+          reply += chunk.toString('utf8')
+          // Replies to z-prefixed commands end with a null character
+          if (reply.includes('\0')) {
+            settle()
+          }
+        })
+
+        socket.on('error', (err) => finish(new Error(`clamd connection failed: ${err.message}`)))
+        socket.on('close', () => {
+          if (reply) {
+            settle()
+          } else {
+            finish(new Error('clamd closed the connection without a verdict'))
+          }
+        })
+        stream.once('error', (err) => finish(err))
+
+        function settle () {
+          let result
+          try {
+            result = parseReply(reply)
+          } catch (err) {
+            return finish(err)
+          }
+          finish(null, result)
+        }
+      })
+    }
+  }
+}
+
+module.exports = {
+  clamavScanner,
+  parseReply
+}
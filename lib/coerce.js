@@ -0,0 +1,153 @@
+'use strict'
+
+/**
+ * Coerce a scalar to a JSON schema type, following Ajv's `coerceTypes` rules.
+ * @param {*} value
+ * @param {string} type
+ * @returns {{ value: * }|null} The coerced value, or null when it cannot be coerced
+ */
+function coerceScalar (value, type) {
+  switch (type) {
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        const number = Number(value)
+        return type === 'number' || Number.isInteger(number) ? { value: number } : null
+      }
+      if (typeof value === 'boolean' || value === null) {
+        return { value: Number(value) }
+      }
+      return null
+    case 'boolean':
+      if (value === 'true' || value === 1) {
+        return { value: true }
+      }
+      if (value === 'false' || value === 0 || value === null) {
+        return { value: false }
+      }
+      return null
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') {
+        return { value: String(value) }
+      }
+      if (value === null) {
+        return { value: '' }
+      }
+      return null
+    case 'null':
+      if (value === '' || value === 0 || value === false) {
+        return { value: null }
+      }
+      return null
+    default:
+      return null
+  }
+}
+
+/**
+ * Tell whether a value already has a JSON schema type
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasType (value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return typeof value === 'number'
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'null':
+      return value === null
+    case 'string':
+      return typeof value === 'string'
+    case 'boolean':
+      return typeof value === 'boolean'
+    default:
+      return false
+  }
+}
+
+/**
+ * Coerce a value to the types declared by its schema. Scalars are coerced the way
+ * Ajv does with `coerceTypes: 'array'` (Fastify's default): `'42'` -> `42`,
+ * `'true'` -> `true`, a single value -> `[value]` for arrays and a single item
+ * array -> its item for scalars. Untyped enums coerce to the matching member.
+ * Objects and arrays are coerced recursively. Values that cannot be coerced are
+ * returned unchanged, for validation to report them.
+ * @param {*} value
+ * @param {object} schema Property schema
+ * @returns {*}
+ */
+function coerceValue (value, schema) {
+  if (!schema || typeof schema !== 'object' || value === undefined) {
+    return value
+  }
+
+  const types = [].concat(schema.type || [])
+
+  if (types.length === 0) {
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+      const match = schema.enum.find((member) => member !== null && typeof member !== 'object' && String(member) === value)
+      return match === undefined ? value : match
+    }
+    return value
+  }
+
+  if (types.includes('array')) {
+    if (Array.isArray(value)) {
+      return value.map((item) => coerceValue(item, schema.items))
+    }
+    if (!types.some((type) => hasType(value, type))) {
+      return [coerceValue(value, schema.items)]
+    }
+  }
+
+  if (types.includes('object') && hasType(value, 'object')) {
+    const properties = schema.properties || {}
+    const coerced = {}
+    for (const [key, item] of Object.entries(value)) {
+      Object.defineProperty(coerced, key, {
+        value: Object.prototype.hasOwnProperty.call(properties, key) ? coerceValue(item, properties[key]) : item,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      })
+    }
+    return coerced
+  }
+
+  // A single item array sent for a scalar, e.g. a repeated name
+  if (Array.isArray(value) && value.length === 1 && !types.includes('array')) {
+    value = value[0]
+  }
+
+  if (types.some((type) => hasType(value, type))) {
+    return value
+  }
+  for (const type of types) {
+    const coerced = coerceScalar(value, type)
+    if (coerced) {
+      return coerced.value
+    }
+  }
+  return value
+}
+
+/**
+ * Coerce parsed text fields to the types declared by a body schema
+ * @param {object} fields Parsed fields
+ * @param {object} schema Body schema
+ * @returns {object} Coerced copy of the fields
+ */
+function coerceFields (fields, schema) {
+  return coerceValue(fields, { ...schema, type: 'object' })
+}
+
+module.exports = {
+  coerceFields,
+  coerceValue
+}
@@ -0,0 +1,735 @@
+'use strict'
+
+const path = require('path')
+const zlib = require('zlib')
+const { EventEmitter } = require('events')
+const { Readable, PassThrough, pipeline } = require('stream')
+const { SAMPLE_SIZE, detectMimeType } = require('./sniff')
+const { ArchiveFormatError, isUnsafePath } = require('./archive')
+
+const LOCAL_HEADER = 0x04034B50
+const DATA_DESCRIPTOR = 0x08074B50
+const CENTRAL_HEADER = 0x02014B50
+const EOCD = 0x06054B50
+const DESCRIPTOR_SIGNATURE = Buffer.from([0x50, 0x4B, 0x07, 0x08])
+
+// Room left for the headers of each entry by the archive size limit
+const ENTRY_OVERHEAD = 64 * 1024
+
+const TAR_BLOCK = 512
+// Largest GNU long name or pax header read into memory
+const MAX_TAR_HEADER_SIZE = 1024 * 1024
+
+// Types of archive entries, which come without a declared type
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.xml': 'application/xml',
+  '.json': 'application/json',
+  '.ndjson': 'application/x-ndjson',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.svg': 'image/svg+xml',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+}
+
+/**
+ * Guess the type of an archive entry from its extension
+ * @param {string} filename
+ * @returns {string}
+ */
+function guessMimeType (filename) {
+  return MIME_TYPES[path.posix.extname(filename).toLowerCase()] || 'application/octet-stream'
+}
+
+/**
+ * Resolve once `emitter` emits one of `events`
+ * @param {import('events').EventEmitter} emitter
+ * @param {string[]} events
+ * @returns {Promise<void>}
+ */
+function once (emitter, events) {
+  return new Promise((resolve) => {
+    function done () {
+      for (const event of events) {
+        emitter.off(event, done)
+      }
+      resolve()
+    }
+    for (const event of events) {
+      emitter.on(event, done)
+    }
+  })
+}
+
+/**
+ * Read a stream on demand: exact byte counts for headers, chunks for contents
+ * @param {AsyncIterable<Buffer>} source
+ */
+function createReader (source) {
+  const iterator = source[Symbol.asyncIterator]()
+  const buffered = []
+  let length = 0
+  let ended = false
+
+  async function fill (size) {
+    while (length < size && !ended) {
+      const { value, done } = await iterator.next()
+      if (done) {
+        ended = true
+      } else if (value.length > 0) {
+        buffered.push(value)
+        length += value.length
+      }
+    }
+  }
+
+  function unshift (chunk) {
+    if (chunk.length > 0) {
+      buffered.unshift(chunk)
+      length += chunk.length
+    }
+  }
+
+  // The next chunk, null at the end of the stream
+  async function next () {
+    await fill(1)
+    if (length === 0) {
+      return null
+    }
+    const chunk = buffered.shift()
+    length -= chunk.length
+    return chunk
+  }
+
+  // `size` bytes, fewer at the end of the stream
+  async function read (size) {
+    await fill(size)
+    const all = Buffer.concat(buffered)
+    buffered.length = 0
+    length = 0
+    unshift(all.subarray(size))
+    return all.subarray(0, size)
+  }
+
+  // Up to `size` bytes, left in place
+  async function peek (size) {
+    const bytes = await read(size)
+    unshift(bytes)
+    return bytes
+  }
+
+  // The next `size` bytes chunk by chunk, throws when the stream ends first
+  async function * chunks (size) {
+    while (size > 0) {
+      const chunk = await next()
+      if (!chunk) {
+        throw new ArchiveFormatError('unexpected end of archive')
+      }
+      if (chunk.length > size) {
+        unshift(chunk.subarray(size))
+        yield chunk.subarray(0, size)
+        return
+      }
+      size -= chunk.length
+      yield chunk
+    }
+  }
+
+  async function skip (size) {
+    while (size > 0) {
+      const chunk = await next()
+      if (!chunk) {
+        throw new ArchiveFormatError('unexpected end of archive')
+      }
+      if (chunk.length > size) {
+        unshift(chunk.subarray(size))
+        return
+      }
+      size -= chunk.length
+    }
+  }
+
+  async function drain () {
+    let chunk = await next()
+    while (chunk !== null) {
+      chunk = await next()
+    }
+  }
+
+  async function * rest () {
+    let chunk
+    while ((chunk = await next()) !== null) {
+      yield chunk
+    }
+  }
+
+  return { next, read, peek, chunks, skip, drain, rest, unshift }
+}
+
+/**
+ * Yield the data of a ZIP entry whose size is only given by the data descriptor
+ * following it: the descriptor is the signature followed by a compressed size
+ * equal to the number of bytes before it
+ * @param {object} reader
+ * @param {boolean} zip64 Descriptor sizes are 8 bytes long
+ */
+async function * readUntilDescriptor (reader, zip64) {
+  const descriptorLength = zip64 ? 24 : 16
+  let pending = Buffer.alloc(0)
+  let count = 0
+
+  while (true) {
+    const chunk = await reader.next()
+    if (!chunk) {
+      throw new ArchiveFormatError('unexpected end of archive')
+    }
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk
+
+    let index = pending.indexOf(DESCRIPTOR_SIGNATURE)
+    while (index !== -1 && index + descriptorLength <= pending.length) {
+      const size = zip64 ? Number(pending.readBigUInt64LE(index + 8)) : pending.readUInt32LE(index + 8)
+      if (size === count + index) {
+        reader.unshift(pending.subarray(index + descriptorLength))
+        if (index > 0) {
+          yield pending.subarray(0, index)
+        }
+        return
+      }
+      index = pending.indexOf(DESCRIPTOR_SIGNATURE, index + 1)
+    }
+
+    // Keep the bytes that may start a descriptor
+    const cut = index === -1 ? Math.max(0, pending.length - descriptorLength + 1) : index
+    if (cut > 0) {
+      count += cut
+      const data = pending.subarray(0, cut)
+      pending = pending.subarray(cut)
+      yield data
+    }
+  }
+}
+
+/**
+ * Read the sizes of the ZIP64 extra field of a local header
+ * @param {Buffer} extra
+ * @returns {number|null} Compressed size, null without ZIP64 extra field
+ */
+function readZip64CompressedSize (extra) {
+  let offset = 0
+  while (offset + 4 <= extra.length) {
+    const id = extra.readUInt16LE(offset)
+    const length = extra.readUInt16LE(offset + 2)
+    if (id === 0x0001) {
+      return length >= 16 ? Number(extra.readBigUInt64LE(offset + 12)) : 0
+    }
+    offset += 4 + length
+  }
+  return null
+}
+
+/**
+ * Yield the entries of a ZIP archive from its local headers, in one pass.
+ * Each entry's `body` must be read to the end before asking for the next entry.
+ * @param {object} reader
+ */
+async function * readZipEntries (reader) {
+  while (true) {
+    let header = await reader.read(30)
+    if (header.length >= 4 && header.readUInt32LE(0) === DATA_DESCRIPTOR) {
+      // Split archive marker
+      reader.unshift(header.subarray(4))
+      header = await reader.read(30)
+    }
+    const signature = header.length >= 4 ? header.readUInt32LE(0) : null
+    if (signature === CENTRAL_HEADER || signature === EOCD) {
+      // The central directory only repeats the entries
+      await reader.drain()
+      return
+    }
+    if (signature !== LOCAL_HEADER || header.length < 30) {
+      throw new ArchiveFormatError('invalid local file header')
+    }
+
+    const flags = header.readUInt16LE(6)
+    const method = header.readUInt16LE(8)
+    const nameLength = header.readUInt16LE(26)
+    const extraLength = header.readUInt16LE(28)
+    const name = await reader.read(nameLength)
+    const extra = await reader.read(extraLength)
+    if (name.length < nameLength || extra.length < extraLength) {
+      throw new ArchiveFormatError('unexpected end of archive')
+    }
+
+    // Bit 11: UTF-8 names, CP437 otherwise (read as latin1)
+    const entryPath = name.toString(flags & 0x0800 ? 'utf8' : 'latin1')
+    if (flags & 0x0001) {
+      throw new ArchiveFormatError(`entry "${entryPath}" is encrypted`)
+    }
+    if (method !== 0 && method !== 8) {
+      throw new ArchiveFormatError(`entry "${entryPath}" uses unsupported compression method ${method}`)
+    }
+
+    const zip64Size = readZip64CompressedSize(extra)
+    const zip64 = zip64Size !== null
+    let compressedSize = header.readUInt32LE(18)
+    if (zip64 && compressedSize === 0xFFFFFFFF) {
+      compressedSize = zip64Size
+    }
+    // Bit 3: sizes follow the data in a descriptor
+    const descriptor = (flags & 0x0008) !== 0
+    const sized = !descriptor || compressedSize > 0
+
+    yield {
+      path: entryPath,
+      directory: entryPath.endsWith('/'),
+      inflate: method === 8,
+      body: sized ? reader.chunks(compressedSize) : readUntilDescriptor(reader, zip64)
+    }
+
+    if (descriptor && sized) {
+      const start = await reader.peek(4)
+      const signed = start.length === 4 && start.readUInt32LE(0) === DATA_DESCRIPTOR
+      await reader.skip((zip64 ? 20 : 12) + (signed ? 4 : 0))
+    }
+  }
+}
+
+/**
+ * Read a tar number: octal text, or base-256 when the high bit is set
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} length
+ * @returns {number}
+ */
+function readTarNumber (buffer, offset, length) {
+  if (buffer[offset] & 0x80) {
+    let value = buffer[offset] & 0x7F
+    for (let i = offset + 1; i < offset + length; i++) {
+      value = value * 256 + buffer[i]
+    }
+    return value
+  }
+  const text = buffer.toString('latin1', offset, offset + length).replace(/\0.*$/s, '').trim()
+  const value = text ? parseInt(text, 8) : 0
+  if (Number.isNaN(value)) {
+    throw new ArchiveFormatError('invalid tar header')
+  }
+  return value
+}
+
+/**
+ * Read a NUL terminated tar string
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+function readTarString (buffer, offset, length) {
+  const end = buffer.indexOf(0, offset)
+  return buffer.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end)
+}
+
+/**
+ * Parse pax extended header records: `<length> <key>=<value>\n`
+ * @param {Buffer} buffer
+ * @returns {Object<string, string>}
+ */
+function parsePax (buffer) {
+  const records = {}
+  let offset = 0
+  while (offset < buffer.length) {
+    const space = buffer.indexOf(0x20, offset)
+    const length = space === -1 ? NaN : parseInt(buffer.toString('latin1', offset, space), 10)
+    if (!(length > 0)) {
+      break
+    }
+    const record = buffer.toString('utf8', space + 1, offset + length - 1)
+    const equals = record.indexOf('=')
+    if (equals !== -1) {
+      records[record.slice(0, equals)] = record.slice(equals + 1)
+    }
+    offset += length
+  }
+  return records
+}
+
+/**
+ * Yield the entries of a tar archive. Links, devices and FIFOs are skipped.
+ * Each entry's `body` must be read to the end before asking for the next entry.
+ * @param {object} reader
+ */
+async function * readTarEntries (reader) {
+  let longName = null
+  let pax = {}
+
+  while (true) {
+    const header = await reader.read(TAR_BLOCK)
+    if (header.length === 0) {
+      return
+    }
+    if (header.length < TAR_BLOCK) {
+      throw new ArchiveFormatError('unexpected end of archive')
+    }
+    if (header.every((byte) => byte === 0)) {
+      // End of archive
+      await reader.drain()
+      return
+    }
+
+    let checksum = 0
+    for (let i = 0; i < TAR_BLOCK; i++) {
+      checksum += i >= 148 && i < 156 ? 0x20 : header[i]
+    }
+    if (checksum !== readTarNumber(header, 148, 8)) {
+      throw new ArchiveFormatError('invalid tar header checksum')
+    }
+
+    const type = String.fromCharCode(header[156] || 0x30)
+    const size = pax.size !== undefined ? Number(pax.size) : readTarNumber(header, 124, 12)
+    const padding = (TAR_BLOCK - size % TAR_BLOCK) % TAR_BLOCK
+
+    if (type === 'L' || type === 'x' || type === 'g') {
+      if (size > MAX_TAR_HEADER_SIZE) {
+        throw new ArchiveFormatError('extended header too large')
+      }
+      const data = await reader.read(size)
+      if (data.length < size) {
+        throw new ArchiveFormatError('unexpected end of archive')
+      }
+      await reader.skip(padding)
+      if (type === 'L') {
+        longName = readTarString(data, 0, data.length)
+      } else if (type === 'x') {
+        pax = parsePax(data)
+      }
+      continue
+    }
+
+    let name = readTarString(header, 0, 100)
+    if (header.toString('latin1', 257, 262) === 'ustar') {
+      const prefix = readTarString(header, 345, 155)
+      if (prefix) {
+        name = `${prefix}/${name}`
+      }
+    }
+    const entryPath = pax.path || longName || name
+    longName = null
+    pax = {}
+
+    if (type === '0' || type === '7' || type === '5') {
+      yield {
+        path: entryPath,
+        directory: type === '5',
+        inflate: false,
+        body: reader.chunks(size)
+      }
+    } else {
+      await reader.skip(size)
+    }
+    await reader.skip(padding)
+  }
+}
+
+/**
+ * Tell which archive format a file is in, from its first bytes
+ * @param {Buffer} sample Start of the file
+ * @param {string} filename
+ * @returns {'zip'|'tar'|'tgz'|null}
+ */
+function getArchiveFormat (sample, filename) {
+  const type = detectMimeType(sample)
+  if (type === 'application/zip') {
+    return 'zip'
+  }
+  if (type === 'application/x-tar') {
+    return 'tar'
+  }
+  if (type === 'application/gzip' && /\.(?:tgz|tar\.gz)$/i.test(filename || '')) {
+    return 'tgz'
+  }
+  return null
+}
+
+/**
+ * Largest archive accepted: `limits.files` entries of up to `limits.fileSize` bytes, headers included
+ * @param {object} limits Resolved limits
+ * @returns {number}
+ */
+function getMaxArchiveSize (limits) {
+  return limits.files * (limits.fileSize + ENTRY_OVERHEAD)
+}
+
+/**
+ * busboy limits when archives are expanded: busboy stops archives at their maximum size,
+ * the size of plain files is checked by the expander
+ * @param {object} limits Resolved limits
+ * @returns {object}
+ */
+function getExpandLimits (limits) {
+  return { ...limits, fileSize: getMaxArchiveSize(limits) }
+}
+
+/**
+ * Copy an entry to `output`, truncating it at `maxSize` bytes like busboy does
+ * @param {object} entry From `readZipEntries()` or `readTarEntries()`
+ * @param {import('stream').PassThrough} output
+ * @param {number} maxSize
+ */
+async function pumpEntry (entry, output, maxSize) {
+  let size = 0
+  // False once the output has been truncated or destroyed, the rest of the entry is skipped
+  let open = true
+  output.once('close', () => { open = false })
+
+  async function write (chunk) {
+    if (!open) {
+      return
+    }
+    if (size + chunk.length > maxSize) {
+      output.write(chunk.subarray(0, maxSize - size))
+      size = maxSize
+      open = false
+      output.truncated = true
+      output.emit('limit')
+      output.end()
+      return
+    }
+    size += chunk.length
+    if (!output.write(chunk)) {
+      await once(output, ['drain', 'close'])
+    }
+  }
+
+  if (entry.inflate) {
+    const inflater = zlib.createInflateRaw()
+    let feedError = null
+    // The compressed data is read to the end even when the output is gone, to reach the next entry
+    const feeding = (async () => {
+      for await (const chunk of entry.body) {
+        if (!inflater.destroyed && !inflater.write(chunk)) {
+          await once(inflater, ['drain', 'close'])
+        }
+      }
+      if (!inflater.destroyed) {
+        inflater.end()
+      }
+    })().catch((err) => {
+      feedError = err
+      inflater.destroy(err)
+    })
+
+    try {
+      for await (const chunk of inflater) {
+        await write(chunk)
+        if (!open) {
+          break
+        }
+      }
+    } finally {
+      await feeding
+    }
+    if (feedError) {
+      throw feedError
+    }
+  } else {
+    for await (const chunk of entry.body) {
+      await write(chunk)
+    }
+  }
+
+  if (open) {
+    output.end()
+  }
+  // Move on once the entry has been consumed, as busboy does
+  if (!output.readableEnded && !output.destroyed) {
+    await once(output, ['end', 'close'])
+  }
+}
+
+/**
+ * Wrap busboy so that ZIP, tar and .tar.gz files come out as one file per entry,
+ * with `archivePath` added to the file info. Emits the busboy events, in order:
+ * an archive is expanded before the parts after it are emitted. `limits.fileSize`
+ * and `limits.files` apply to each entry and each file.
+ * @param {import('events').EventEmitter} bb busboy, created with `getExpandLimits()`
+ * @param {object} options
+ * @param {object} options.limits Resolved limits
+ * @param {object} options.errors `FileSizeLimit`, `InvalidArchive` and `UnsafeArchivePath` constructors
+ * @returns {import('events').EventEmitter}
+ */
+function createArchiveExpander (bb, { limits, errors }) {
+  const expander = new EventEmitter()
+  const maxArchiveSize = getMaxArchiveSize(limits)
+  let tasks = Promise.resolve()
+  let files = 0
+  let stopped = false
+
+  function stop (err) {
+    if (!stopped) {
+      stopped = true
+      expander.emit('error', err)
+    }
+  }
+
+  function enqueue (task) {
+    tasks = tasks
+      .then(() => stopped ? null : task())
+      .catch(stop)
+  }
+
+  // Count a file against limits.files, like busboy does
+  function acceptFile () {
+    if (++files > limits.files) {
+      stopped = true
+      expander.emit('filesLimit')
+      return false
+    }
+    return true
+  }
+
+  // Pass a plain file on, truncated at limits.fileSize
+  function emitFile (fieldname, reader, info, raw) {
+    if (!acceptFile()) {
+      return
+    }
+    const output = Readable.from(truncate(), { objectMode: false })
+
+    async function * truncate () {
+      let size = 0
+      let limited = false
+      try {
+        for await (const chunk of reader.rest()) {
+          if (limited) {
+            continue
+          }
+          if (size + chunk.length > limits.fileSize) {
+            yield chunk.subarray(0, limits.fileSize - size)
+            limited = true
+            output.truncated = true
+            output.emit('limit')
+            continue
+          }
+          size += chunk.length
+          yield chunk
+        }
+      } finally {
+        if (!limited && raw.truncated) {
+          output.truncated = true
+          output.emit('limit')
+        }
+      }
+    }
+
+    expander.emit('file', fieldname, output, info)
+  }
+
+  async function expand (fieldname, reader, info, format, raw) {
+    let source = reader
+    if (format === 'tgz') {
+      let size = 0
+      const gunzip = pipeline(Readable.from(reader.rest(), { objectMode: false }), zlib.createGunzip(), () => {})
+      source = createReader((async function * () {
+        for await (const chunk of gunzip) {
+          size += chunk.length
+          if (size > maxArchiveSize) {
+            gunzip.destroy()
+            throw new errors.FileSizeLimit(`Archive size exceeds limit of ${maxArchiveSize} bytes`)
+          }
+          yield chunk
+        }
+      })())
+    }
+
+    const entries = format === 'zip' ? readZipEntries(source) : readTarEntries(source)
+    try {
+      for await (const entry of entries) {
+        if (entry.directory || stopped) {
+          await pumpEntry(entry, new PassThrough().resume(), Infinity)
+          continue
+        }
+        if (isUnsafePath(entry.path)) {
+          throw new errors.UnsafeArchivePath(info.filename, fieldname, entry.path)
+        }
+        if (!acceptFile()) {
+          return
+        }
+        const output = new PassThrough()
+        const filename = path.posix.basename(entry.path.replace(/\\/g, '/'))
+        expander.emit('file', fieldname, output, {
+          filename,
+          encoding: 'binary',
+          mimeType: guessMimeType(filename),
+          archivePath: entry.path
+        })
+        await pumpEntry(entry, output, limits.fileSize)
+      }
+    } catch (err) {
+      if (raw.truncated) {
+        throw new errors.FileSizeLimit(`Archive size exceeds limit of ${maxArchiveSize} bytes`)
+      }
+      if (err instanceof ArchiveFormatError || (err.code && err.code.startsWith('Z_'))) {
+        throw new errors.InvalidArchive(info.filename, fieldname, err.message)
+      }
+      throw err
+    }
+    if (raw.truncated) {
+      throw new errors.FileSizeLimit(`Archive size exceeds limit of ${maxArchiveSize} bytes`)
+    }
+  }
+
+  // busboy sets `stream.truncated` once the archive limit is reached
+  bb.on('file', (fieldname, stream, info) => {
+    enqueue(async () => {
+      const reader = createReader(stream)
+      const sample = await reader.peek(SAMPLE_SIZE)
+      const format = getArchiveFormat(sample, info.filename)
+      if (format) {
+        await expand(fieldname, reader, info, format, stream)
+      } else {
+        emitFile(fieldname, reader, info, stream)
+      }
+    })
+  })
+
+  bb.on('field', (...args) => enqueue(() => expander.emit('field', ...args)))
+  bb.on('finish', () => enqueue(() => expander.emit('finish')))
+  for (const event of ['filesLimit', 'fieldsLimit', 'partsLimit']) {
+    bb.on(event, () => expander.emit(event))
+  }
+  bb.on('error', stop)
+
+  return expander
+}
+
+module.exports = {
+  createArchiveExpander,
+  getExpandLimits,
+  readZipEntries,
+  readTarEntries,
+  createReader
+}
@@ -0,0 +1,158 @@
+'use strict'
+
+// Keys that would reach Object.prototype or a constructor when assigned
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype'])
+
+/**
+ * Split a bracketed field name: `items[0][sku]` -> `['items', 0, 'sku']`, `tags[]` -> `['tags', '']`.
+ * Names that are not well formed are kept as a single key.
+ * @param {string} name
+ * @returns {Array<string|number>}
+ */
+function splitBrackets (name) {
+  const match = /^([^[\]]+)((?:\[[^[\]]*\])+)$/.exec(name)
+  if (!match) {
+    return [name]
+  }
+  const keys = match[2].slice(1, -1).split('][')
+  return [match[1], ...keys]
+}
+
+/**
+ * Create a parser turning field names into paths in the nested body
+ * @param {object} options
+ * @param {'brackets'|'dots'} options.mode `address[city]` or `address.city` notation
+ * @param {number} options.maxDepth Maximum nesting depth
+ * @param {number} options.maxArrayIndex Largest accepted array index
+ * @returns {function(string): Array<string|number>} Throws a RangeError describing invalid names
+ */
+function createFieldNameParser (options) {
+  const { mode, maxDepth, maxArrayIndex } = options
+
+  if (mode !== 'brackets' && mode !== 'dots') {
+    throw new TypeError('fieldNameParser must be "brackets" or "dots"')
+  }
+
+  return function parseFieldName (name) {
+    const keys = mode === 'brackets' ? splitBrackets(name) : name.split('.')
+
+    if (keys.length - 1 > maxDepth) {
+      throw new RangeError(`nesting deeper than ${maxDepth} levels`)
+    }
+
+    return keys.map((key, index) => {
+      if (FORBIDDEN_KEYS.has(key)) {
+        throw new RangeError(`forbidden key "${key}"`)
+      }
+      if (index === 0 || !/^\d+$/.test(key)) {
+        if (key === '' && (index === 0 || mode === 'dots')) {
+          throw new RangeError('empty key')
+        }
+        return key
+      }
+      const arrayIndex = Number(key)
+      if (arrayIndex > maxArrayIndex) {
+        throw new RangeError(`array index above ${maxArrayIndex}`)
+      }
+      return arrayIndex
+    })
+  }
+}
+
+/**
+ * Store a value at a path, creating objects and arrays on the way.
+ * Numeric keys and `''` (`tags[]`, appending) create arrays, and a path
+ * assigned twice turns into an array, like repeated flat names.
+ * @param {object} target
+ * @param {Array<string|number>} path From `parseFieldName()`
+ * @param {*} value
+ * @returns {string|null} Why the value conflicts with what is already stored, or null
+ */
+function setValue (target, path, value) {
+  let container = target
+
+  for (let i = 0; i < path.length; i++) {
+    const key = path[i] === '' ? container.length : path[i]
+    if (key === undefined) {
+      return `"${path.slice(0, i).join('.')}" is not an array`
+    }
+    if (i > 0 && Array.isArray(container) && typeof key === 'string') {
+      return `"${path.slice(0, i).join('.')}" is an array`
+    }
+    // Inherited properties such as `toString` are not values
+    const current = Object.prototype.hasOwnProperty.call(container, key) ? container[key] : undefined
+
+    if (i === path.length - 1) {
+      if (current === undefined) {
+        defineValue(container, key, value)
+      } else if (Array.isArray(current)) {
+        current.push(value)
+      } else if (isLeaf(current)) {
+        defineValue(container, key, [current, value])
+      } else {
+        return `"${path.join('.')}" is already an object`
+      }
+      return null
+    }
+
+    if (current === undefined) {
+      container[key] = typeof path[i + 1] === 'string' && path[i + 1] !== '' ? {} : []
+    } else if (isLeaf(current)) {
+      return `"${path.slice(0, i + 1).join('.')}" is already a value`
+    }
+    container = container[key]
+  }
+  return null
+}
+
+/**
+ * Add a value under a flat `name`, turning repeated names into arrays
+ * @param {object} target
+ * @param {string} name
+ * @param {*} value
+ */
+function appendValue (target, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(target, name)) {
+    defineValue(target, name, value)
+  } else if (Array.isArray(target[name])) {
+    target[name].push(value)
+  } else {
+    defineValue(target, name, [target[name], value])
+  }
+}
+
+// Assign an own property, even for names like `__proto__`
+function defineValue (target, key, value) {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true })
+}
+
+// Values stored by the parser: strings, parsed JSON values, Buffers and file objects
+function isLeaf (value) {
+  return value === null || typeof value !== 'object' || Buffer.isBuffer(value) || typeof value.toBuffer === 'function'
+}
+
+/**
+ * Copy nested fields so files can be added without touching the original
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneFields (value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneFields)
+  }
+  if (!isLeaf(value)) {
+    const copy = {}
+    for (const [key, item] of Object.entries(value)) {
+      defineValue(copy, key, cloneFields(item))
+    }
+    return copy
+  }
+  return value
+}
+
+module.exports = {
+  createFieldNameParser,
+  setValue,
+  appendValue,
+  cloneFields
+}
@@ -0,0 +1,73 @@
+'use strict'
+
+const path = require('path')
+
+// Control characters, characters illegal on Windows and invisible bidi overrides used to spoof extensions
+// eslint-disable-next-line no-control-regex
+const ILLEGAL = /[\u0000-\u001f\u007f-\u009f<>:"|?*\u200e\u200f\u202a-\u202e\u2066-\u2069]/g
+const RESERVED = /^(con|prn|aux|nul|com[0-9\u00b9\u00b2\u00b3]|lpt[0-9\u00b9\u00b2\u00b3])(\..*)?$/i
+
+/**
+ * Cut a string to at most `maxBytes` UTF-8 bytes without splitting characters
+ * @param {string} value
+ * @param {number} maxBytes
+ * @returns {string}
+ */
+function truncateBytes (value, maxBytes) {
+  let result = ''
+  let bytes = 0
+  for (const char of value) {
+    bytes += Buffer.byteLength(char)
+    if (bytes > maxBytes) {
+      break
+    }
+    result += char
+  }
+  return result
+}
+
+/**
+ * Turn a client supplied filename into one that is safe to use on any file system:
+ * path components are stripped, the name is NFC normalised, illegal characters are
+ * replaced, Windows reserved names are prefixed and the length is capped (in UTF-8 bytes)
+ * keeping the extension.
+ * @param {string} filename Original filename
+ * @param {object} [options]
+ * @param {number} [options.maxLength=255] Maximum length in bytes
+ * @param {string} [options.replacement='_'] Replacement for illegal characters
+ * @returns {string}
+ */
+function sanitizeFilename (filename, options = {}) {
+  const { maxLength = 255, replacement = '_' } = options
+
+  let name = String(filename == null ? '' : filename).normalize('NFC')
+
+  // Keep the last path component, whatever the separator
+  name = name.split(/[/\\]/).pop()
+
+  name = name
+    .replace(ILLEGAL, replacement)
+    .trim()
+    // Windows drops trailing dots and spaces
+    .replace(/[. ]+$/, '')
+
+  if (RESERVED.test(name)) {
+    name = `_${name}`
+  }
+
+  if (Buffer.byteLength(name) > maxLength) {
+    const extension = path.extname(name)
+    if (extension && Buffer.byteLength(extension) < maxLength / 2) {
+      const base = name.slice(0, -extension.length)
+      name = truncateBytes(base, maxLength - Buffer.byteLength(extension)) + extension
+    } else {
+      name = truncateBytes(name, maxLength)
+    }
+  }
+
+  return name || 'unnamed'
+}
+
+module.exports = {
+  sanitizeFilename
+}
@@ -0,0 +1,116 @@
+'use strict'
+
+const { normalizeMimeType } = require('./sniff')
+
+const RULE_KEYS = ['allowedMimeTypes', 'allowedExtensions', 'deniedMimeTypes', 'deniedExtensions']
+
+/**
+ * Turn a glob into a regular expression, `*` matching any run of characters but `stop`
+ * @param {string} glob Pattern, e.g. `image/*` or `.tar.gz`
+ * @param {string} prefix Regular expression prepended to the pattern
+ * @returns {RegExp}
+ */
+function globToRegExp (glob, prefix) {
+  const source = glob
+    .toLowerCase()
+    .split('*')
+    .map((piece) => piece.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${prefix}${source}$`)
+}
+
+/**
+ * Compile MIME type globs, matched against the type without parameters
+ * @param {string[]} patterns e.g. `['image/*', 'application/pdf']`
+ * @returns {RegExp[]}
+ */
+function compileMimeTypes (patterns) {
+  return patterns.map((pattern) => globToRegExp(pattern.includes('*') ? pattern : normalizeMimeType(pattern), ''))
+}
+
+/**
+ * Compile extension globs, matched against the end of the filename
+ * @param {string[]} patterns e.g. `['.png', 'jpg', '.tar.gz']`
+ * @returns {RegExp[]}
+ */
+function compileExtensions (patterns) {
+  return patterns.map((pattern) => globToRegExp(pattern.startsWith('.') ? pattern : `.${pattern}`, '.*'))
+}
+
+/**
+ * Compile allow/deny rules into a predicate
+ * @param {object} rules `allowedMimeTypes`, `allowedExtensions`, `deniedMimeTypes`, `deniedExtensions`
+ * @returns {function(string, string): boolean|null} Tells whether a mimetype/filename pair is accepted, `null` without rules
+ */
+function compileFileFilter (rules) {
+  if (!RULE_KEYS.some((key) => rules[key])) {
+    return null
+  }
+
+  const allowedTypes = rules.allowedMimeTypes && compileMimeTypes(rules.allowedMimeTypes)
+  const allowedExtensions = rules.allowedExtensions && compileExtensions(rules.allowedExtensions)
+  const deniedTypes = compileMimeTypes(rules.deniedMimeTypes || [])
+  const deniedExtensions = compileExtensions(rules.deniedExtensions || [])
+
+  return function accepts (mimetype, filename) {
+    const type = normalizeMimeType(mimetype)
+    const name = String(filename || '').toLowerCase()
+
+    if (allowedTypes && !allowedTypes.some((pattern) => pattern.test(type))) {
+      return false
+    }
+    if (allowedExtensions && !allowedExtensions.some((pattern) => pattern.test(name))) {
+      return false
+    }
+    if (deniedTypes.some((pattern) => pattern.test(type))) {
+      return false
+    }
+    return !deniedExtensions.some((pattern) => pattern.test(name))
+  }
+}
+
+/**
+ * Resolve the rules applying to a field: `fieldRules[fieldname]` entries replace the global ones
+ * @param {object} options Resolved plugin options
+ * @param {string} fieldname
+ * @returns {object}
+ */
+function getFileRules (options, fieldname) {
+  const rules = {}
+  for (const key of RULE_KEYS) {
+    rules[key] = options[key]
+  }
+  const fieldRules = options.fieldRules && Object.prototype.hasOwnProperty.call(options.fieldRules, fieldname)
+    ? options.fieldRules[fieldname]
+    : null
+  return fieldRules ? { ...rules, ...fieldRules } : rules
+}
+
+/**
+ * Compile the file rules of resolved options once, and those of a field with
+ * `fieldRules` the first time one of its files arrives
+ * @param {object} options Resolved options
+ * @returns {function(string): (function(string, string): boolean|null)} Filter of a field
+ */
+function createFileFilters (options) {
+  const filters = new Map()
+  let shared
+
+  return function getFileFilter (fieldname) {
+    if (options.fieldRules && Object.prototype.hasOwnProperty.call(options.fieldRules, fieldname)) {
+      if (!filters.has(fieldname)) {
+        filters.set(fieldname, compileFileFilter(getFileRules(options, fieldname)))
+      }
+      return filters.get(fieldname)
+    }
+    if (shared === undefined) {
+      shared = compileFileFilter(getFileRules(options, fieldname))
+    }
+    return shared
+  }
+}
+
+module.exports = {
+  compileFileFilter,
+  createFileFilters
+}
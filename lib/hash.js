@@ -0,0 +1,60 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const ENCODINGS = ['hex', 'base64', 'base64url']
+
+/**
+ * Check hashing options, throwing on unsupported algorithms or encodings
+ * @param {string[]} algorithms Hash algorithms, e.g. `['sha256', 'md5']`
+ * @param {string} encoding Digest encoding
+ */
+function validateHashOptions (algorithms, encoding) {
+  if (!Array.isArray(algorithms)) {
+    throw new TypeError('hashAlgorithms must be an array')
+  }
+  const supported = crypto.getHashes()
+  for (const algorithm of algorithms) {
+    if (!supported.includes(algorithm)) {
+      throw new TypeError(`Unsupported hash algorithm: ${algorithm}`)
+    }
+  }
+  if (!ENCODINGS.includes(encoding)) {
+    throw new TypeError(`hashEncoding must be one of ${ENCODINGS.join(', ')}`)
+  }
+}
+
+/**
+ * Create a hasher computing several digests over the same chunks
+ * @param {string[]} algorithms Hash algorithms
+ * @param {string} encoding Digest encoding
+ * @returns {{ update: function(Buffer): void, digest: function(): Object<string, string> }}
+ */
+function createHasher (algorithms, encoding) {
+  const hashes = algorithms.map((algorithm) => [algorithm, crypto.createHash(algorithm)])
+  let digests = null
+
+  return {
+    update (chunk) {
+      for (const [, hash] of hashes) {
+        hash.update(chunk)
+      }
+    },
+
+    // Digests are computed once, on first call
+    digest () {
+      if (!digests) {
+        digests = {}
+        for (const [algorithm, hash] of hashes) {
+          digests[algorithm] = hash.digest(encoding)
+        }
+      }
+      return digests
+    }
+  }
+}
+
+module.exports = {
+  validateHashOptions,
+  createHasher
+}
@@ -0,0 +1,418 @@
+'use strict'
+
+const { Transform } = require('stream')
+const { detectMimeType } = require('./sniff')
+
+// Largest start of a file read to find its dimensions: JPEG metadata segments come
+// before the frame header and can be large
+const MAX_HEADER_SIZE = 512 * 1024
+
+// Returned by parsers while the header is incomplete
+const MORE = Symbol('more')
+
+/**
+ * Read PNG dimensions from the IHDR chunk
+ * @param {Buffer} buffer
+ * @returns {object|null|symbol}
+ */
+function parsePng (buffer) {
+  if (buffer.length < 24) {
+    return MORE
+  }
+  if (buffer.toString('latin1', 12, 16) !== 'IHDR') {
+    return null
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), orientation: null }
+}
+
+/**
+ * Read GIF dimensions from the logical screen descriptor
+ * @param {Buffer} buffer
+ * @returns {object|symbol}
+ */
+function parseGif (buffer) {
+  if (buffer.length < 10) {
+    return MORE
+  }
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8), orientation: null }
+}
+
+/**
+ * Read WebP dimensions from the first chunk: lossy (VP8), lossless (VP8L) or extended (VP8X)
+ * @param {Buffer} buffer
+ * @returns {object|null|symbol}
+ */
+function parseWebp (buffer) {
+  if (buffer.length < 30) {
+    return MORE
+  }
+  const chunk = buffer.toString('latin1', 12, 16)
+  if (chunk === 'VP8 ' && buffer[23] === 0x9D && buffer[24] === 0x01 && buffer[25] === 0x2A) {
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF, orientation: null }
+  }
+  if (chunk === 'VP8L' && buffer[20] === 0x2F) {
+    const bits = buffer.readUInt32LE(21)
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1, orientation: null }
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1, orientation: null }
+  }
+  return null
+}
+
+/**
+ * Read BMP dimensions from the DIB header. Heights are negative for top-down bitmaps.
+ * @param {Buffer} buffer
+ * @returns {object|symbol}
+ */
+function parseBmp (buffer) {
+  if (buffer.length < 26) {
+    return MORE
+  }
+  if (buffer.readUInt32LE(14) === 12) {
+    return { width: buffer.readUInt16LE(18), height: buffer.readUInt16LE(20), orientation: null }
+  }
+  return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)), orientation: null }
+}
+
+/**
+ * Read the orientation tag from the first IFD of an APP1 Exif segment
+ * @param {Buffer} segment Segment payload, starting with `Exif\0\0`
+ * @returns {number|null} 1 to 8
+ */
+function readExifOrientation (segment) {
+  if (segment.toString('latin1', 0, 6) !== 'Exif\0\0' || segment.length < 14) {
+    return null
+  }
+  const tiff = segment.subarray(6)
+  const order = tiff.toString('latin1', 0, 2)
+  if (order !== 'II' && order !== 'MM') {
+    return null
+  }
+  const little = order === 'II'
+  const readUInt16 = (offset) => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset)
+  const readUInt32 = (offset) => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset)
+
+  const ifd = readUInt32(4)
+  if (ifd + 2 > tiff.length) {
+    return null
+  }
+  const count = readUInt16(ifd)
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12
+    if (entry + 12 > tiff.length) {
+      return null
+    }
+    if (readUInt16(entry) === 0x0112) {
+      const orientation = readUInt16(entry + 8)
+      return orientation >= 1 && orientation <= 8 ? orientation : null
+    }
+  }
+  return null
+}
+
+/**
+ * Read JPEG dimensions from the first frame header (SOFn), and the Exif orientation before it
+ * @param {Buffer} buffer
+ * @returns {object|null|symbol}
+ */
+function parseJpeg (buffer) {
+  let offset = 2
+  let orientation = null
+
+  while (true) {
+    if (offset + 4 > buffer.length) {
+      return MORE
+    }
+    if (buffer[offset] !== 0xFF) {
+      return null
+    }
+    const marker = buffer[offset + 1]
+    if (marker === 0xFF) {
+      // Fill byte
+      offset++
+      continue
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      // Markers without a payload
+      offset += 2
+      continue
+    }
+    if (marker === 0xD9 || marker === 0xDA) {
+      // End of image or start of scan before any frame header
+      return null
+    }
+
+    const length = buffer.readUInt16BE(offset + 2)
+    // SOF0 to SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      if (offset + 9 > buffer.length) {
+        return MORE
+      }
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5), orientation }
+    }
+    if (marker === 0xE1 && orientation === null) {
+      if (offset + 2 + length > buffer.length) {
+        return MORE
+      }
+      orientation = readExifOrientation(buffer.subarray(offset + 4, offset + 2 + length))
+    }
+    offset += 2 + length
+  }
+}
+
+/**
+ * Read an ISO base media box header
+ * @param {Buffer} buffer
+ * @param {number} offset Start of the box
+ * @param {number} end End of the enclosing box, or of the data read so far
+ * @returns {{ type: string, start: number, end: number }|null|symbol} `start` is where the payload begins
+ */
+function readBox (buffer, offset, end) {
+  if (offset + 8 > end) {
+    return end === buffer.length ? MORE : null
+  }
+  let size = buffer.readUInt32BE(offset)
+  const type = buffer.toString('latin1', offset + 4, offset + 8)
+  let start = offset + 8
+  if (size === 1) {
+    if (offset + 16 > buffer.length) {
+      return MORE
+    }
+    size = Number(buffer.readBigUInt64BE(offset + 8))
+    start += 8
+  } else if (size === 0) {
+    // The box extends to the end of its container
+    size = end - offset
+  }
+  if (offset + size < start) {
+    return null
+  }
+  return { type, start, end: offset + size }
+}
+
+/**
+ * Find the first child box of a given type
+ * @param {Buffer} buffer
+ * @param {number} start Start of the children
+ * @param {number} end End of the parent box
+ * @param {string} type
+ * @returns {object|null}
+ */
+function findBox (buffer, start, end, type) {
+  let offset = start
+  while (offset < end) {
+    const box = readBox(buffer, offset, end)
+    if (!box || box === MORE) {
+      return null
+    }
+    if (box.type === type) {
+      return box
+    }
+    offset = box.end
+  }
+  return null
+}
+
+/**
+ * Read AVIF/HEIF dimensions from the image spatial extents (ispe) of the meta box.
+ * Files holding several images (thumbnails, grid tiles) report the largest one,
+ * the rotation (irot) gives the orientation.
+ * @param {Buffer} buffer
+ * @returns {object|null|symbol}
+ */
+function parseHeif (buffer) {
+  let offset = 0
+  let meta = null
+
+  while (!meta) {
+    const box = readBox(buffer, offset, buffer.length)
+    if (box === MORE || !box) {
+      return box
+    }
+    if (box.type === 'mdat') {
+      return null
+    }
+    if (box.type === 'meta') {
+      meta = box
+    }
+    offset = box.end
+  }
+  if (meta.end > buffer.length) {
+    return MORE
+  }
+
+  // meta is a full box: version and flags come first
+  const iprp = findBox(buffer, meta.start + 4, meta.end, 'iprp')
+  const ipco = iprp && findBox(buffer, iprp.start, iprp.end, 'ipco')
+  if (!ipco) {
+    return null
+  }
+
+  let image = null
+  let orientation = null
+  offset = ipco.start
+  while (offset < ipco.end) {
+    const box = readBox(buffer, offset, ipco.end)
+    if (!box || box === MORE) {
+      break
+    }
+    if (box.type === 'ispe' && box.start + 12 <= box.end) {
+      const width = buffer.readUInt32BE(box.start + 4)
+      const height = buffer.readUInt32BE(box.start + 8)
+      if (!image || width * height > image.width * image.height) {
+        image = { width, height }
+      }
+    } else if (box.type === 'irot' && box.start < box.end) {
+      // Anti-clockwise quarter turns, as the matching Exif orientation
+      orientation = [1, 8, 3, 6][buffer[box.start] & 0x03]
+    }
+    offset = box.end
+  }
+
+  return image && { ...image, orientation }
+}
+
+const PARSERS = {
+  'image/png': ['png', parsePng],
+  'image/jpeg': ['jpeg', parseJpeg],
+  'image/gif': ['gif', parseGif],
+  'image/webp': ['webp', parseWebp],
+  'image/bmp': ['bmp', parseBmp],
+  'image/avif': ['avif', parseHeif],
+  'image/heic': ['heic', parseHeif],
+  'image/heif': ['heif', parseHeif]
+}
+
+/**
+ * Read image metadata from the start of a file
+ * @param {Buffer} buffer Start of the file
+ * @param {boolean} complete Whether more bytes could be read
+ * @returns {{ format: string|null, image: object|null }|symbol} `format` is null for files
+ * that are not images, `image` null when the dimensions could not be read.
+ * `MORE` while incomplete headers need more bytes.
+ */
+function probeImage (buffer, complete) {
+  if (buffer.length < 32 && !complete) {
+    return MORE
+  }
+  const parser = PARSERS[detectMimeType(buffer)]
+  if (!parser) {
+    return { format: null, image: null }
+  }
+  const [format, parse] = parser
+  const dimensions = parse(buffer)
+  if (dimensions === MORE && !complete) {
+    return MORE
+  }
+  if (!dimensions || dimensions === MORE || !(dimensions.width > 0) || !(dimensions.height > 0)) {
+    return { format, image: null }
+  }
+  return { format, image: { width: dimensions.width, height: dimensions.height, format, orientation: dimensions.orientation } }
+}
+
+/**
+ * Read image metadata from a buffer holding the start of a file, or a whole file
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, format: string, orientation: number|null }|null}
+ */
+function readImageInfo (buffer) {
+  return probeImage(buffer, true).image
+}
+
+/**
+ * Create a transform reading image metadata from the first bytes of a file.
+ * Chunks pass through untouched, a copy of the start of the file is kept until
+ * the metadata is known. `onImage` may throw to fail the stream.
+ * @param {function(object|null, string|null): void} onImage Called once with the image metadata and format
+ * @returns {import('stream').Transform}
+ */
+function createImageProbe (onImage) {
+  let chunks = []
+  let length = 0
+  // Probe again once this many bytes are available, doubling each time
+  let wanted = 32
+
+  function probe (complete) {
+    const result = probeImage(Buffer.concat(chunks), complete || length >= MAX_HEADER_SIZE)
+    if (result === MORE) {
+      wanted = Math.min(length * 2, MAX_HEADER_SIZE)
+      return
+    }
+    chunks = null
+    onImage(result.image, result.format)
+  }
+
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      if (chunks !== null) {
+        chunks.push(chunk)
+        length += chunk.length
+        if (length >= wanted) {
+          try {
+            probe(false)
+          } catch (err) {
+            return callback(err)
+          }
+        }
+      }
+      callback(null, chunk)
+    },
+
+    flush (callback) {
+      if (chunks !== null) {
+        try {
+          probe(true)
+        } catch (err) {
+          return callback(err)
+        }
+      }
+      callback()
+    }
+  })
+}
+
+/**
+ * Check image dimensions against limits
+ * @param {object|null} image Image metadata, null when unreadable
+ * @param {object} limits `minWidth`, `minHeight`, `maxWidth`, `maxHeight` and `maxPixels`, null when unset
+ * @returns {string|null} Why the image is rejected, or null
+ */
+function checkImageLimits (image, limits) {
+  if (!image) {
+    return 'its dimensions could not be read'
+  }
+  const { width, height } = image
+  if (limits.minWidth != null && width < limits.minWidth) {
+    return `width ${width} is below the minimum of ${limits.minWidth}`
+  }
+  if (limits.maxWidth != null && width > limits.maxWidth) {
+    return `width ${width} exceeds the maximum of ${limits.maxWidth}`
+  }
+  if (limits.minHeight != null && height < limits.minHeight) {
+    return `height ${height} is below the minimum of ${limits.minHeight}`
+  }
+  if (limits.maxHeight != null && height > limits.maxHeight) {
+    return `height ${height} exceeds the maximum of ${limits.maxHeight}`
+  }
+  if (limits.maxPixels != null && width * height > limits.maxPixels) {
+    return `${width}x${height} pixels exceed the maximum of ${limits.maxPixels}`
+  }
+  return null
+}
+
+/**
+ * Tell whether any image limit is set
+ * @param {object} limits Resolved options
+ * @returns {boolean}
+ */
+function hasImageLimits (limits) {
+  return ['minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'maxPixels'].some((name) => limits[name] != null)
+}
+
+module.exports = {
+  readImageInfo,
+  createImageProbe,
+  checkImageLimits,
+  hasImageLimits
+}
@@ -0,0 +1,168 @@
+'use strict'
+
+/**
+ * Upload metrics, kept in memory by the plugin instance. They are read as a
+ * plain object with `snapshot()` or in the Prometheus text format with `prometheus()`.
+ */
+
+const KB = 1024
+
+// Upper bounds of the histogram buckets
+const COUNT_BUCKETS = [0, 1, 2, 5, 10, 20, 50, 100]
+const SIZE_BUCKETS = [KB, 10 * KB, 100 * KB, KB * KB, 10 * KB * KB, 100 * KB * KB, KB * KB * KB]
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+
+// Snapshot key, Prometheus name, help and buckets of each histogram
+const HISTOGRAMS = [
+  ['filesPerRequest', 'multipart_request_files', 'Files per successfully parsed request', COUNT_BUCKETS],
+  ['fieldsPerRequest', 'multipart_request_fields', 'Fields per successfully parsed request', COUNT_BUCKETS],
+  ['fileSize', 'multipart_file_size_bytes', 'Size of the files received, in bytes', SIZE_BUCKETS],
+  ['duration', 'multipart_parse_duration_seconds', 'Time spent parsing multipart requests, in seconds', DURATION_BUCKETS]
+]
+
+function createHistogram (buckets) {
+  const counts = buckets.map(() => 0)
+  let sum = 0
+  let count = 0
+
+  return {
+    observe (value) {
+      for (let i = 0; i < buckets.length; i++) {
+        if (value <= buckets[i]) {
+          counts[i]++
+        }
+      }
+      sum += value
+      count++
+    },
+
+    // Cumulative counts by upper bound, as in Prometheus
+    entries () {
+      return [...buckets.map((bound, i) => [String(bound), counts[i]]), ['+Inf', count]]
+    },
+
+    get sum () {
+      return sum
+    },
+
+    get count () {
+      return count
+    }
+  }
+}
+
+// Escape a label value of the Prometheus text format
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+/**
+ * @returns {object} Collector
+ */
+function createMetrics () {
+  let requests
+  let errors
+  let histograms
+
+  function reset () {
+    requests = { success: 0, error: 0 }
+    errors = {}
+    histograms = {}
+    for (const [key, , , buckets] of HISTOGRAMS) {
+      histograms[key] = createHistogram(buckets)
+    }
+  }
+  reset()
+
+  return {
+    /**
+     * Start measuring the parsing of a request
+     * @returns {{ file: function(number): void, field: function(): void, end: function(Error|null): void }}
+     */
+    startRequest () {
+      const start = process.hrtime.bigint()
+      let files = 0
+      let fields = 0
+      let ended = false
+
+      return {
+        // A file has been received whole
+        file (size) {
+          files++
+          histograms.fileSize.observe(size)
+        },
+
+        field () {
+          fields++
+        },
+
+        // Parsing succeeded, or failed with `err`. Only the first call counts.
+        end (err) {
+          if (ended) {
+            return
+          }
+          ended = true
+          histograms.duration.observe(Number(process.hrtime.bigint() - start) / 1e9)
+          if (err) {
+            const code = err.code || 'UNKNOWN'
+            requests.error++
+            errors[code] = (errors[code] || 0) + 1
+            return
+          }
+          requests.success++
+          histograms.filesPerRequest.observe(files)
+          histograms.fieldsPerRequest.observe(fields)
+        }
+      }
+    },
+
+    snapshot () {
+      const result = {
+        requests: { ...requests },
+        errors: { ...errors }
+      }
+      for (const [key] of HISTOGRAMS) {
+        const histogram = histograms[key]
+        result[key] = {
+          buckets: Object.fromEntries(histogram.entries()),
+          sum: histogram.sum,
+          count: histogram.count
+        }
+      }
+      return result
+    },
+
+    // Metrics in the Prometheus text exposition format
+    prometheus () {
+      const lines = [
+        '# HELP multipart_requests_total Multipart requests parsed, by result',
+        '# TYPE multipart_requests_total counter'
+      ]
+      for (const [result, count] of Object.entries(requests)) {
+        lines.push(`multipart_requests_total{result="${result}"} ${count}`)
+      }
+      lines.push(
+        '# HELP multipart_errors_total Multipart requests that failed, by error code',
+        '# TYPE multipart_errors_total counter'
+      )
+      for (const [code, count] of Object.entries(errors)) {
+        lines.push(`multipart_errors_total{code="${escapeLabel(code)}"} ${count}`)
+      }
+      for (const [key, name, help] of HISTOGRAMS) {
+        const histogram = histograms[key]
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`)
+        for (const [bound, value] of histogram.entries()) {
+          lines.push(`${name}_bucket{le="${bound}"} ${value}`)
+        }
+        lines.push(`${name}_sum ${histogram.sum}`, `${name}_count ${histogram.count}`)
+      }
+      return lines.join('\n') + '\n'
+    },
+
+    reset
+  }
+}
+
+module.exports = {
+  createMetrics
+}
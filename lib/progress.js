@@ -0,0 +1,101 @@
+'use strict'
+
+/**
+ * Track how much of a multipart request has been received and report it,
+ * at most once per `interval` milliseconds. The last state of a stalled
+ * upload is still reported once the interval has elapsed.
+ * @param {object} options
+ * @param {number|null} options.bytesExpected Request content-length, when known
+ * @param {number} options.interval Minimum delay between two reports, in milliseconds
+ * @param {function(object): void} options.onProgress Called with a snapshot of the progress
+ * @returns {object} Tracker
+ */
+function createProgressTracker (options) {
+  const { bytesExpected, interval, onProgress } = options
+
+  const state = {
+    bytesReceived: 0,
+    bytesExpected,
+    fieldname: null,
+    files: []
+  }
+  let lastReport = 0
+  let timer = null
+  let stopped = false
+
+  function report () {
+    clearTimeout(timer)
+    timer = null
+    lastReport = Date.now()
+    onProgress({
+      ...state,
+      percent: bytesExpected ? Math.min(100, Math.floor(state.bytesReceived / bytesExpected * 100)) : null,
+      files: state.files.map((file) => ({ ...file }))
+    })
+  }
+
+  function update () {
+    if (stopped || timer) {
+      return
+    }
+    const wait = lastReport + interval - Date.now()
+    if (wait <= 0) {
+      report()
+    } else {
+      timer = setTimeout(report, wait)
+      timer.unref()
+    }
+  }
+
+  return {
+    // Bytes of the request body received
+    received (bytes) {
+      state.bytesReceived += bytes
+      update()
+    },
+
+    field (fieldname) {
+      state.fieldname = fieldname
+      update()
+    },
+
+    // Start tracking a file, returning its own tracker
+    file (fieldname, filename) {
+      const file = { fieldname, filename, bytesReceived: 0, done: false }
+      state.files.push(file)
+      state.fieldname = fieldname
+      update()
+
+      return {
+        received (bytes) {
+          file.bytesReceived += bytes
+          update()
+        },
+
+        end () {
+          file.done = true
+          update()
+        }
+      }
+    },
+
+    // Report the final state right away and stop
+    finish () {
+      if (!stopped) {
+        report()
+        stopped = true
+      }
+    },
+
+    // Stop without reporting, e.g. once the request failed
+    stop () {
+      clearTimeout(timer)
+      timer = null
+      stopped = true
+    }
+  }
+}
+
+module.exports = {
+  createProgressTracker
+}
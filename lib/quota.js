@@ -0,0 +1,190 @@
+'use strict'
+
+const { Transform } = require('stream')
+
+/**
+ * Quotas cap the bytes a user or tenant may upload per time window.
+ *
+ * A quota store keeps the usage of each key. It is an object with
+ * `increment(key, bytes, window)`, which adds `bytes` to the usage of `key` in its
+ * current window of `window` ms and resolves with the usage after the addition, and
+ * `decrement(key, bytes, window)`, which gives bytes back. Both may return promises.
+ * `increment` must be atomic when several processes share the store.
+ */
+
+// Bytes reserved from the store at a time, so that it is not called for every chunk
+const RESERVATION_SIZE = 1024 * 1024
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Check the `quota` option, throwing when it is invalid
+ * @param {object|null} quota
+ */
+function validateQuota (quota) {
+  if (quota === null) {
+    return
+  }
+  if (!quota || typeof quota.key !== 'function') {
+    throw new TypeError('quota.key must be a function returning the key of the request')
+  }
+  if (!(quota.limit > 0)) {
+    throw new TypeError('quota.limit must be a positive number of bytes')
+  }
+  if (quota.window !== undefined && !(quota.window > 0)) {
+    throw new TypeError('quota.window must be a positive number of milliseconds')
+  }
+  const store = quota.store
+  if (store !== undefined && (!store || typeof store.increment !== 'function' || typeof store.decrement !== 'function')) {
+    throw new TypeError('quota.store must be an object implementing increment() and decrement()')
+  }
+}
+
+/**
+ * Quota store keeping usage in memory, for a single process. A key's window
+ * starts with its first upload and its usage is reset once the window is over.
+ * @returns {{ increment: function(string, number, number): number, decrement: function(string, number): void, get: function(string): number }}
+ */
+function memoryQuotaStore () {
+  const usage = new Map()
+  let nextSweep = 0
+
+  // Forget keys whose window is over
+  function sweep (now) {
+    if (now < nextSweep) {
+      return
+    }
+    nextSweep = now + 60 * 1000
+    for (const [key, entry] of usage) {
+      if (entry.resetAt <= now) {
+        usage.delete(key)
+      }
+    }
+  }
+
+  function current (key, now) {
+    const entry = usage.get(key)
+    return entry && entry.resetAt > now ? entry : null
+  }
+
+  return {
+    increment (key, bytes, window) {
+      const now = Date.now()
+      sweep(now)
+      let entry = current(key, now)
+      if (!entry) {
+        entry = { used: 0, resetAt: now + window }
+        usage.set(key, entry)
+      }
+      entry.used += bytes
+      return entry.used
+    },
+
+    decrement (key, bytes) {
+      const entry = current(key, Date.now())
+      if (entry) {
+        entry.used = Math.max(0, entry.used - bytes)
+      }
+    },
+
+    // Bytes used by `key` in its current window
+    get (key) {
+      const entry = current(key, Date.now())
+      return entry ? entry.used : 0
+    }
+  }
+}
+
+/**
+ * Track the bytes uploaded by a request against its quota. Bytes are reserved from
+ * the store ahead of time, but never more than is left of the request body, and
+ * `release()` gives back what was not used.
+ * @param {object} quota `key`, `limit`, `window` and `store`
+ * @param {object} request Fastify request, passed to `quota.key()`
+ * @param {function(): Error} onExceeded Creates the error thrown once the limit is crossed
+ */
+function createQuotaLease (quota, request, onExceeded) {
+  // undefined until `quota.key()` has been called, null when the request has no quota
+  let key
+  // Files cannot hold more bytes than the body, when its length is known
+  const bodySize = Number(request.headers['content-length']) || Infinity
+  let reserved = 0
+  let used = 0
+  let released = false
+  let pending = Promise.resolve()
+
+  async function reserve (bytes) {
+    if (key === undefined) {
+      key = (await quota.key(request)) ?? null
+    }
+    if (key === null) {
+      return
+    }
+    const wanted = Math.max(bytes, Math.min(RESERVATION_SIZE, bodySize - reserved))
+    const total = await quota.store.increment(key, wanted, quota.window)
+    // Only keep what fits under the limit
+    const granted = Math.max(0, Math.min(wanted, quota.limit - (total - wanted)))
+    if (granted < wanted) {
+      await quota.store.decrement(key, wanted - granted, quota.window)
+    }
+    if (released) {
+      await quota.store.decrement(key, granted, quota.window)
+      return
+    }
+    reserved += granted
+  }
+
+  // Count `bytes` against the quota, rejects once it is exceeded
+  function take (bytes) {
+    const result = pending.then(async () => {
+      if (reserved - used < bytes && key !== null) {
+        await reserve(bytes - (reserved - used))
+      }
+      if (key === null) {
+        return
+      }
+      if (reserved - used < bytes) {
+        throw onExceeded()
+      }
+      used += bytes
+    })
+    pending = result.catch(() => {})
+    return result
+  }
+
+  return {
+    // Transform counting the bytes of a file against the quota
+    meter () {
+      return new Transform({
+        transform (chunk, encoding, callback) {
+          take(chunk.length).then(() => callback(null, chunk), callback)
+        }
+      })
+    },
+
+    /**
+     * Give back the unused reservation, or every byte when the upload failed
+     * @param {boolean} succeeded
+     * @returns {Promise<void>}
+     */
+    async release (succeeded) {
+      if (released) {
+        return
+      }
+      released = true
+      await pending
+      const refund = succeeded ? reserved - used : reserved
+      reserved -= refund
+      if (refund > 0 && key) {
+        await quota.store.decrement(key, refund, quota.window)
+      }
+    }
+  }
+}
+
+module.exports = {
+  DAY,
+  validateQuota,
+  memoryQuotaStore,
+  createQuotaLease
+}
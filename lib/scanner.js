@@ -0,0 +1,112 @@
+'use strict'
+
+const { PassThrough, Transform } = require('stream')
+
+/**
+ * Scanners inspect the content of files while they are stored.
+ *
+ * A scanner is an object with `scan(stream, file)`: read `stream`, which carries the
+ * bytes of the file as they are written, and resolve with `{ infected, viruses }`.
+ * `file` holds `fieldname`, `filename`, `encoding` and `mimetype`. Rejecting means
+ * the file could not be scanned (scanner unavailable, timeout...).
+ */
+
+/**
+ * Check the `scanner` option, throwing when it is not a scanner
+ * @param {object|null} scanner
+ */
+function validateScanner (scanner) {
+  if (scanner !== null && (!scanner || typeof scanner.scan !== 'function')) {
+    throw new TypeError('scanner must be an object implementing scan()')
+  }
+}
+
+/**
+ * Create a transform passing chunks through while copying them to `target`.
+ * Chunks are passed on once `target` accepted them, so a slow scanner slows the
+ * upload down instead of buffering it. A destroyed `target` is skipped.
+ * @param {import('stream').Writable} target
+ * @param {Promise<*>|null} ending The transform only ends once it resolves, and fails when it rejects
+ * @returns {import('stream').Transform}
+ */
+function createTee (target, ending) {
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      if (target.destroyed || target.writableEnded || target.write(chunk)) {
+        return callback(null, chunk)
+      }
+      const resume = () => {
+        target.off('drain', resume)
+        target.off('close', resume)
+        callback(null, chunk)
+      }
+      target.on('drain', resume)
+      target.on('close', resume)
+    },
+
+    flush (callback) {
+      if (!target.destroyed) {
+        target.end()
+      }
+      if (!ending) {
+        return callback()
+      }
+      ending.then(() => callback(), callback)
+    },
+
+    destroy (err, callback) {
+      // The file failed before its end: the scanner must not see a complete file
+      if (!target.writableEnded) {
+        target.destroy(err || new Error('File stream closed before its end'))
+      }
+      callback(err)
+    }
+  })
+}
+
+/**
+ * Start scanning a file part
+ * @param {object} scanner Scanner
+ * @param {object} part File part (fieldname, filename, encoding, mimetype)
+ * @param {function(object): *} [check] Turns the verdict into `checked`, throwing to reject the file.
+ * With it, `tee` only ends once the file has been cleared, and fails with the error otherwise.
+ * @returns {{ tee: import('stream').Transform, verdict: Promise<{ result?: object, error?: Error }>, checked: Promise<*>|null }}
+ * `tee` goes into the file's pipeline, `verdict` never rejects
+ */
+function startScan (scanner, part, check) {
+  const input = new PassThrough()
+  // Errors reach the scanner through its reads
+  input.on('error', () => {})
+
+  const file = {
+    fieldname: part.fieldname,
+    filename: part.filename,
+    encoding: part.encoding,
+    mimetype: part.mimetype
+  }
+
+  const verdict = Promise.resolve()
+    .then(() => scanner.scan(input, file))
+    .then((result) => ({
+      result: {
+        infected: Boolean(result && result.infected),
+        viruses: (result && result.viruses) || []
+      }
+    }), (error) => ({ error }))
+    .finally(() => {
+      // A scanner done before the end of the file stops receiving it
+      input.destroy()
+    })
+
+  const checked = check ? verdict.then(check) : null
+  if (checked) {
+    checked.catch(() => {})
+  }
+
+  return { tee: createTee(input, checked), verdict, checked }
+}
+
+module.exports = {
+  validateScanner,
+  startScan
+}
@@ -0,0 +1,106 @@
+'use strict'
+
+const { setValue, cloneFields } = require('./fieldnames')
+
+const MULTIPART = 'multipart/form-data'
+
+/**
+ * Resolve the JSON schema describing a multipart body.
+ * Supports both a plain `body` schema and the `body.content` map keyed by content type.
+ * @param {object} routeSchema Route schema (`request.routeOptions.schema`)
+ * @returns {object|null}
+ */
+function getBodySchema (routeSchema) {
+  const body = routeSchema && routeSchema.body
+  if (!body || typeof body !== 'object') {
+    return null
+  }
+  if (body.content) {
+    const media = body.content[MULTIPART]
+    return (media && media.schema) || null
+  }
+  return body
+}
+
+/**
+ * Check whether a property schema describes an uploaded file:
+ * a string with `format: 'binary'` (OpenAPI 3) or `contentEncoding: 'binary'` (JSON schema, Swagger 2)
+ * @param {object} schema Property schema
+ * @returns {boolean}
+ */
+function isBinary (schema) {
+  return Boolean(schema) && schema.type === 'string' && (schema.format === 'binary' || schema.contentEncoding === 'binary')
+}
+
+/**
+ * Collect the file slots declared in a body schema.
+ * A slot is a binary property, or an array whose items are binary.
+ * @param {object} schema Body schema
+ * @returns {Map<string, { multiple: boolean }>}
+ */
+function getFileSlots (schema) {
+  const slots = new Map()
+  const properties = (schema && schema.properties) || {}
+
+  for (const [name, property] of Object.entries(properties)) {
+    if (isBinary(property)) {
+      slots.set(name, { multiple: false })
+    } else if (property && property.type === 'array' && isBinary(property.items)) {
+      slots.set(name, { multiple: true })
+    }
+  }
+
+  return slots
+}
+
+/**
+ * Build the object validated against the body schema.
+ * Text fields keep their string values, file slots hold the uploaded filenames.
+ * Text values sent for a file slot and files sent for a text property are left out,
+ * so `required` reports them as missing.
+ * With a field name parser, files named after nested paths are placed there as filenames.
+ * @param {{ files: object[], fields: object }} result Parsed multipart data
+ * @param {object} schema Body schema
+ * @param {function(string): Array<string|number>} [parseFieldName] Nested field name parser
+ * @returns {object}
+ */
+function buildValidationBody (result, schema, parseFieldName) {
+  const slots = getFileSlots(schema)
+  const body = {}
+
+  for (const [name, value] of Object.entries(result.fields)) {
+    if (!slots.has(name)) {
+      body[name] = cloneFields(value)
+    }
+  }
+
+  for (const file of result.files) {
+    const path = parseFieldName ? parseFieldName(file.fieldname) : [file.fieldname]
+    if (path.length > 1) {
+      setValue(body, path, file.filename)
+      continue
+    }
+    const slot = slots.get(file.fieldname)
+    if (!slot) {
+      continue
+    }
+    if (slot.multiple) {
+      body[file.fieldname] = body[file.fieldname] || []
+      body[file.fieldname].push(file.filename)
+    } else if (body[file.fieldname] === undefined) {
+      body[file.fieldname] = file.filename
+    } else {
+      // Several files sent for a single file slot
+      body[file.fieldname] = [].concat(body[file.fieldname], file.filename)
+    }
+  }
+
+  return body
+}
+
+module.exports = {
+  getBodySchema,
+  getFileSlots,
+  isBinary,
+  buildValidationBody
+}
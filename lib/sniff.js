@@ -0,0 +1,297 @@
+'use strict'
+
+const { Transform } = require('stream')
+
+// Bytes needed to recognise every signature below
+const SAMPLE_SIZE = 4100
+
+const PE = 'application/vnd.microsoft.portable-executable'
+
+// Declared types that mean "unknown", never reported as a mismatch
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/unknown']
+
+// Client spellings of the types detected below
+const ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/x-bmp': 'image/bmp',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/x-icon': 'image/vnd.microsoft.icon',
+  'application/x-pdf': 'application/pdf',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-gzip': 'application/gzip',
+  'application/x-rar-compressed': 'application/vnd.rar',
+  'application/x-msdownload': PE,
+  'application/x-msdos-program': PE,
+  'application/x-dosexec': PE,
+  'application/x-executable': 'application/x-elf',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/x-flac': 'audio/flac',
+  'video/avi': 'video/x-msvideo',
+  'application/font-woff': 'font/woff'
+}
+
+// Types sharing a container format, compatible with each other
+const FAMILIES = [
+  [
+    'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.oasis.opendocument.presentation',
+    'application/epub+zip',
+    'application/java-archive',
+    'application/vnd.android.package-archive'
+  ],
+  ['image/heic', 'image/heif'],
+  ['video/mp4', 'audio/mp4', 'video/quicktime'],
+  ['video/webm', 'video/x-matroska', 'audio/webm']
+]
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis']
+const HEIF_BRANDS = ['mif1', 'msf1', 'heif']
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'M4V ', 'M4VP', 'f4v ']
+
+/**
+ * Check whether `buffer` holds `signature` at `offset`
+ * @param {Buffer} buffer Sample
+ * @param {number[]|string} signature Bytes or latin1 string
+ * @param {number} [offset]
+ * @returns {boolean}
+ */
+function matches (buffer, signature, offset = 0) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature
+  if (buffer.length < offset + bytes.length) {
+    return false
+  }
+  for (let i = 0; i < bytes.length; i++) {
+    if (buffer[offset + i] !== bytes[i]) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Tell ZIP based formats apart from the entries found in the sample
+ * @param {Buffer} buffer Sample starting with a local file header
+ * @returns {string}
+ */
+function detectZip (buffer) {
+  const nameLength = buffer.length >= 30 ? buffer.readUInt16LE(26) : 0
+  const firstEntry = buffer.toString('latin1', 30, 30 + nameLength)
+
+  // ODF and EPUB store their type uncompressed in a leading "mimetype" entry
+  if (firstEntry === 'mimetype') {
+    const extraLength = buffer.readUInt16LE(28)
+    const start = 30 + nameLength + extraLength
+    const declared = buffer.toString('latin1', start, start + 64)
+    const type = FAMILIES[0].find((type) => declared.startsWith(type))
+    if (type) {
+      return type
+    }
+  }
+
+  const sample = buffer.toString('latin1')
+  if (sample.includes('[Content_Types].xml') || firstEntry.startsWith('_rels/')) {
+    if (sample.includes('word/')) {
+      return FAMILIES[0][1]
+    }
+    if (sample.includes('xl/')) {
+      return FAMILIES[0][2]
+    }
+    if (sample.includes('ppt/')) {
+      return FAMILIES[0][3]
+    }
+  }
+  if (firstEntry === 'META-INF/MANIFEST.MF' || firstEntry === 'META-INF/') {
+    return 'application/java-archive'
+  }
+  if (firstEntry === 'AndroidManifest.xml') {
+    return 'application/vnd.android.package-archive'
+  }
+  return 'application/zip'
+}
+
+/**
+ * Detect the ISO base media (ftyp) brand
+ * @param {Buffer} buffer Sample with "ftyp" at offset 4
+ * @returns {string|null}
+ */
+function detectFtyp (buffer) {
+  const brand = buffer.toString('latin1', 8, 12)
+  if (brand === 'avif' || brand === 'avis') {
+    return 'image/avif'
+  }
+  if (HEIC_BRANDS.includes(brand)) {
+    return 'image/heic'
+  }
+  if (HEIF_BRANDS.includes(brand)) {
+    return 'image/heif'
+  }
+  if (brand === 'qt  ') {
+    return 'video/quicktime'
+  }
+  if (brand === 'M4A ' || brand === 'M4B ') {
+    return 'audio/mp4'
+  }
+  if (MP4_BRANDS.includes(brand)) {
+    return 'video/mp4'
+  }
+  return null
+}
+
+/**
+ * Detect a file type from its first bytes
+ * @param {Buffer} buffer Start of the file, ideally `SAMPLE_SIZE` bytes
+ * @returns {string|null} MIME type, or `null` when no signature matches
+ */
+function detectMimeType (buffer) {
+  if (matches(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png'
+  if (matches(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg'
+  if (matches(buffer, 'GIF87a') || matches(buffer, 'GIF89a')) return 'image/gif'
+  if (matches(buffer, 'RIFF')) {
+    if (matches(buffer, 'WEBP', 8)) return 'image/webp'
+    if (matches(buffer, 'WAVE', 8)) return 'audio/wav'
+    if (matches(buffer, 'AVI ', 8)) return 'video/x-msvideo'
+  }
+  if (matches(buffer, 'ftyp', 4)) {
+    const type = detectFtyp(buffer)
+    if (type) return type
+  }
+  if (matches(buffer, [0x49, 0x49, 0x2A, 0x00]) || matches(buffer, [0x4D, 0x4D, 0x00, 0x2A])) return 'image/tiff'
+  if (matches(buffer, [0x00, 0x00, 0x01, 0x00])) return 'image/vnd.microsoft.icon'
+  if (matches(buffer, '%PDF-')) return 'application/pdf'
+  if (matches(buffer, [0x50, 0x4B, 0x03, 0x04])) return detectZip(buffer)
+  if (matches(buffer, [0x50, 0x4B, 0x05, 0x06]) || matches(buffer, [0x50, 0x4B, 0x07, 0x08])) return 'application/zip'
+  if (matches(buffer, [0x1F, 0x8B, 0x08])) return 'application/gzip'
+  if (matches(buffer, 'BZh')) return 'application/x-bzip2'
+  if (matches(buffer, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return 'application/x-7z-compressed'
+  if (matches(buffer, 'Rar!\x1a\x07')) return 'application/vnd.rar'
+  if (matches(buffer, [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00])) return 'application/x-xz'
+  if (matches(buffer, 'ustar', 257)) return 'application/x-tar'
+  if (matches(buffer, [0x7F, 0x45, 0x4C, 0x46])) return 'application/x-elf'
+  if (matches(buffer, 'MZ')) return PE
+  if (
+    matches(buffer, [0xFE, 0xED, 0xFA, 0xCE]) || matches(buffer, [0xCE, 0xFA, 0xED, 0xFE]) ||
+    matches(buffer, [0xFE, 0xED, 0xFA, 0xCF]) || matches(buffer, [0xCF, 0xFA, 0xED, 0xFE])
+  ) return 'application/x-mach-binary'
+  if (matches(buffer, [0x00, 0x61, 0x73, 0x6D])) return 'application/wasm'
+  if (matches(buffer, 'SQLite format 3\x00')) return 'application/vnd.sqlite3'
+  if (matches(buffer, 'ID3') || matches(buffer, [0xFF, 0xFB]) || matches(buffer, [0xFF, 0xF3]) || matches(buffer, [0xFF, 0xF2])) return 'audio/mpeg'
+  if (matches(buffer, 'OggS')) return 'audio/ogg'
+  if (matches(buffer, 'fLaC')) return 'audio/flac'
+  if (matches(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+    return buffer.toString('latin1', 0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska'
+  }
+  if (matches(buffer, 'wOFF')) return 'font/woff'
+  if (matches(buffer, 'wOF2')) return 'font/woff2'
+  if (matches(buffer, 'BM') && buffer.length >= 14 && buffer.readUInt32LE(6) === 0) return 'image/bmp'
+  return null
+}
+
+/**
+ * Normalise a MIME type: lowercase, without parameters, aliases resolved
+ * @param {string} mimetype
+ * @returns {string}
+ */
+function normalizeMimeType (mimetype) {
+  const essence = String(mimetype || '').split(';')[0].trim().toLowerCase()
+  return ALIASES[essence] || essence
+}
+
+// Types with a signature in `detectMimeType()`, content declared as one of them must match
+const DETECTABLE = new Set([
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff', 'image/avif',
+  'image/heic', 'image/heif', 'image/vnd.microsoft.icon', 'application/pdf', 'application/gzip',
+  'application/x-bzip2', 'application/x-7z-compressed', 'application/vnd.rar', 'application/x-xz',
+  'application/x-tar', 'application/x-elf', PE, 'application/x-mach-binary', 'application/wasm',
+  'audio/wav', 'audio/ogg', 'audio/flac', 'video/x-msvideo', 'font/woff', 'font/woff2',
+  ...FAMILIES.flat()
+])
+
+/**
+ * Check whether the declared type of a file disagrees with its detected type.
+ * Generic declared types never mismatch; a detectable declared type mismatches
+ * when no signature was found.
+ * @param {string} declared MIME type sent by the client
+ * @param {string|null} detected MIME type returned by `detectMimeType()`
+ * @returns {boolean}
+ */
+function isMimeMismatch (declared, detected) {
+  const type = normalizeMimeType(declared)
+  if (!type || GENERIC_TYPES.includes(type)) {
+    return false
+  }
+  if (detected === null) {
+    return DETECTABLE.has(type)
+  }
+  if (type === detected) {
+    return false
+  }
+  return !FAMILIES.some((family) => family.includes(type) && family.includes(detected))
+}
+
+/**
+ * Create a transform holding back the first `SAMPLE_SIZE` bytes until they have
+ * been inspected. `onSample` may throw to fail the stream before any byte is passed on.
+ * @param {function(Buffer): void} onSample Called once with the sample
+ * @returns {import('stream').Transform}
+ */
+function createSniffer (onSample) {
+  let chunks = []
+  let length = 0
+
+  function release (stream) {
+    const sample = Buffer.concat(chunks)
+    chunks = null
+    onSample(sample)
+    if (sample.length > 0) {
+      stream.push(sample)
+    }
+  }
+
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      if (chunks === null) {
+        return callback(null, chunk)
+      }
+      chunks.push(chunk)
+      length += chunk.length
+      if (length < SAMPLE_SIZE) {
+        return callback()
+      }
+      try {
+        release(this)
+        callback()
+      } catch (err) {
+        callback(err)
+      }
+    },
+
+    flush (callback) {
+      if (chunks === null) {
+        return callback()
+      }
+      try {
+        release(this)
+        callback()
+      } catch (err) {
+        callback(err)
+      }
+    }
+  })
+}
+
+module.exports = {
+  SAMPLE_SIZE,
+  detectMimeType,
+  normalizeMimeType,
+  isMimeMismatch,
+  createSniffer
+}
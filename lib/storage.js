@@ -0,0 +1,304 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { once } = require('events')
+const { Readable } = require('stream')
+const { pipeline } = require('stream/promises')
+
+/**
+ * Storage engines decide where the bytes of each uploaded file go.
+ *
+ * An engine is an object with:
+ * - `_handleFile(part)`: consume `part.stream` and resolve with an info object
+ *   describing the stored file. `size` (bytes) is expected, `path` or `buffer`
+ *   make `toBuffer()` / `createReadStream()` work without further help.
+ * - `_removeFile(info)`: delete a stored file, called when the upload fails.
+ * - `_createReadStream(info)` (optional): read a stored file back, for engines
+ *   that store neither a `path` nor a `buffer`.
+ * - `temporary` (optional): when `true`, stored paths are removed once the response is sent.
+ *
+ * `part` holds `fieldname`, `filename`, `encoding`, `mimetype` and `stream`.
+ */
+
+/**
+ * Generate a unique temp file name
+ * @returns {string}
+ */
+function tempName () {
+  return `upload_${Date.now()}_${Math.random().toString(36).substring(7)}`
+}
+
+/**
+ * Tell whether a file name was generated by `tempName()`
+ * @param {string} name File name
+ * @returns {boolean}
+ */
+function isTempName (name) {
+  return /^upload_\d+_[a-z0-9]*$/.test(name)
+}
+
+/**
+ * Write a stream to a file, removing the file if writing fails
+ * @param {import('stream').Readable} stream Source stream
+ * @param {string} filePath Destination path
+ * @returns {Promise<number>} Bytes written
+ */
+async function writeFile (stream, filePath) {
+  const writeStream = fs.createWriteStream(filePath)
+  try {
+    await pipeline(stream, writeStream)
+  } catch (err) {
+    await fs.promises.unlink(filePath).catch(() => {})
+    throw err
+  }
+  return writeStream.bytesWritten
+}
+
+/**
+ * Store files as temporary files, removed once the response is sent
+ * @param {object} options
+ * @param {string} options.tempDir Directory of the temp files
+ * @param {Set<string>} [options.tempFiles] Temp file paths are added as soon as they are created, and deleted with the files
+ * @returns {object} Storage engine
+ */
+function diskStorage (options) {
+  const { tempDir, tempFiles = new Set() } = options
+
+  return {
+    temporary: true,
+
+    async _handleFile (part) {
+      await fs.promises.mkdir(tempDir, { recursive: true })
+      const filePath = path.join(tempDir, tempName())
+      tempFiles.add(filePath)
+      try {
+        const size = await writeFile(part.stream, filePath)
+        return { path: filePath, size }
+      } catch (err) {
+        tempFiles.delete(filePath)
+        throw err
+      }
+    },
+
+    async _removeFile (info) {
+      tempFiles.delete(info.path)
+      await fs.promises.unlink(info.path).catch(() => {})
+    }
+  }
+}
+
+/**
+ * Keep files in memory as buffers
+ * @returns {object} Storage engine
+ */
+function memoryStorage () {
+  return {
+    async _handleFile (part) {
+      const chunks = []
+      for await (const chunk of part.stream) {
+        chunks.push(chunk)
+      }
+      const buffer = Buffer.concat(chunks)
+      return { buffer, size: buffer.length }
+    },
+
+    async _removeFile (info) {
+      info.buffer = null
+    }
+  }
+}
+
+/**
+ * Keep files in memory up to a threshold, spilling larger files to temporary files
+ * @param {object} options
+ * @param {string} options.tempDir Directory of the temp files
+ * @param {number} options.threshold Bytes kept in memory
+ * @param {Set<string>} [options.tempFiles] Temp file paths are added as soon as they are created, and deleted with the files
+ * @returns {object} Storage engine
+ */
+function hybridStorage (options) {
+  const { tempDir, threshold, tempFiles = new Set() } = options
+
+  return {
+    temporary: true,
+
+    async _handleFile (part) {
+      const chunks = []
+      let size = 0
+      let filePath = null
+      let writeStream = null
+
+      try {
+        for await (const chunk of part.stream) {
+          size += chunk.length
+
+          if (writeStream) {
+            if (!writeStream.write(chunk)) {
+              await once(writeStream, 'drain')
+            }
+            continue
+          }
+
+          chunks.push(chunk)
+          if (size > threshold) {
+            // Past the threshold: move what has been buffered to a temp file
+            await fs.promises.mkdir(tempDir, { recursive: true })
+            filePath = path.join(tempDir, tempName())
+            tempFiles.add(filePath)
+            writeStream = fs.createWriteStream(filePath)
+            writeStream.on('error', (err) => part.stream.destroy(err))
+            writeStream.write(Buffer.concat(chunks))
+            chunks.length = 0
+          }
+        }
+
+        if (writeStream) {
+          writeStream.end()
+          await once(writeStream, 'finish')
+          return { path: filePath, size }
+        }
+      } catch (err) {
+        if (writeStream) {
+          writeStream.destroy()
+          tempFiles.delete(filePath)
+          await fs.promises.unlink(filePath).catch(() => {})
+        }
+        throw err
+      }
+
+      return { buffer: Buffer.concat(chunks), size }
+    },
+
+    async _removeFile (info) {
+      if (info.path) {
+        tempFiles.delete(info.path)
+        await fs.promises.unlink(info.path).catch(() => {})
+      }
+      info.buffer = null
+    }
+  }
+}
+
+/**
+ * Store files permanently in a directory
+ * @param {object} options
+ * @param {string|function(object): string} options.destination Directory, or function of the part returning one
+ * @param {function(object): string} [options.filename] Function of the part returning the stored file name
+ * @returns {object} Storage engine
+ */
+function directoryStorage (options) {
+  const { destination, filename = () => crypto.randomUUID() } = options
+
+  if (!destination) {
+    throw new TypeError('directoryStorage requires a destination')
+  }
+
+  return {
+    async _handleFile (part) {
+      const directory = path.resolve(typeof destination === 'function' ? await destination(part) : destination)
+      const filePath = path.resolve(directory, await filename(part))
+
+      // The naming function must not escape the destination directory
+      if (path.dirname(filePath) !== directory) {
+        throw new Error(`Invalid stored filename for field "${part.fieldname}"`)
+      }
+
+      await fs.promises.mkdir(directory, { recursive: true })
+      const size = await writeFile(part.stream, filePath)
+      return { destination: directory, path: filePath, size }
+    },
+
+    async _removeFile (info) {
+      await fs.promises.unlink(info.path).catch(() => {})
+    }
+  }
+}
+
+/**
+ * Build the file object handed to route handlers from what the storage engine returned
+ * @param {object} part File part (fieldname, filename, encoding, mimetype)
+ * @param {object} stored Info resolved by the engine's `_handleFile()`
+ * @param {object} storage Storage engine
+ * @returns {object} Multipart file
+ */
+function createFile (part, stored, storage) {
+  return {
+    ...stored,
+    fieldname: part.fieldname,
+    filename: part.filename,
+    safeFilename: part.safeFilename,
+    encoding: part.encoding,
+    mimetype: part.mimetype,
+    size: stored.size,
+
+    // Method to read file as buffer
+    async toBuffer () {
+      if (stored.buffer) {
+        return stored.buffer
+      }
+      if (stored.path && !storage._createReadStream) {
+        return fs.promises.readFile(stored.path)
+      }
+      const chunks = []
+      for await (const chunk of this.createReadStream()) {
+        chunks.push(chunk)
+      }
+      return Buffer.concat(chunks)
+    },
+
+    // Method to create read stream
+    createReadStream () {
+      if (storage._createReadStream) {
+        return storage._createReadStream(stored)
+      }
+      if (stored.buffer) {
+        return Readable.from([stored.buffer])
+      }
+      if (stored.path) {
+        return fs.createReadStream(stored.path)
+      }
+      throw new Error(`Storage engine cannot read back file "${part.filename}"`)
+    },
+
+    // Temporary file path (for cleanup)
+    _tempPath: storage.temporary ? stored.path : undefined,
+
+    // Info returned by the storage engine
+    _storage: stored
+  }
+}
+
+/**
+ * Resolve the `storage` option into an engine
+ * @param {string|object} storage `'disk'`, `'memory'`, `'hybrid'` or a custom engine
+ * @param {{ tempDir: string, memoryThreshold: number }} options Resolved plugin options
+ * @param {Set<string>} [tempFiles] Paths of the temp files being written or held by requests
+ * @returns {object} Storage engine
+ */
+function getStorage (storage, options, tempFiles) {
+  if (storage === 'disk' || storage === undefined) {
+    return diskStorage({ tempDir: options.tempDir, tempFiles })
+  }
+  if (storage === 'memory') {
+    return memoryStorage()
+  }
+  if (storage === 'hybrid') {
+    return hybridStorage({ tempDir: options.tempDir, threshold: options.memoryThreshold, tempFiles })
+  }
+  if (storage && typeof storage._handleFile === 'function' && typeof storage._removeFile === 'function') {
+    return storage
+  }
+  throw new TypeError('storage must be "disk", "memory", "hybrid" or an object implementing _handleFile() and _removeFile()')
+}
+
+module.exports = {
+  diskStorage,
+  memoryStorage,
+  hybridStorage,
+  directoryStorage,
+  getStorage,
+  createFile,
+  isTempName
+}
@@ -0,0 +1,163 @@
+'use strict'
+
+const { isBinary } = require('./schema')
+
+const MULTIPART = 'multipart/form-data'
+
+// Operation key carrying what @fastify/swagger cannot write itself, moved into the request body by `swaggerTransformObject()`
+const EXTENSION = 'x-multipart'
+
+/**
+ * Tell whether a route schema describes a multipart body
+ * @param {object} schema Route schema
+ * @returns {boolean}
+ */
+function isMultipartRoute (schema) {
+  const body = schema.body
+  if (!body || typeof body !== 'object') {
+    return false
+  }
+  if (body.content) {
+    return Boolean(body.content[MULTIPART])
+  }
+  return Array.isArray(schema.consumes) && schema.consumes.includes(MULTIPART)
+}
+
+/**
+ * Describe a file the way the spec expects it: `format: 'binary'` for OpenAPI 3,
+ * `contentEncoding: 'binary'` for Swagger 2 (which @fastify/swagger turns into `type: 'file'`)
+ * @param {object} schema File property schema
+ * @param {boolean} swagger2
+ * @returns {object}
+ */
+function describeFile (schema, swagger2) {
+  const { contentMediaType, contentEncoding, format, ...rest } = schema
+  return swagger2
+    ? { ...rest, type: 'string', contentEncoding: 'binary' }
+    : { ...rest, type: 'string', format: 'binary' }
+}
+
+/**
+ * Normalize the properties of a multipart body schema, collecting the content type
+ * declared for each part with `contentMediaType`
+ * @param {object} body Body schema
+ * @param {boolean} swagger2
+ * @returns {{ body: object, encoding: Object<string, object> }}
+ */
+function describeParts (body, swagger2) {
+  const properties = {}
+  const encoding = {}
+
+  for (const [name, property] of Object.entries(body.properties || {})) {
+    let described = property
+    let contentType = null
+
+    if (isBinary(property)) {
+      contentType = property.contentMediaType
+      described = describeFile(property, swagger2)
+    } else if (property && property.type === 'array' && isBinary(property.items)) {
+      contentType = property.items.contentMediaType
+      described = { ...property, items: describeFile(property.items, swagger2) }
+    } else if (property && property.contentMediaType) {
+      // A text part with its own content type, e.g. a JSON field
+      const { contentMediaType, ...rest } = property
+      contentType = contentMediaType
+      described = rest
+    }
+
+    if (contentType) {
+      encoding[name] = { contentType }
+    }
+    Object.defineProperty(properties, name, { value: described, writable: true, enumerable: true, configurable: true })
+  }
+
+  return { body: body.properties ? { ...body, properties } : body, encoding }
+}
+
+/**
+ * `transform` for @fastify/swagger documenting multipart routes.
+ * Routes with `consumes: ['multipart/form-data']`, or a `body.content['multipart/form-data']`
+ * schema, get a multipart request body whose file properties (`format: 'binary'`,
+ * `contentEncoding: 'binary'`, or arrays of them) show up as file inputs.
+ * `contentMediaType` of a property, and `body.content['multipart/form-data'].encoding`,
+ * become the part's `encoding` once `swaggerTransformObject()` runs.
+ * Other routes are left unchanged.
+ * @param {object} options Passed by @fastify/swagger
+ * @param {object} [options.schema] Route schema
+ * @param {string} options.url Route url
+ * @param {object} [options.swaggerObject] Set when generating a Swagger 2 document
+ * @returns {{ schema: object, url: string }}
+ */
+function swaggerTransform ({ schema, url, swaggerObject }) {
+  if (!schema || !isMultipartRoute(schema)) {
+    return { schema, url }
+  }
+
+  const swagger2 = Boolean(swaggerObject)
+  let body = schema.body
+  let consumes = schema.consumes
+  let encoding = {}
+  let content = null
+
+  if (body.content) {
+    // The content map is not understood by @fastify/swagger: document the multipart schema
+    // and hand the other media types over to `swaggerTransformObject()`
+    const { [MULTIPART]: media, ...others } = body.content
+    body = media.schema || { type: 'object' }
+    encoding = { ...media.encoding }
+    consumes = [MULTIPART]
+    if (Object.keys(others).length > 0) {
+      content = others
+    }
+  }
+
+  const described = describeParts(body, swagger2)
+  encoding = { ...described.encoding, ...encoding }
+
+  const transformed = { ...schema, body: described.body, consumes }
+  if (!swagger2 && (Object.keys(encoding).length > 0 || content)) {
+    transformed[EXTENSION] = { encoding, content }
+  }
+  return { schema: transformed, url }
+}
+
+/**
+ * `transformObject` for @fastify/swagger, completing what `swaggerTransform()` started:
+ * sets the `encoding` of multipart request bodies and restores the other media types
+ * of `body.content` schemas. Swagger 2 documents are returned unchanged.
+ * @param {object} options Passed by @fastify/swagger
+ * @param {object} [options.openapiObject] Generated OpenAPI 3 document
+ * @param {object} [options.swaggerObject] Generated Swagger 2 document
+ * @returns {object} The document
+ */
+function swaggerTransformObject ({ openapiObject, swaggerObject }) {
+  if (!openapiObject) {
+    return swaggerObject
+  }
+
+  for (const pathItem of Object.values(openapiObject.paths || {})) {
+    for (const operation of Object.values(pathItem)) {
+      const extension = operation && operation[EXTENSION]
+      if (!extension) {
+        continue
+      }
+      delete operation[EXTENSION]
+
+      const content = operation.requestBody && operation.requestBody.content
+      if (!content) {
+        continue
+      }
+      if (content[MULTIPART] && Object.keys(extension.encoding).length > 0) {
+        content[MULTIPART].encoding = extension.encoding
+      }
+      Object.assign(content, extension.content)
+    }
+  }
+
+  return openapiObject
+}
+
+module.exports = {
+  swaggerTransform,
+  swaggerTransformObject
+}
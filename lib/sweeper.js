@@ -0,0 +1,57 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { isTempName } = require('./storage')
+
+/**
+ * Remove temp upload files left behind by crashed or killed processes
+ * @param {object} options
+ * @param {string} options.tempDir Directory to sweep
+ * @param {number} options.maxAge Files not modified for this long (ms) are removed
+ * @param {function(string): boolean} options.isActive Tells whether a path belongs to an in-flight request
+ * @returns {Promise<string[]>} Paths removed
+ */
+async function sweepTempFiles (options) {
+  const { tempDir, maxAge, isActive } = options
+
+  let names
+  try {
+    names = await fs.promises.readdir(tempDir)
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return []
+    }
+    throw err
+  }
+
+  const removed = []
+  const cutoff = Date.now() - maxAge
+
+  for (const name of names) {
+    if (!isTempName(name)) {
+      continue
+    }
+    const filePath = path.join(tempDir, name)
+    if (isActive(filePath)) {
+      continue
+    }
+    try {
+      const stats = await fs.promises.stat(filePath)
+      // Files still being written keep a fresh modification time
+      if (!stats.isFile() || stats.mtimeMs > cutoff) {
+        continue
+      }
+      await fs.promises.unlink(filePath)
+      removed.push(filePath)
+    } catch {
+      // Removed in the meantime
+    }
+  }
+
+  return removed
+}
+
+module.exports = {
+  sweepTempFiles
+}
@@ -0,0 +1,79 @@
+'use strict'
+
+const { Transform } = require('stream')
+
+/**
+ * Token bucket holding up to `burst` bytes, refilled at `rate` bytes per second.
+ * Taking more than is available leaves the bucket in debt: the caller waits
+ * until the debt is repaid, and callers sharing the bucket queue up behind it.
+ * @param {number} rate Bytes per second
+ * @param {number} [burst] Bytes that may be taken at once (default: one second worth)
+ */
+function createTokenBucket (rate, burst = rate) {
+  let tokens = burst
+  let refilledAt = Date.now()
+
+  return {
+    burst,
+
+    /**
+     * Take `bytes` from the bucket
+     * @param {number} bytes
+     * @returns {number} Milliseconds to wait before using them
+     */
+    take (bytes) {
+      const now = Date.now()
+      tokens = Math.min(burst, tokens + (now - refilledAt) * rate / 1000)
+      refilledAt = now
+      tokens -= bytes
+      return tokens >= 0 ? 0 : Math.ceil(-tokens * 1000 / rate)
+    }
+  }
+}
+
+/**
+ * Transform letting bytes through at the pace of all `buckets`. A chunk is only
+ * acknowledged once it may be passed on, so a piped source is paused meanwhile
+ * instead of being buffered.
+ * @param {object[]} buckets Token buckets
+ * @returns {Transform}
+ */
+function createThrottle (buckets) {
+  // Slices of at most one burst keep the pace steady
+  const sliceSize = Math.max(1, Math.min(...buckets.map((bucket) => bucket.burst)))
+  let timer = null
+
+  return new Transform({
+    transform (chunk, encoding, callback) {
+      let offset = 0
+      const next = () => {
+        while (offset < chunk.length) {
+          const slice = chunk.subarray(offset, offset + sliceSize)
+          offset += slice.length
+          const wait = Math.max(...buckets.map((bucket) => bucket.take(slice.length)))
+          if (wait > 0) {
+            timer = setTimeout(() => {
+              timer = null
+              this.push(slice)
+              next()
+            }, wait)
+            return
+          }
+          this.push(slice)
+        }
+        callback()
+      }
+      next()
+    },
+
+    destroy (err, callback) {
+      clearTimeout(timer)
+      callback(err)
+    }
+  })
+}
+
+module.exports = {
+  createTokenBucket,
+  createThrottle
+}
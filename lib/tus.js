@@ -0,0 +1,365 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const { Transform } = require('stream')
+const { pipeline } = require('stream/promises')
+const createError = require('@fastify/error')
+const { createFile } = require('./storage')
+const { sanitizeFilename } = require('./filename')
+
+const TUS_VERSION = '1.0.0'
+const TUS_EXTENSIONS = 'creation,creation-with-upload,termination'
+const OFFSET_CONTENT_TYPE = 'application/offset+octet-stream'
+const ID_PATTERN = /^[a-f0-9]{32}$/
+const INFO_NAME_PATTERN = /^tus_([a-f0-9]{32})\.json$/
+
+const DAY = 24 * 60 * 60 * 1000
+// Expired uploads are looked for at least this often
+const SWEEP_INTERVAL = 15 * 60 * 1000
+
+const UnsupportedVersion = createError('FST_MULTIPART_TUS_UNSUPPORTED_VERSION', 'Unsupported tus version, expected %s', 412)
+const InvalidHeader = createError('FST_MULTIPART_TUS_INVALID_HEADER', 'Invalid or missing %s header', 400)
+const UploadNotFound = createError('FST_MULTIPART_TUS_NOT_FOUND', 'Upload not found', 404)
+const OffsetMismatch = createError('FST_MULTIPART_TUS_OFFSET_MISMATCH', 'Upload-Offset %s does not match the current offset %s', 409)
+const UploadLocked = createError('FST_MULTIPART_TUS_LOCKED', 'Upload is being written by another request', 409)
+const UploadTooLarge = createError('FST_MULTIPART_TUS_SIZE_LIMIT', 'Upload exceeds the allowed size of %s bytes', 413)
+const InvalidContentType = createError('FST_MULTIPART_TUS_INVALID_CONTENT_TYPE', `Content-Type must be ${OFFSET_CONTENT_TYPE}`, 415)
+
+/**
+ * Parse the Upload-Metadata header: comma separated `key base64value` pairs
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ */
+function parseMetadata (header) {
+  const metadata = {}
+  if (!header) {
+    return metadata
+  }
+  for (const pair of header.split(',')) {
+    const [key, value = '', ...rest] = pair.trim().split(' ')
+    if (!key || rest.length > 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      throw new InvalidHeader('Upload-Metadata')
+    }
+    metadata[key] = Buffer.from(value, 'base64').toString('utf8')
+  }
+  return metadata
+}
+
+/**
+ * Serialize metadata back into an Upload-Metadata header
+ * @param {Object<string, string>} metadata
+ * @returns {string}
+ */
+function serializeMetadata (metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => value ? `${key} ${Buffer.from(value, 'utf8').toString('base64')}` : key)
+    .join(',')
+}
+
+/**
+ * Parse a non-negative integer header
+ * @param {string} value Header value
+ * @param {string} name Header name, for errors
+ * @returns {number}
+ */
+function parseInteger (value, name) {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    throw new InvalidHeader(name)
+  }
+  return Number(value)
+}
+
+/**
+ * Fastify plugin implementing the tus 1.0 resumable upload protocol
+ * (core, creation, creation-with-upload and termination extensions).
+ * Register it with a `prefix`; uploads are stored under `tempDir` and completed
+ * uploads are handed to `onComplete` as multipart file objects. Uploads, complete
+ * or not, are removed once they have not been written to for `expireAfter` ms.
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {object} options
+ * @param {string} [options.tempDir] Directory holding uploads and their metadata (default: os.tmpdir())
+ * @param {number} [options.maxSize] Maximum Upload-Length in bytes (default: unlimited)
+ * @param {number|null} [options.expireAfter] Milliseconds after the last write an upload is removed, null to keep uploads (default: 24h)
+ * @param {function(object, object, object): Promise<void>} [options.onComplete] Called with (file, request, reply) once an upload is complete
+ */
+async function tusPlugin (fastify, options) {
+  const {
+    tempDir = os.tmpdir(),
+    maxSize = null,
+    expireAfter = DAY,
+    onComplete = null
+  } = options
+
+  if (expireAfter !== null && !(expireAfter > 0)) {
+    throw new TypeError('expireAfter must be a positive number of milliseconds or null')
+  }
+
+  const locks = new Set()
+
+  const dataPath = (id) => path.join(tempDir, `tus_${id}`)
+  const infoPath = (id) => path.join(tempDir, `tus_${id}.json`)
+
+  // Time of the last write to an upload: its data, or its info once completed
+  async function lastWrite (id) {
+    const times = await Promise.all([dataPath(id), infoPath(id)].map((filePath) => {
+      return fs.promises.stat(filePath).then((stats) => stats.mtimeMs, () => 0)
+    }))
+    return Math.max(...times)
+  }
+
+  function isExpired (writtenAt) {
+    return expireAfter !== null && writtenAt + expireAfter <= Date.now()
+  }
+
+  async function readInfo (id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new UploadNotFound()
+    }
+    let info
+    try {
+      info = JSON.parse(await fs.promises.readFile(infoPath(id), 'utf8'))
+    } catch {
+      throw new UploadNotFound()
+    }
+    // Expired uploads are gone for clients, even before they are swept
+    if (!locks.has(id) && isExpired(await lastWrite(id))) {
+      throw new UploadNotFound()
+    }
+    // The offset is the size of the data written so far. Completed uploads keep
+    // their length once `onComplete` moved the data away.
+    const { size } = await fs.promises.stat(dataPath(id)).catch(() => ({ size: 0 }))
+    return { ...info, offset: info.completed ? info.length : size }
+  }
+
+  async function remove (id) {
+    await fs.promises.unlink(dataPath(id)).catch(() => {})
+    await fs.promises.unlink(infoPath(id)).catch(() => {})
+  }
+
+  // Remove the uploads that expired, complete or not
+  async function sweep () {
+    let names
+    try {
+      names = await fs.promises.readdir(tempDir)
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return
+      }
+      throw err
+    }
+    for (const name of names) {
+      const match = INFO_NAME_PATTERN.exec(name)
+      if (match && !locks.has(match[1]) && isExpired(await lastWrite(match[1]))) {
+        await remove(match[1])
+      }
+    }
+  }
+
+  // Tell the client when an unfinished upload expires, counted from now since it was just written
+  function setExpires (reply) {
+    if (expireAfter !== null) {
+      reply.header('Upload-Expires', new Date(Date.now() + expireAfter).toUTCString())
+    }
+  }
+
+  function toFile (info) {
+    const filename = info.metadata.filename || info.metadata.name || 'unnamed'
+    const part = {
+      fieldname: null,
+      filename,
+      safeFilename: sanitizeFilename(filename),
+      encoding: '7bit',
+      mimetype: info.metadata.filetype || info.metadata.type || 'application/octet-stream'
+    }
+    const file = createFile(part, { path: dataPath(info.id), size: info.length }, {})
+    file.id = info.id
+    file.metadata = info.metadata
+    return file
+  }
+
+  // Append the request body at the current offset, returning the new offset
+  async function append (request, info) {
+    if (request.headers['content-type'] !== OFFSET_CONTENT_TYPE) {
+      throw new InvalidContentType()
+    }
+    if (locks.has(info.id)) {
+      throw new UploadLocked()
+    }
+    if (!request.body) {
+      return info.offset
+    }
+
+    locks.add(info.id)
+    try {
+      let offset = info.offset
+      const limiter = new Transform({
+        transform (chunk, encoding, callback) {
+          if (offset + chunk.length > info.length) {
+            return callback(new UploadTooLarge(info.length))
+          }
+          offset += chunk.length
+          callback(null, chunk)
+        }
+      })
+      // Bytes received before an error or a disconnect are kept, so the client can resume
+      await pipeline(request.body, limiter, fs.createWriteStream(dataPath(info.id), { flags: 'a' }))
+      return offset
+    } finally {
+      locks.delete(info.id)
+    }
+  }
+
+  // Hand a full upload to `onComplete`. It is only marked completed once `onComplete`
+  // succeeded, so a client retrying the last request runs it again.
+  async function complete (info, request, reply) {
+    if (locks.has(info.id)) {
+      throw new UploadLocked()
+    }
+    locks.add(info.id)
+    try {
+      if (onComplete) {
+        await onComplete(toFile(info), request, reply)
+      }
+      const { offset, ...stored } = info
+      await fs.promises.writeFile(infoPath(info.id), JSON.stringify({ ...stored, completed: true }))
+    } finally {
+      locks.delete(info.id)
+    }
+  }
+
+  if (expireAfter !== null) {
+    let timer = null
+    const sweepExpired = () => sweep().catch((err) => {
+      fastify.log.warn({ err }, 'Failed to remove expired tus uploads')
+    })
+
+    fastify.addHook('onReady', async () => {
+      await sweepExpired()
+      timer = setInterval(sweepExpired, Math.min(expireAfter, SWEEP_INTERVAL))
+      timer.unref()
+    })
+    fastify.addHook('onClose', async () => {
+      clearInterval(timer)
+    })
+  }
+
+  fastify.addContentTypeParser(OFFSET_CONTENT_TYPE, function (request, payload, done) {
+    done(null, payload)
+  })
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    reply.header('Tus-Resumable', TUS_VERSION)
+    if (request.method !== 'OPTIONS' && request.headers['tus-resumable'] !== TUS_VERSION) {
+      reply.header('Tus-Version', TUS_VERSION)
+      throw new UnsupportedVersion(TUS_VERSION)
+    }
+  })
+
+  fastify.options('/', async (request, reply) => {
+    reply.header('Tus-Version', TUS_VERSION)
+    reply.header('Tus-Extension', expireAfter !== null ? `${TUS_EXTENSIONS},expiration` : TUS_EXTENSIONS)
+    if (maxSize) {
+      reply.header('Tus-Max-Size', maxSize)
+    }
+    return reply.code(204).send()
+  })
+
+  // creation: POST with Upload-Length and optional Upload-Metadata
+  fastify.post('/', async (request, reply) => {
+    const length = parseInteger(request.headers['upload-length'], 'Upload-Length')
+    if (maxSize && length > maxSize) {
+      throw new UploadTooLarge(maxSize)
+    }
+
+    const info = {
+      id: crypto.randomBytes(16).toString('hex'),
+      length,
+      metadata: parseMetadata(request.headers['upload-metadata']),
+      createdAt: new Date().toISOString()
+    }
+
+    await fs.promises.mkdir(tempDir, { recursive: true })
+    await fs.promises.writeFile(dataPath(info.id), '')
+    await fs.promises.writeFile(infoPath(info.id), JSON.stringify(info))
+
+    let offset = 0
+    // creation-with-upload: the body holds the first chunk
+    if (request.headers['content-type'] === OFFSET_CONTENT_TYPE) {
+      offset = await append(request, { ...info, offset })
+      reply.header('Upload-Offset', offset)
+    }
+
+    if (offset === length) {
+      await complete({ ...info, offset }, request, reply)
+    }
+
+    if (offset < length) {
+      setExpires(reply)
+    }
+    reply.header('Location', `${fastify.prefix}/${info.id}`)
+    return reply.code(201).send()
+  })
+
+  fastify.head('/:id', async (request, reply) => {
+    const info = await readInfo(request.params.id)
+    reply.header('Cache-Control', 'no-store')
+    reply.header('Upload-Offset', info.offset)
+    reply.header('Upload-Length', info.length)
+    if (expireAfter !== null && !info.completed) {
+      reply.header('Upload-Expires', new Date(await lastWrite(info.id) + expireAfter).toUTCString())
+    }
+    if (Object.keys(info.metadata).length > 0) {
+      reply.header('Upload-Metadata', serializeMetadata(info.metadata))
+    }
+    return reply.code(200).send()
+  })
+
+  fastify.patch('/:id', async (request, reply) => {
+    const info = await readInfo(request.params.id)
+    const offset = parseInteger(request.headers['upload-offset'], 'Upload-Offset')
+    if (offset !== info.offset) {
+      throw new OffsetMismatch(offset, info.offset)
+    }
+
+    const newOffset = await append(request, info)
+    // Also when a previous `onComplete` failed and the client retries at the end of the upload
+    if (newOffset === info.length && !info.completed) {
+      await complete({ ...info, offset: newOffset }, request, reply)
+    }
+
+    if (newOffset < info.length) {
+      setExpires(reply)
+    }
+    reply.header('Upload-Offset', newOffset)
+    return reply.code(204).send()
+  })
+
+  // termination
+  fastify.delete('/:id', async (request, reply) => {
+    const info = await readInfo(request.params.id)
+    if (locks.has(info.id)) {
+      throw new UploadLocked()
+    }
+    await remove(info.id)
+    return reply.code(204).send()
+  })
+}
+
+tusPlugin.errors = {
+  UnsupportedVersion,
+  InvalidHeader,
+  UploadNotFound,
+  OffsetMismatch,
+  UploadLocked,
+  UploadTooLarge,
+  InvalidContentType
+}
+
+module.exports = {
+  tusPlugin,
+  parseMetadata,
+  serializeMetadata
+}
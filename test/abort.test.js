@@ -0,0 +1,153 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { setTimeout: sleep } = require('timers/promises')
+const multipart = require('../index')
+
+function buildForm () {
+  const form = new FormData()
+  form.append('name', 'John')
+  form.append('file', Buffer.alloc(1024 * 1024, 1), { filename: 'large.bin' })
+  return form
+}
+
+async function build (t, options = {}) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-abort-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  const fastify = Fastify({ forceCloseConnections: true })
+  await fastify.register(multipart, { tempDir, ...options })
+  t.teardown(() => fastify.close())
+
+  return { fastify, tempDir }
+}
+
+// Send `sent` bytes of the body (all of it by default), then, unless the whole
+// body was sent, disconnect once the server has started receiving it
+async function send (fastify, form, { sent, disconnect }) {
+  await fastify.listen({ port: 0, host: '127.0.0.1' })
+  const body = form.getBuffer()
+
+  const req = http.request({
+    agent: false,
+    port: fastify.server.address().port,
+    host: '127.0.0.1',
+    method: 'POST',
+    path: '/upload',
+    headers: form.getHeaders({ 'content-length': body.length })
+  })
+  req.on('error', () => {})
+  req.write(body.subarray(0, sent || body.length))
+
+  await disconnect
+  req.destroy()
+}
+
+// Resolves with what the handler settled with
+function deferred () {
+  let resolve
+  const promise = new Promise((_resolve) => { resolve = _resolve })
+  return { promise, resolve }
+}
+
+test('parseMultipart() should reject and remove partial files when the client disconnects', async t => {
+  const { fastify, tempDir } = await build(t)
+
+  const started = deferred()
+  const settled = deferred()
+  fastify.post('/upload', async (request, reply) => {
+    started.resolve()
+    try {
+      await request.parseMultipart()
+      settled.resolve('resolved')
+    } catch (err) {
+      settled.resolve(err.code)
+      throw err
+    }
+  })
+
+  await send(fastify, buildForm(), {
+    sent: 512 * 1024,
+    disconnect: started.promise.then(() => sleep(50))
+  })
+
+  t.equal(await settled.promise, 'FST_MULTIPART_REQUEST_ABORTED')
+  await sleep(50)
+  t.same(fs.readdirSync(tempDir), [], 'partial file removed')
+})
+
+test('hybrid storage should discard spilled files when the client disconnects', async t => {
+  const { fastify, tempDir } = await build(t, { storage: 'hybrid', memoryThreshold: 1024 })
+
+  const started = deferred()
+  const settled = deferred()
+  fastify.post('/upload', async (request, reply) => {
+    started.resolve()
+    await request.parseMultipart().then(() => settled.resolve('resolved'), (err) => settled.resolve(err.code))
+  })
+
+  await send(fastify, buildForm(), {
+    sent: 512 * 1024,
+    disconnect: started.promise.then(() => sleep(50))
+  })
+
+  t.equal(await settled.promise, 'FST_MULTIPART_REQUEST_ABORTED')
+  await sleep(50)
+  t.same(fs.readdirSync(tempDir), [])
+})
+
+test('parts() should throw when the client disconnects', async t => {
+  const { fastify } = await build(t)
+
+  const started = deferred()
+  const settled = deferred()
+  fastify.post('/upload', async (request, reply) => {
+    started.resolve()
+    try {
+      for await (const part of request.parts()) {
+        if (part.type === 'file') {
+          for await (const chunk of part.stream) { // eslint-disable-line no-unused-vars
+          }
+        }
+      }
+      settled.resolve('resolved')
+    } catch (err) {
+      settled.resolve(err.code)
+    }
+  })
+
+  await send(fastify, buildForm(), {
+    sent: 512 * 1024,
+    disconnect: started.promise.then(() => sleep(50))
+  })
+
+  t.equal(await settled.promise, 'FST_MULTIPART_REQUEST_ABORTED')
+})
+
+test('temp files should be removed when the client disconnects before the response', async t => {
+  const { fastify, tempDir } = await build(t)
+
+  const parsed = deferred()
+  fastify.post('/upload', async (request, reply) => {
+    await request.parseMultipart()
+    parsed.resolve()
+    // A slow handler: the client gives up before the response is sent
+    await sleep(500)
+    return { success: true }
+  })
+
+  await send(fastify, buildForm(), {
+    disconnect: parsed.promise.then(() => {
+      t.equal(fs.readdirSync(tempDir).length, 1)
+    })
+  })
+
+  await sleep(100)
+  t.same(fs.readdirSync(tempDir), [])
+})
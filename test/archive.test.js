@@ -0,0 +1,210 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const multipart = require('../index')
+const { createBuild, zip } = require('./helper')
+const { readCentralDirectory, isUnsafePath } = require('../lib/archive')
+
+const build = createBuild({
+  handler: async (request) => {
+    const { files } = await request.parseMultipart()
+    return files
+      .map((file) => ({ filename: file.filename, archive: file.archive }))
+      .sort((a, b) => a.filename.localeCompare(b.filename))
+  }
+})
+
+function upload (fastify, files) {
+  const form = new FormData()
+  for (const [filename, content] of Object.entries(files)) {
+    form.append('bundle', content, { filename })
+  }
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form.getBuffer()
+  })
+}
+
+test('readCentralDirectory should list the entries of an archive', async t => {
+  const archive = readCentralDirectory(zip([
+    { name: 'docs/', content: '' },
+    { name: 'docs/readme.txt', content: 'hello world' },
+    { name: 'données.csv', content: 'a,b\n1,2\n' }
+  ], { comment: 'built by tests' }))
+
+  t.same(archive.entries.map((entry) => [entry.name, entry.size]), [
+    ['docs/', 0],
+    ['docs/readme.txt', 11],
+    ['données.csv', 8]
+  ])
+  t.equal(archive.totalUncompressed, 19)
+  t.equal(archive.declaredEntries, 3)
+})
+
+test('readCentralDirectory should read ZIP64 sizes', async t => {
+  const archive = readCentralDirectory(zip([
+    { name: 'huge.bin', content: 'x', size: 6 * 1024 * 1024 * 1024 }
+  ], { zip64: true }))
+
+  t.equal(archive.entries.length, 1)
+  t.equal(archive.entries[0].size, 6 * 1024 * 1024 * 1024)
+  t.equal(archive.totalUncompressed, 6 * 1024 * 1024 * 1024)
+})
+
+test('readCentralDirectory should throw on unreadable archives', async t => {
+  t.throws(() => readCentralDirectory(Buffer.from('PK\x03\x04 truncated')), /end of central directory not found/)
+})
+
+test('isUnsafePath should flag entries escaping the extraction directory', async t => {
+  t.notOk(isUnsafePath('docs/readme.txt'))
+  t.notOk(isUnsafePath('docs/..hidden'))
+  t.ok(isUnsafePath('../etc/passwd'))
+  t.ok(isUnsafePath('docs/../../etc/passwd'))
+  t.ok(isUnsafePath('docs\\..\\..\\boot.ini'))
+  t.ok(isUnsafePath('/etc/passwd'))
+  t.ok(isUnsafePath('C:\\Windows\\system.ini'))
+})
+
+test('archives should not be inspected unless inspectArchives is set', async t => {
+  const fastify = await build(t, { storage: 'memory' }, async (request) => {
+    const { files } = await request.parseMultipart()
+    return { hasArchive: 'archive' in files[0] }
+  })
+
+  const response = await upload(fastify, { 'bundle.zip': zip([{ name: '../escape.txt', content: 'x' }]) })
+  t.same(response.json(), { hasArchive: false })
+})
+
+test('parseMultipart should expose the entries of ZIP files', async t => {
+  const fastify = await build(t, { storage: 'memory', inspectArchives: true })
+
+  const response = await upload(fastify, {
+    'bundle.zip': zip([
+      { name: 'a.txt', content: 'first file' },
+      { name: 'b/c.txt', content: 'second file' }
+    ]),
+    'notes.txt': 'not an archive'
+  })
+
+  t.equal(response.statusCode, 200)
+  const [bundle, notes] = response.json()
+  t.same(notes, { filename: 'notes.txt', archive: null })
+  t.same(bundle.archive.entries.map((entry) => entry.name), ['a.txt', 'b/c.txt'])
+  t.same(bundle.archive.entries.map((entry) => entry.size), [10, 11])
+  t.ok(bundle.archive.entries.every((entry) => entry.compressedSize > 0))
+  t.equal(bundle.archive.totalUncompressed, 21)
+})
+
+test('archive limits should reject archives before the handler runs', async t => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-archive-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  let handled = 0
+  const fastify = await build(t, {
+    tempDir,
+    inspectArchives: true,
+    maxArchiveEntries: 3,
+    maxArchiveSize: 1024 * 1024
+  }, async (request) => {
+    await request.parseMultipart()
+    handled++
+    return { ok: true }
+  })
+
+  const entries = await upload(fastify, {
+    'many.zip': zip(['a', 'b', 'c', 'd'].map((name) => ({ name, content: name })))
+  })
+  t.equal(entries.statusCode, 413)
+  t.equal(entries.json().code, 'FST_MULTIPART_ARCHIVE_ENTRIES_LIMIT')
+  t.equal(entries.json().message, 'Archive "many.zip" in field "bundle" has more than 3 entries')
+
+  const traversal = await upload(fastify, {
+    'evil.zip': zip([{ name: 'ok.txt', content: 'ok' }, { name: '../../.ssh/authorized_keys', content: 'key' }])
+  })
+  t.equal(traversal.statusCode, 422)
+  t.equal(traversal.json().code, 'FST_MULTIPART_UNSAFE_ARCHIVE_PATH')
+  t.match(traversal.json().message, /unsafe path: \.\.\/\.\.\/\.ssh\/authorized_keys/)
+
+  const size = await upload(fastify, {
+    'large.zip': zip([{ name: 'large.bin', content: 'x', size: 2 * 1024 * 1024 }])
+  })
+  t.equal(size.statusCode, 413)
+  t.equal(size.json().code, 'FST_MULTIPART_ARCHIVE_SIZE_LIMIT')
+  t.match(size.json().message, /expands to more than 1048576 bytes/)
+
+  const corrupt = await upload(fastify, {
+    'corrupt.zip': zip([{ name: 'a.txt', content: 'a' }]).subarray(0, 40)
+  })
+  t.equal(corrupt.statusCode, 422)
+  t.equal(corrupt.json().code, 'FST_MULTIPART_INVALID_ARCHIVE')
+
+  t.equal(handled, 0)
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  t.same(fs.readdirSync(tempDir), [], 'stored archives were deleted')
+})
+
+test('maxCompressionRatio should reject zip bombs', async t => {
+  const fastify = await build(t, { storage: 'memory', inspectArchives: true, maxArchiveSize: null })
+
+  // Ten megabytes of zeros deflate to about ten kilobytes
+  const bomb = zip([{ name: 'zeros.bin', content: Buffer.alloc(10 * 1024 * 1024) }])
+  const response = await upload(fastify, { 'bomb.zip': bomb })
+  t.equal(response.statusCode, 413)
+  t.equal(response.json().code, 'FST_MULTIPART_ARCHIVE_RATIO_LIMIT')
+  t.equal(response.json().message, 'Archive "bomb.zip" in field "bundle" exceeds the compression ratio of 100')
+
+  // A small archive declaring a ZIP64 entry of 40 GB
+  const declared = zip([{ name: 'huge.bin', content: 'x', size: 40 * 1024 * 1024 * 1024 }], { zip64: true })
+  const zip64 = await upload(fastify, { 'declared.zip': declared })
+  t.equal(zip64.json().code, 'FST_MULTIPART_ARCHIVE_RATIO_LIMIT')
+})
+
+test('route options should override archive limits', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', {
+    config: { multipart: { inspectArchives: true, maxArchiveEntries: 1 } }
+  }, async (request) => {
+    const { files } = await request.parseMultipart()
+    return files[0].archive
+  })
+
+  const accepted = await upload(fastify, { 'one.zip': zip([{ name: 'a.txt', content: 'a' }]) })
+  t.equal(accepted.statusCode, 200)
+  t.equal(accepted.json().entries.length, 1)
+
+  const rejected = await upload(fastify, { 'two.zip': zip([{ name: 'a.txt' }, { name: 'b.txt' }]) })
+  t.equal(rejected.json().code, 'FST_MULTIPART_ARCHIVE_ENTRIES_LIMIT')
+})
+
+test('parts() should expose the archive once the file has been read', async t => {
+  const fastify = await build(t, { inspectArchives: true }, async (request) => {
+    const archives = []
+    try {
+      for await (const part of request.parts()) {
+        if (part.type === 'file') {
+          for await (const chunk of part.stream) {} // eslint-disable-line no-unused-vars
+          archives.push(part.archive && part.archive.entries.map((entry) => entry.name))
+        }
+      }
+    } catch (err) {
+      return { archives, error: err.code }
+    }
+    return { archives }
+  })
+
+  const accepted = await upload(fastify, { 'bundle.zip': zip([{ name: 'a.txt', content: 'a' }]) })
+  t.same(accepted.json(), { archives: [['a.txt']] })
+
+  const rejected = await upload(fastify, { 'evil.zip': zip([{ name: '/etc/passwd', content: 'root' }]) })
+  t.equal(rejected.json().error, 'FST_MULTIPART_UNSAFE_ARCHIVE_PATH')
+})
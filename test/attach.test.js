@@ -0,0 +1,167 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const multipart = require('../index')
+
+function buildForm () {
+  const form = new FormData()
+  form.append('name', 'Laptop')
+  form.append('tags', 'new')
+  form.append('tags', 'sale')
+  form.append('image', Buffer.from('fake image'), { filename: 'laptop.jpg', contentType: 'image/jpeg' })
+  form.append('attachments', Buffer.from('manual'), { filename: 'manual.pdf' })
+  form.append('attachments', Buffer.from('warranty'), { filename: 'warranty.pdf' })
+  return form
+}
+
+function inject (fastify, form) {
+  return fastify.inject({
+    method: 'POST',
+    url: '/products',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('attachFieldsToBody should put fields and file objects on request.body', async t => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-attach-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { tempDir, attachFieldsToBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/products', async (request, reply) => {
+    const { name, tags, image, attachments } = request.body
+    const { files } = await request.parseMultipart()
+    return {
+      name,
+      tags,
+      image: { filename: image.filename, mimetype: image.mimetype, content: (await image.toBuffer()).toString() },
+      attachments: attachments.map(file => file.filename),
+      sameFiles: files.includes(image)
+    }
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    name: 'Laptop',
+    tags: ['new', 'sale'],
+    image: { filename: 'laptop.jpg', mimetype: 'image/jpeg', content: 'fake image' },
+    attachments: ['manual.pdf', 'warranty.pdf'],
+    sameFiles: true
+  })
+  t.same(fs.readdirSync(tempDir), [], 'temp files removed after the response')
+})
+
+test('attachFieldsToBody keyValues should put file contents on request.body', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { attachFieldsToBody: 'keyValues' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/products', async (request, reply) => {
+    const { name, image, attachments } = request.body
+    return {
+      name,
+      image: Buffer.isBuffer(image) && image.toString(),
+      attachments: attachments.map(buffer => buffer.toString())
+    }
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { name: 'Laptop', image: 'fake image', attachments: ['manual', 'warranty'] })
+})
+
+test('attachFieldsToBody should hand the validated form to the handler', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { attachFieldsToBody: true, validateBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/products', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 3 },
+          image: { type: 'string', format: 'binary' }
+        },
+        required: ['name', 'image']
+      }
+    }
+  }, async (request, reply) => {
+    return { name: request.body.name, size: request.body.image.size }
+  })
+
+  const response = await inject(fastify, buildForm())
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { name: 'Laptop', size: 10 })
+
+  const invalid = new FormData()
+  invalid.append('name', 'TV')
+  invalid.append('image', Buffer.from('fake image'), { filename: 'tv.jpg' })
+
+  const rejected = await inject(fastify, invalid)
+  t.equal(rejected.statusCode, 400)
+  t.equal(rejected.json().message, 'body/name must NOT have fewer than 3 characters')
+})
+
+test('attachFieldsToBody should validate files against binary properties without validateBody', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { attachFieldsToBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/products', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          image: { type: 'string', format: 'binary' }
+        },
+        required: ['name', 'image']
+      }
+    }
+  }, async (request, reply) => {
+    return { name: request.body.name, filename: request.body.image.filename }
+  })
+
+  const response = await inject(fastify, buildForm())
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { name: 'Laptop', filename: 'laptop.jpg' })
+
+  const missing = new FormData()
+  missing.append('name', 'TV')
+  const rejected = await inject(fastify, missing)
+  t.equal(rejected.statusCode, 400)
+  t.equal(rejected.json().message, "body must have required property 'image'")
+})
+
+test('attachFieldsToBody should be configurable per route', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/products', { config: { multipart: { attachFieldsToBody: 'keyValues' } } }, async (request, reply) => {
+    return { name: request.body.name }
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { name: 'Laptop' })
+})
+
+test('should reject invalid attachFieldsToBody values at registration', async t => {
+  const fastify = Fastify()
+  fastify.register(multipart, { attachFieldsToBody: 'yes' })
+  await t.rejects(fastify.ready(), /attachFieldsToBody must be true, false or "keyValues"/)
+})
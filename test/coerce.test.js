@@ -0,0 +1,141 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const multipart = require('../index')
+const { coerceValue } = require('../lib/coerce')
+
+const schema = {
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      quantity: { type: 'integer', minimum: 1 },
+      price: { type: 'number' },
+      active: { type: 'boolean' },
+      sizes: { type: 'array', items: { type: 'integer' } },
+      priority: { enum: [1, 2, 3] },
+      status: { type: 'string', enum: ['draft', 'published'] },
+      image: { type: 'string', format: 'binary' }
+    }
+  }
+}
+
+function buildForm () {
+  const form = new FormData()
+  form.append('name', '123')
+  form.append('quantity', '42')
+  form.append('price', '9.99')
+  form.append('active', 'true')
+  form.append('sizes', '38')
+  form.append('priority', '2')
+  form.append('status', 'draft')
+  form.append('extra', '7')
+  form.append('image', Buffer.from('image'), { filename: 'shoe.jpg' })
+  return form
+}
+
+function inject (fastify, form) {
+  return fastify.inject({
+    method: 'POST',
+    url: '/products',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('coerceValue should follow Ajv coerceTypes semantics', async t => {
+  t.equal(coerceValue('42', { type: 'integer' }), 42)
+  t.equal(coerceValue('4.2', { type: 'integer' }), '4.2')
+  t.equal(coerceValue('4.2', { type: 'number' }), 4.2)
+  t.equal(coerceValue('', { type: 'number' }), '')
+  t.equal(coerceValue('abc', { type: 'number' }), 'abc')
+  t.equal(coerceValue('true', { type: 'boolean' }), true)
+  t.equal(coerceValue('false', { type: 'boolean' }), false)
+  t.equal(coerceValue('yes', { type: 'boolean' }), 'yes')
+  t.equal(coerceValue('', { type: 'null' }), null)
+  t.equal(coerceValue('', { type: ['integer', 'null'] }), null)
+  t.equal(coerceValue('7', { type: ['integer', 'null'] }), 7)
+  t.equal(coerceValue('07', { type: 'string' }), '07')
+  t.same(coerceValue('3', { type: 'array', items: { type: 'integer' } }), [3])
+  t.same(coerceValue(['3', '4'], { type: 'array', items: { type: 'integer' } }), [3, 4])
+  t.equal(coerceValue(['3'], { type: 'integer' }), 3)
+  t.same(coerceValue(['3', '4'], { type: 'integer' }), ['3', '4'])
+  t.equal(coerceValue('2', { enum: [1, 2, 3] }), 2)
+  t.equal(coerceValue('true', { enum: [true, 'auto'] }), true)
+  t.equal(coerceValue('9', { enum: [1, 2, 3] }), '9')
+  t.same(coerceValue({ zip: '75001', floor: '3' }, {
+    type: 'object',
+    properties: { zip: { type: 'string' }, floor: { type: 'integer' } }
+  }), { zip: '75001', floor: 3 })
+})
+
+test('coerceFields should coerce parseMultipart() fields', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { coerceFields: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/products', { schema }, async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return fields
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    name: '123',
+    quantity: 42,
+    price: 9.99,
+    active: true,
+    sizes: [38],
+    priority: 2,
+    status: 'draft',
+    extra: '7'
+  })
+})
+
+test('coerceFields should coerce the attached body before validation', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { coerceFields: true, attachFieldsToBody: true, validateBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/products', { schema }, async (request, reply) => {
+    const { quantity, active, sizes, image } = request.body
+    return { quantity, active, sizes, image: image.filename }
+  })
+
+  const response = await inject(fastify, buildForm())
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { quantity: 42, active: true, sizes: [38], image: 'shoe.jpg' })
+
+  const form = new FormData()
+  form.append('quantity', '0')
+  const rejected = await inject(fastify, form)
+  t.equal(rejected.statusCode, 400)
+  t.equal(rejected.json().message, 'body/quantity must be >= 1')
+})
+
+test('fields should stay strings unless coerceFields is enabled', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/products', { schema }, async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return { quantity: fields.quantity, active: fields.active }
+  })
+
+  fastify.post('/coerced', { schema, config: { multipart: { coerceFields: true } } }, async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return { quantity: fields.quantity, active: fields.active }
+  })
+
+  const plain = await inject(fastify, buildForm())
+  t.same(plain.json(), { quantity: '42', active: 'true' })
+
+  const form = buildForm()
+  const coerced = await fastify.inject({ method: 'POST', url: '/coerced', headers: form.getHeaders(), payload: form })
+  t.same(coerced.json(), { quantity: 42, active: true })
+})
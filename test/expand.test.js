@@ -0,0 +1,283 @@
+'use strict'
+
+const { test } = require('tap')
+const FormData = require('form-data')
+const zlib = require('zlib')
+const { createBuild, zip } = require('./helper')
+
+function tarHeader (name, size, type) {
+  const header = Buffer.alloc(512)
+  header.write(name, 0, 100, 'utf8')
+  header.write('0000644\0', 100, 'latin1')
+  header.write('0000000\0', 108, 'latin1')
+  header.write('0000000\0', 116, 'latin1')
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124, 'latin1')
+  header.write('00000000000\0', 136, 'latin1')
+  header.write(type, 156, 'latin1')
+  header.write('ustar\0' + '00', 257, 'latin1')
+  header.fill(0x20, 148, 156)
+  let checksum = 0
+  for (const byte of header) {
+    checksum += byte
+  }
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 'latin1')
+  return header
+}
+
+function tarRecord (name, content, type = '0') {
+  const data = Buffer.from(content)
+  const padding = Buffer.alloc((512 - data.length % 512) % 512)
+  return Buffer.concat([tarHeader(name, data.length, type), data, padding])
+}
+
+/**
+ * Build a tar archive from entries `{ name, content, type }`, names longer
+ * than 100 bytes go in a pax header
+ */
+function tar (entries) {
+  const records = []
+  for (const entry of entries) {
+    let name = entry.name
+    if (Buffer.byteLength(name) > 100) {
+      const record = ` path=${name}\n`
+      let length = record.length
+      length += String(length + String(length).length).length
+      records.push(tarRecord('PaxHeader', `${length}${record}`, 'x'))
+      name = 'truncated'
+    }
+    records.push(tarRecord(name, entry.content || '', entry.type || '0'))
+  }
+  return Buffer.concat([...records, Buffer.alloc(1024)])
+}
+
+const build = createBuild({
+  defaults: { storage: 'memory', expandArchives: true },
+  handler: async (request) => {
+    const { files, fields } = await request.parseMultipart()
+    const result = []
+    for (const file of files) {
+      result.push({
+        fieldname: file.fieldname,
+        filename: file.filename,
+        archivePath: file.archivePath,
+        mimetype: file.mimetype,
+        content: (await file.toBuffer()).toString()
+      })
+    }
+    result.sort((a, b) => (a.archivePath || a.filename).localeCompare(b.archivePath || b.filename))
+    return { fields, files: result }
+  }
+})
+
+function upload (fastify, parts) {
+  const form = new FormData()
+  for (const [name, value, filename] of parts) {
+    form.append(name, value, filename ? { filename } : undefined)
+  }
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form.getBuffer()
+  })
+}
+
+test('parseMultipart should expand ZIP files into one file per entry', async t => {
+  const fastify = await build(t)
+
+  const response = await upload(fastify, [
+    ['batch', 'March'],
+    ['documents', zip([
+      { name: 'invoices/', content: '' },
+      { name: 'invoices/001.csv', content: 'id,total\n1,10\n' },
+      { name: 'readme.txt', content: 'Bulk import' }
+    ]), 'bundle.zip'],
+    ['cover', 'A plain file', 'cover.txt']
+  ])
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    fields: { batch: 'March' },
+    files: [
+      { fieldname: 'cover', filename: 'cover.txt', mimetype: 'text/plain', content: 'A plain file' },
+      { fieldname: 'documents', filename: '001.csv', archivePath: 'invoices/001.csv', mimetype: 'text/csv', content: 'id,total\n1,10\n' },
+      { fieldname: 'documents', filename: 'readme.txt', archivePath: 'readme.txt', mimetype: 'text/plain', content: 'Bulk import' }
+    ]
+  })
+})
+
+test('ZIP entries followed by data descriptors should be expanded', async t => {
+  const fastify = await build(t)
+
+  // The stored entry holds a descriptor signature that is not followed by its size
+  const tricky = Buffer.concat([Buffer.from('before'), Buffer.from([0x50, 0x4B, 0x07, 0x08]), Buffer.alloc(20, 1), Buffer.from('after')])
+  const deflated = await upload(fastify, [
+    ['documents', zip([
+      { name: 'a.txt', content: 'first entry '.repeat(1000) },
+      { name: 'b.txt', content: 'second entry' }
+    ], { descriptor: true }), 'streamed.zip']
+  ])
+  t.equal(deflated.statusCode, 200)
+  t.same(deflated.json().files.map((file) => [file.archivePath, file.content.length]), [['a.txt', 12000], ['b.txt', 12]])
+
+  const stored = await upload(fastify, [
+    ['documents', zip([{ name: 'tricky.bin', content: tricky }, { name: 'c.txt', content: 'third' }], { descriptor: true, store: true }), 'stored.zip']
+  ])
+  t.equal(stored.statusCode, 200)
+  t.same(stored.json().files.map((file) => [file.archivePath, file.content.length]), [['c.txt', 5], ['tricky.bin', tricky.length]])
+})
+
+test('tar and .tar.gz files should be expanded, skipping links', async t => {
+  const fastify = await build(t)
+  const longName = `${'deep/'.repeat(30)}file.txt`
+  const archive = tar([
+    { name: 'data/', type: '5' },
+    { name: 'data/one.json', content: '{"one":1}' },
+    { name: 'data/link', content: '', type: '2' },
+    { name: longName, content: 'long' }
+  ])
+
+  const plain = await upload(fastify, [['documents', archive, 'bundle.tar']])
+  t.equal(plain.statusCode, 200)
+  t.same(plain.json().files.map((file) => [file.archivePath, file.filename, file.content]), [
+    ['data/one.json', 'one.json', '{"one":1}'],
+    [longName, 'file.txt', 'long']
+  ])
+
+  const gzipped = await upload(fastify, [['documents', zlib.gzipSync(archive), 'bundle.tar.gz']])
+  t.equal(gzipped.statusCode, 200)
+  t.equal(gzipped.json().files.length, 2)
+
+  // Other gzip files are left alone
+  const single = await upload(fastify, [['documents', zlib.gzipSync('log line'), 'app.log.gz']])
+  t.same(single.json().files.map((file) => file.filename), ['app.log.gz'])
+})
+
+test('archives should stay single files unless expandArchives is set', async t => {
+  const fastify = await build(t, { expandArchives: false })
+
+  const response = await upload(fastify, [['documents', zip([{ name: 'a.txt', content: 'a' }]), 'bundle.zip']])
+  t.same(response.json().files.map((file) => [file.filename, file.archivePath]), [['bundle.zip', undefined]])
+})
+
+test('office documents should not be expanded', async t => {
+  const fastify = await build(t)
+
+  const docx = zip([
+    { name: '[Content_Types].xml', content: '<Types/>' },
+    { name: 'word/document.xml', content: '<document/>' }
+  ], { store: true })
+  const response = await upload(fastify, [['documents', docx, 'report.docx']])
+  t.same(response.json().files.map((file) => file.filename), ['report.docx'])
+})
+
+test('limits.files and limits.fileSize should apply to each entry', async t => {
+  const fastify = await build(t, { limits: { files: 3, fileSize: 1024 } })
+
+  // Larger than fileSize as a whole, every entry fits
+  const accepted = await upload(fastify, [
+    ['documents', zip(['a', 'b', 'c'].map((name) => ({ name, content: name.repeat(1000) })), { store: true }), 'bundle.zip']
+  ])
+  t.equal(accepted.statusCode, 200)
+  t.equal(accepted.json().files.length, 3)
+
+  const tooMany = await upload(fastify, [
+    ['documents', zip(['a', 'b', 'c', 'd'].map((name) => ({ name, content: name }))), 'bundle.zip']
+  ])
+  t.equal(tooMany.statusCode, 413)
+  t.equal(tooMany.json().code, 'FST_MULTIPART_FILES_LIMIT')
+
+  const plusPlain = await upload(fastify, [
+    ['cover', 'cover', 'cover.txt'],
+    ['documents', zip(['a', 'b', 'c'].map((name) => ({ name, content: name }))), 'bundle.zip']
+  ])
+  t.equal(plusPlain.json().code, 'FST_MULTIPART_FILES_LIMIT')
+
+  // Ten megabytes of zeros deflate to about ten kilobytes
+  const tooLarge = await upload(fastify, [
+    ['documents', zip([{ name: 'zeros.bin', content: Buffer.alloc(10 * 1024 * 1024) }]), 'bomb.zip']
+  ])
+  t.equal(tooLarge.statusCode, 413)
+  t.equal(tooLarge.json().code, 'FST_MULTIPART_FILE_SIZE_LIMIT')
+
+  const plainTooLarge = await upload(fastify, [['cover', Buffer.alloc(2048), 'cover.bin']])
+  t.equal(plainTooLarge.json().code, 'FST_MULTIPART_FILE_SIZE_LIMIT')
+
+  // Archives may not exceed limits.files x (limits.fileSize + 64KB)
+  const archiveTooLarge = await upload(fastify, [['documents', tar([{ name: 'link', content: Buffer.alloc(256 * 1024), type: '2' }]), 'links.tar']])
+  t.equal(archiveTooLarge.json().code, 'FST_MULTIPART_FILE_SIZE_LIMIT')
+  t.match(archiveTooLarge.json().message, /Archive size exceeds limit of 199680 bytes/)
+})
+
+test('unsafe and unreadable archives should be rejected', async t => {
+  const fastify = await build(t)
+
+  const traversal = await upload(fastify, [
+    ['documents', zip([{ name: 'ok.txt', content: 'ok' }, { name: '../../etc/cron.d/job', content: 'x' }]), 'evil.zip']
+  ])
+  t.equal(traversal.statusCode, 422)
+  t.equal(traversal.json().code, 'FST_MULTIPART_UNSAFE_ARCHIVE_PATH')
+
+  const absolute = await upload(fastify, [['documents', tar([{ name: '/etc/passwd', content: 'root' }]), 'evil.tar']])
+  t.equal(absolute.json().code, 'FST_MULTIPART_UNSAFE_ARCHIVE_PATH')
+
+  const truncated = await upload(fastify, [
+    ['documents', zip([{ name: 'a.txt', content: 'a'.repeat(5000) }], { store: true }).subarray(0, 4000), 'truncated.zip']
+  ])
+  t.equal(truncated.statusCode, 422)
+  t.equal(truncated.json().code, 'FST_MULTIPART_INVALID_ARCHIVE')
+  t.match(truncated.json().message, /unexpected end of archive/)
+
+  const corrupt = Buffer.from(tar([{ name: 'a.txt', content: 'a' }]))
+  corrupt[0] = 0x41
+  const checksum = await upload(fastify, [['documents', corrupt, 'corrupt.tar']])
+  t.match(checksum.json().message, /invalid tar header checksum/)
+})
+
+test('file rules should apply to each entry', async t => {
+  const fastify = await build(t, { allowedExtensions: ['.csv'] })
+
+  const accepted = await upload(fastify, [['documents', zip([{ name: 'a.csv', content: 'a' }]), 'bundle.zip']])
+  t.equal(accepted.statusCode, 200)
+
+  const rejected = await upload(fastify, [['documents', zip([{ name: 'a.csv', content: 'a' }, { name: 'run.exe', content: 'MZ' }]), 'bundle.zip']])
+  t.equal(rejected.statusCode, 415)
+  t.match(rejected.json().message, /"run\.exe" in field "documents"/)
+})
+
+test('parts() should yield archive entries in order', async t => {
+  const fastify = await build(t, { storage: 'disk' }, async (request) => {
+    const parts = []
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        const chunks = []
+        for await (const chunk of part.stream) {
+          chunks.push(chunk)
+        }
+        parts.push([part.fieldname, part.archivePath || part.filename, Buffer.concat(chunks).length])
+      } else {
+        parts.push([part.fieldname, part.value])
+      }
+    }
+    return parts
+  })
+
+  const response = await upload(fastify, [
+    ['before', 'first'],
+    ['documents', zip([
+      { name: 'one.bin', content: Buffer.alloc(200 * 1024, 1) },
+      { name: 'two.bin', content: Buffer.alloc(300 * 1024, 2) }
+    ]), 'bundle.zip'],
+    ['after', 'last'],
+    ['cover', 'cover', 'cover.txt']
+  ])
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), [
+    ['before', 'first'],
+    ['documents', 'one.bin', 200 * 1024],
+    ['documents', 'two.bin', 300 * 1024],
+    ['after', 'last'],
+    ['cover', 'cover.txt', 5]
+  ])
+})
@@ -0,0 +1,243 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const multipart = require('../index')
+const { createFieldNameParser, setValue } = require('../lib/fieldnames')
+
+function inject (fastify, form) {
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('createFieldNameParser should split bracket and dot notations', async t => {
+  const brackets = createFieldNameParser({ mode: 'brackets', maxDepth: 5, maxArrayIndex: 100 })
+  t.same(brackets('name'), ['name'])
+  t.same(brackets('address[city]'), ['address', 'city'])
+  t.same(brackets('items[0][sku]'), ['items', 0, 'sku'])
+  t.same(brackets('tags[]'), ['tags', ''])
+  t.same(brackets('broken[name'), ['broken[name'])
+  t.same(brackets('address.city'), ['address.city'])
+
+  const dots = createFieldNameParser({ mode: 'dots', maxDepth: 5, maxArrayIndex: 100 })
+  t.same(dots('address.city'), ['address', 'city'])
+  t.same(dots('items.1.sku'), ['items', 1, 'sku'])
+  t.throws(() => dots('a..b'), /empty key/)
+
+  t.throws(() => createFieldNameParser({ mode: 'qs' }), /fieldNameParser must be "brackets" or "dots"/)
+})
+
+test('createFieldNameParser should reject dangerous names', async t => {
+  const parse = createFieldNameParser({ mode: 'brackets', maxDepth: 2, maxArrayIndex: 10 })
+  t.throws(() => parse('__proto__[polluted]'), /forbidden key "__proto__"/)
+  t.throws(() => parse('a[constructor][prototype]'), /forbidden key "constructor"/)
+  t.throws(() => parse('a[b][c][d]'), /nesting deeper than 2 levels/)
+  t.throws(() => parse('items[11]'), /array index above 10/)
+  t.same(parse('items[10]'), ['items', 10])
+})
+
+test('setValue should build nested objects and arrays', async t => {
+  const body = {}
+  t.equal(setValue(body, ['address', 'city'], 'Paris'), null)
+  t.equal(setValue(body, ['items', 0, 'sku'], 'A1'), null)
+  t.equal(setValue(body, ['items', 1, 'sku'], 'B2'), null)
+  t.equal(setValue(body, ['tags', ''], 'new'), null)
+  t.equal(setValue(body, ['tags', ''], 'sale'), null)
+  t.equal(setValue(body, ['name'], 'first'), null)
+  t.equal(setValue(body, ['name'], 'second'), null)
+  t.same(body, {
+    address: { city: 'Paris' },
+    items: [{ sku: 'A1' }, { sku: 'B2' }],
+    tags: ['new', 'sale'],
+    name: ['first', 'second']
+  })
+
+  t.equal(setValue(body, ['address', 'city', 'zip'], '75001'), '"address.city" is already a value')
+  t.equal(setValue(body, ['address'], 'Paris'), '"address" is already an object')
+  t.equal(setValue(body, ['items', 'first'], 'A1'), '"items" is an array')
+})
+
+test('setValue should ignore properties inherited from Object.prototype', async t => {
+  const body = {}
+  t.equal(setValue(body, ['toString'], 'x'), null)
+  t.equal(setValue(body, ['user', 'valueOf'], 'y'), null)
+  t.equal(setValue(body, ['hasOwnProperty', 'a'], 'z'), null)
+  t.same(body, { toString: 'x', user: { valueOf: 'y' }, hasOwnProperty: { a: 'z' } })
+})
+
+test('parseMultipart should nest fields named like Object.prototype properties', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { fieldNameParser: 'brackets' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return { fields }
+  })
+
+  const form = new FormData()
+  form.append('toString', 'x')
+  form.append('user[valueOf]', 'y')
+  form.append('hasOwnProperty[a]', 'z')
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { fields: { toString: 'x', user: { valueOf: 'y' }, hasOwnProperty: { a: 'z' } } })
+})
+
+test('parseMultipart should nest fields with fieldNameParser', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { fieldNameParser: 'brackets' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { fields, files } = await request.parseMultipart()
+    return { fields, files: files.map(f => f.fieldname) }
+  })
+
+  const form = new FormData()
+  form.append('address[city]', 'Paris')
+  form.append('address[zip]', '75001')
+  form.append('items[0][sku]', 'A1')
+  form.append('items[0][qty]', '2')
+  form.append('items[1][sku]', 'B2')
+  form.append('tags[]', 'new')
+  form.append('tags[]', 'sale')
+  form.append('items[1][photo]', Buffer.from('photo'), { filename: 'b2.jpg' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    fields: {
+      address: { city: 'Paris', zip: '75001' },
+      items: [{ sku: 'A1', qty: '2' }, { sku: 'B2' }],
+      tags: ['new', 'sale']
+    },
+    files: ['items[1][photo]']
+  })
+})
+
+test('attachFieldsToBody should place files inside nested fields', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { fieldNameParser: 'dots', attachFieldsToBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { items, gallery } = request.body
+    const { fields } = await request.parseMultipart()
+    return {
+      sku: items[0].sku,
+      photo: items[0].photo.filename,
+      gallery: gallery.map(file => file.filename),
+      fieldsUntouched: fields.items[0].photo === undefined
+    }
+  })
+
+  const form = new FormData()
+  form.append('items.0.sku', 'A1')
+  form.append('items.0.photo', Buffer.from('photo'), { filename: 'a1.jpg' })
+  form.append('gallery.0', Buffer.from('one'), { filename: 'one.jpg' })
+  form.append('gallery.1', Buffer.from('two'), { filename: 'two.jpg' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { sku: 'A1', photo: 'a1.jpg', gallery: ['one.jpg', 'two.jpg'], fieldsUntouched: true })
+})
+
+test('validateBody should validate nested fields', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { fieldNameParser: 'brackets', validateBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          address: {
+            type: 'object',
+            properties: { city: { type: 'string' }, zip: { type: 'string', pattern: '^\\d{5}$' } },
+            required: ['city', 'zip']
+          }
+        },
+        required: ['address']
+      }
+    }
+  }, async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return fields
+  })
+
+  const valid = new FormData()
+  valid.append('address[city]', 'Paris')
+  valid.append('address[zip]', '75001')
+  const accepted = await inject(fastify, valid)
+  t.equal(accepted.statusCode, 200)
+  t.same(accepted.json(), { address: { city: 'Paris', zip: '75001' } })
+
+  const invalid = new FormData()
+  invalid.append('address[city]', 'Paris')
+  invalid.append('address[zip]', 'none')
+  const rejected = await inject(fastify, invalid)
+  t.equal(rejected.statusCode, 400)
+  t.equal(rejected.json().message, 'body/address/zip must match pattern "^\\d{5}$"')
+})
+
+test('should reject prototype pollution attempts', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { fieldNameParser: 'brackets' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return fields
+  })
+
+  const form = new FormData()
+  form.append('__proto__[polluted]', 'yes')
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 400)
+  t.same(response.json(), {
+    statusCode: 400,
+    code: 'FST_MULTIPART_INVALID_FIELD_NAME',
+    error: 'Bad Request',
+    message: 'Invalid field name "__proto__[polluted]": forbidden key "__proto__"'
+  })
+  t.equal({}.polluted, undefined)
+})
+
+test('should reject conflicting and oversized names', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { fieldNameParser: 'brackets', maxArrayIndex: 50 })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return fields
+  })
+
+  const conflict = new FormData()
+  conflict.append('doc', 'text')
+  conflict.append('doc[title]', Buffer.from('file'), { filename: 'doc.txt' })
+
+  const conflicting = await inject(fastify, conflict)
+  t.equal(conflicting.statusCode, 400)
+  t.equal(conflicting.json().message, 'Invalid field name "doc[title]": "doc" is already a value')
+
+  const huge = new FormData()
+  huge.append('items[999999999]', 'x')
+
+  const oversized = await inject(fastify, huge)
+  t.equal(oversized.statusCode, 400)
+  t.equal(oversized.json().message, 'Invalid field name "items[999999999]": array index above 50')
+})
@@ -0,0 +1,269 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const multipart = require('../index')
+const { createCharsetReader } = require('../lib/charset')
+
+function buildForm (metadata = JSON.stringify({ title: 'Holiday', tags: ['beach', 'sun'], rating: 5 })) {
+  const form = new FormData()
+  form.append('metadata', metadata, { contentType: 'application/json' })
+  form.append('settings', '{"public":true}', { contentType: 'application/vnd.api+json' })
+  form.append('comment', '{"not":"parsed"}')
+  form.append('photo', Buffer.from('photo'), { filename: 'beach.jpg' })
+  return form
+}
+
+function inject (fastify, form) {
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('parseMultipart should expose the content type of each field', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { fields, fieldInfo } = await request.parseMultipart()
+    return { fields, fieldInfo }
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    fields: {
+      metadata: '{"title":"Holiday","tags":["beach","sun"],"rating":5}',
+      settings: '{"public":true}',
+      comment: '{"not":"parsed"}'
+    },
+    fieldInfo: {
+      metadata: { mimetype: 'application/json', charset: 'utf-8', encoding: '7bit' },
+      settings: { mimetype: 'application/vnd.api+json', charset: 'utf-8', encoding: '7bit' },
+      comment: { mimetype: 'text/plain', charset: 'utf-8', encoding: '7bit' }
+    }
+  })
+})
+
+function buildCharsetForm () {
+  const form = new FormData()
+  form.append('city', Buffer.from('Zürich', 'latin1'), { contentType: 'text/plain; charset=ISO-8859-1' })
+  form.append('photo', Buffer.from('photo'), { filename: 'city.jpg' })
+  form.append('note', 'plain')
+  form.append('quoted', 'ok', { contentType: 'text/plain; format=flowed; charset="us-ascii"' })
+  return form
+}
+
+test('fields should expose the charset they were decoded from', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { fields, fieldInfo } = await request.parseMultipart()
+    return { fields, charsets: Object.values(fieldInfo).map((info) => info.charset) }
+  })
+  fastify.post('/parts', async (request, reply) => {
+    const fields = []
+    for await (const part of request.parts()) {
+      if (part.type === 'field') {
+        fields.push([part.fieldname, part.value, part.charset])
+      } else {
+        part.stream.resume()
+      }
+    }
+    return fields
+  })
+
+  const response = await inject(fastify, buildCharsetForm())
+  t.same(response.json(), {
+    fields: { city: 'Zürich', note: 'plain', quoted: 'ok' },
+    charsets: ['iso-8859-1', 'utf-8', 'us-ascii']
+  })
+
+  const form = buildCharsetForm()
+  const parts = await fastify.inject({ method: 'POST', url: '/parts', headers: form.getHeaders(), payload: form })
+  t.same(parts.json(), [
+    ['city', 'Zürich', 'iso-8859-1'],
+    ['note', 'plain', 'utf-8'],
+    ['quoted', 'ok', 'us-ascii']
+  ])
+})
+
+test('parts busboy skips should not shift the charsets of the fields after them', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { fields, fieldInfo } = await request.parseMultipart()
+    return { fields, charsets: Object.values(fieldInfo).map((info) => info.charset) }
+  })
+
+  const boundary = 'skipped-part-boundary'
+  const payload = [
+    `--${boundary}`,
+    'Content-Disposition: form-data-x; name="skipped"',
+    'Content-Type: text/plain; charset=iso-8859-1',
+    '',
+    'ignored',
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="note"',
+    '',
+    'plain',
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="quoted"',
+    'Content-Type: text/plain; charset=us-ascii',
+    '',
+    'ok',
+    `--${boundary}--`,
+    ''
+  ].join('\r\n')
+
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: { 'content-type': `multipart/form-data; boundary=${boundary}` },
+    payload
+  })
+
+  t.same(response.json(), {
+    fields: { note: 'plain', quoted: 'ok' },
+    charsets: ['utf-8', 'us-ascii']
+  })
+})
+
+test('createCharsetReader should find part headers split between chunks', async t => {
+  const form = buildCharsetForm()
+  const body = form.getBuffer()
+  for (const size of [1, 7, 64]) {
+    const reader = createCharsetReader(form.getHeaders()['content-type'])
+    for (let offset = 0; offset < body.length; offset += size) {
+      reader.push(body.subarray(offset, offset + size))
+    }
+    t.same([reader.next(), reader.next(), reader.next()], ['iso-8859-1', 'utf-8', 'us-ascii'], `chunks of ${size} bytes`)
+  }
+})
+
+test('parseJsonFields should parse JSON parts only', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { parseJsonFields: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return fields
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    metadata: { title: 'Holiday', tags: ['beach', 'sun'], rating: 5 },
+    settings: { public: true },
+    comment: '{"not":"parsed"}'
+  })
+})
+
+test('parseJsonFields should reject invalid JSON naming the field', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { parseJsonFields: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    await request.parseMultipart()
+    return { success: true }
+  })
+
+  const response = await inject(fastify, buildForm('{"title": "Holiday",}'))
+
+  t.equal(response.statusCode, 400)
+  const body = response.json()
+  t.equal(body.code, 'FST_MULTIPART_INVALID_JSON_FIELD')
+  t.match(body.message, /^Invalid JSON in field "metadata": /)
+})
+
+test('parts() should yield the content type and parsed value of fields', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', { config: { multipart: { parseJsonFields: true } } }, async (request, reply) => {
+    const fields = []
+    for await (const part of request.parts()) {
+      if (part.type === 'field') {
+        fields.push({ fieldname: part.fieldname, mimetype: part.mimetype, value: part.value })
+      } else {
+        part.stream.resume()
+      }
+    }
+    return fields
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), [
+    { fieldname: 'metadata', mimetype: 'application/json', value: { title: 'Holiday', tags: ['beach', 'sun'], rating: 5 } },
+    { fieldname: 'settings', mimetype: 'application/vnd.api+json', value: { public: true } },
+    { fieldname: 'comment', mimetype: 'text/plain', value: '{"not":"parsed"}' }
+  ])
+})
+
+test('parsed JSON fields should be validated against the body schema', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { parseJsonFields: true, validateBody: true, attachFieldsToBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          metadata: {
+            type: 'object',
+            properties: { title: { type: 'string' }, rating: { type: 'integer', maximum: 5 } },
+            required: ['title']
+          },
+          photo: { type: 'string', format: 'binary' }
+        },
+        required: ['metadata', 'photo']
+      }
+    }
+  }, async (request, reply) => {
+    return { title: request.body.metadata.title, photo: request.body.photo.filename }
+  })
+
+  const accepted = await inject(fastify, buildForm())
+  t.equal(accepted.statusCode, 200)
+  t.same(accepted.json(), { title: 'Holiday', photo: 'beach.jpg' })
+
+  const rejected = await inject(fastify, buildForm('{"title":"Holiday","rating":6}'))
+  t.equal(rejected.statusCode, 400)
+  t.equal(rejected.json().message, 'body/metadata/rating must be <= 5')
+})
+
+test('JSON fields should not change object prototypes', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { parseJsonFields: true, attachFieldsToBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { metadata } = request.body
+    return {
+      clean: {}.polluted === undefined && metadata.polluted === undefined,
+      keys: Object.keys(metadata)
+    }
+  })
+
+  const response = await inject(fastify, buildForm('{"__proto__":{"polluted":true},"title":"Holiday"}'))
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { clean: true, keys: ['__proto__', 'title'] })
+})
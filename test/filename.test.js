@@ -0,0 +1,100 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const multipart = require('../index')
+const { sanitizeFilename } = multipart
+
+function upload (fastify, filename) {
+  const form = new FormData()
+  form.append('file', Buffer.from('content'), { filename, contentType: 'text/plain' })
+
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('sanitizeFilename should strip path components', async t => {
+  t.equal(sanitizeFilename('../../etc/passwd'), 'passwd')
+  t.equal(sanitizeFilename('C:\\Users\\me\\report.pdf'), 'report.pdf')
+  t.equal(sanitizeFilename('..'), 'unnamed')
+  t.equal(sanitizeFilename(''), 'unnamed')
+})
+
+test('sanitizeFilename should replace illegal characters', async t => {
+  t.equal(sanitizeFilename('a\u0000b\u0007c.txt'), 'a_b_c.txt')
+  t.equal(sanitizeFilename('what?<is>"this"|*.txt'), 'what__is__this___.txt')
+  t.equal(sanitizeFilename('invoice\u202Efdp.exe'), 'invoice_fdp.exe')
+  t.equal(sanitizeFilename(' report.pdf. . '), 'report.pdf')
+  t.equal(sanitizeFilename('a:b.txt', { replacement: '-' }), 'a-b.txt')
+})
+
+test('sanitizeFilename should prefix Windows reserved names', async t => {
+  t.equal(sanitizeFilename('CON'), '_CON')
+  t.equal(sanitizeFilename('nul.txt'), '_nul.txt')
+  t.equal(sanitizeFilename('com1.log'), '_com1.log')
+  t.equal(sanitizeFilename('console.log'), 'console.log')
+})
+
+test('sanitizeFilename should apply NFC normalization', async t => {
+  const decomposed = 'cafe\u0301.txt'
+  t.equal(sanitizeFilename(decomposed), 'caf\u00e9.txt')
+})
+
+test('sanitizeFilename should cap the length in bytes keeping the extension', async t => {
+  const long = sanitizeFilename('a'.repeat(300) + '.jpeg')
+  t.equal(long.length, 255)
+  t.ok(long.endsWith('.jpeg'))
+
+  const thai = sanitizeFilename('\u0e01'.repeat(200) + '.txt', { maxLength: 100 })
+  t.ok(Buffer.byteLength(thai) <= 100)
+  t.ok(thai.endsWith('.txt'))
+  t.equal(thai, '\u0e01'.repeat(32) + '.txt')
+})
+
+test('files should expose safeFilename next to the original filename', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { maxFilenameLength: 20 })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return { filename: files[0].filename, safeFilename: files[0].safeFilename }
+  })
+
+  const response = await upload(fastify, '../secret/very-long-file-name.txt')
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    filename: 'very-long-file-name.txt',
+    safeFilename: 'very-long-file-n.txt'
+  })
+})
+
+test('sanitizeFilename option should replace the built-in sanitizer', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, {
+    sanitizeFilename: (filename, part) => `${part.fieldname}-${filename.toLowerCase()}`
+  })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const names = []
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        names.push(part.safeFilename)
+        part.stream.resume()
+      }
+    }
+    return { names }
+  })
+
+  const response = await upload(fastify, 'Report.PDF')
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { names: ['file-report.pdf'] })
+})
@@ -0,0 +1,193 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const multipart = require('../index')
+const { compileFileFilter, createFileFilters } = require('../lib/filter')
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')
+
+function inject (fastify, form) {
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('compileFileFilter should match MIME type and extension globs', async t => {
+  t.equal(compileFileFilter({}), null)
+
+  const images = compileFileFilter({ allowedMimeTypes: ['image/*'], deniedExtensions: ['svg'] })
+  t.ok(images('image/png', 'photo.png'))
+  t.ok(images('IMAGE/JPEG; charset=binary', 'photo.jpg'))
+  t.notOk(images('application/pdf', 'doc.pdf'))
+  t.notOk(images('image/svg+xml', 'logo.SVG'))
+
+  const archives = compileFileFilter({ allowedExtensions: ['.tar.gz', 'zip', '.jp*g'] })
+  t.ok(archives('application/gzip', 'backup.tar.gz'))
+  t.ok(archives('application/zip', 'bundle.ZIP'))
+  t.ok(archives('image/jpeg', 'photo.jpeg'))
+  t.notOk(archives('application/gzip', 'backup.gz'))
+  t.notOk(archives('application/zip', 'zip'))
+
+  const aliases = compileFileFilter({ allowedMimeTypes: ['image/jpeg'] })
+  t.ok(aliases('image/jpg', 'photo.jpg'))
+})
+
+test('createFileFilters should compile the rules once per field', async t => {
+  const getFileFilter = createFileFilters({
+    allowedMimeTypes: ['image/*'],
+    fieldRules: { document: { allowedMimeTypes: ['application/pdf'] } }
+  })
+
+  const avatar = getFileFilter('avatar')
+  t.equal(getFileFilter('photo'), avatar, 'fields without rules share the filter')
+  t.ok(avatar('image/png', 'photo.png'))
+  t.notOk(avatar('application/pdf', 'doc.pdf'))
+
+  const document = getFileFilter('document')
+  t.equal(getFileFilter('document'), document)
+  t.ok(document('application/pdf', 'doc.pdf'))
+  t.notOk(document('image/png', 'photo.png'))
+
+  t.equal(createFileFilters({})('file'), null)
+})
+
+test('should reject disallowed files before storing them', async t => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-filter-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { tempDir, allowedMimeTypes: ['image/*'] })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    await request.parseMultipart()
+    return { success: true }
+  })
+
+  const form = new FormData()
+  form.append('document', Buffer.from('%PDF-1.7'), { filename: 'report.pdf', contentType: 'application/pdf' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 415)
+  t.same(response.json(), {
+    statusCode: 415,
+    code: 'FST_MULTIPART_FILE_TYPE_NOT_ALLOWED',
+    error: 'Unsupported Media Type',
+    message: 'File "report.pdf" in field "document" is not an allowed type'
+  })
+  t.same(fs.readdirSync(tempDir), [])
+})
+
+test('should apply per-field rules over the global rules', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, {
+    allowedExtensions: ['.pdf'],
+    fieldRules: {
+      avatar: { allowedMimeTypes: ['image/png'], allowedExtensions: ['.png'] }
+    }
+  })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return { files: files.map(f => f.filename).sort() }
+  })
+
+  const valid = new FormData()
+  valid.append('avatar', PNG, { filename: 'me.png', contentType: 'image/png' })
+  valid.append('resume', Buffer.from('%PDF-1.7'), { filename: 'cv.pdf', contentType: 'application/pdf' })
+
+  const accepted = await inject(fastify, valid)
+  t.equal(accepted.statusCode, 200)
+  t.same(accepted.json(), { files: ['cv.pdf', 'me.png'] })
+
+  const invalid = new FormData()
+  invalid.append('resume', PNG, { filename: 'me.png', contentType: 'image/png' })
+
+  const rejected = await inject(fastify, invalid)
+  t.equal(rejected.statusCode, 415)
+  t.equal(rejected.json().message, 'File "me.png" in field "resume" is not an allowed type')
+})
+
+test('should check the detected type against the rules', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { deniedMimeTypes: ['application/vnd.microsoft.portable-executable'] })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    await request.parseMultipart()
+    return { success: true }
+  })
+
+  const form = new FormData()
+  form.append('file', Buffer.concat([Buffer.from('MZ'), Buffer.alloc(100)]), { filename: 'setup.png', contentType: 'image/png' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 415)
+  t.equal(response.json().code, 'FST_MULTIPART_FILE_TYPE_NOT_ALLOWED')
+})
+
+test('parts() should reject disallowed files', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', { config: { multipart: { allowedMimeTypes: ['text/*'] } } }, async (request, reply) => {
+    const names = []
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        names.push(part.filename)
+        part.stream.resume()
+      }
+    }
+    return { names }
+  })
+
+  const form = new FormData()
+  form.append('file', PNG, { filename: 'photo.png', contentType: 'image/png' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 415)
+  t.equal(response.json().message, 'File "photo.png" in field "file" is not an allowed type')
+})
+
+test('parts() should check the detected type against the rules', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { allowedMimeTypes: ['image/*'] })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const sizes = []
+    for await (const part of request.parts()) {
+      let size = 0
+      for await (const chunk of part.stream) {
+        size += chunk.length
+      }
+      sizes.push(size)
+    }
+    return { sizes }
+  })
+
+  const form = new FormData()
+  form.append('file', Buffer.concat([Buffer.from('MZ'), Buffer.alloc(100)]), { filename: 'setup.png', contentType: 'image/png' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 415)
+  t.equal(response.json().message, 'File "setup.png" in field "file" is not an allowed type')
+
+  const valid = new FormData()
+  valid.append('file', PNG, { filename: 'photo.png', contentType: 'image/png' })
+  t.same((await inject(fastify, valid)).json(), { sizes: [PNG.length] })
+})
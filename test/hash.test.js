@@ -0,0 +1,106 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const crypto = require('crypto')
+const multipart = require('../index')
+
+const content = Buffer.from('Hello World')
+
+function digest (algorithm, encoding = 'hex') {
+  return crypto.createHash(algorithm).update(content).digest(encoding)
+}
+
+function upload (fastify) {
+  const form = new FormData()
+  form.append('name', 'John')
+  form.append('file', content, { filename: 'test.txt' })
+
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('parseMultipart should compute hashes while storing files', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { hashAlgorithms: ['sha256', 'md5'] })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    t.equal((await files[0].toBuffer()).toString(), 'Hello World')
+    return files[0].hashes
+  })
+
+  const response = await upload(fastify)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { sha256: digest('sha256'), md5: digest('md5') })
+})
+
+test('hashEncoding should select the digest encoding', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory', hashAlgorithms: ['sha256'], hashEncoding: 'base64' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return files[0].hashes
+  })
+
+  const response = await upload(fastify)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { sha256: digest('sha256', 'base64') })
+})
+
+test('files should have no hashes by default', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return { hasHashes: 'hashes' in files[0] }
+  })
+
+  const response = await upload(fastify)
+
+  t.same(response.json(), { hasHashes: false })
+})
+
+test('parts() file parts should resolve digest() once the stream ends', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { hashAlgorithms: ['sha256'] })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const result = {}
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        const chunks = []
+        for await (const chunk of part.stream) {
+          chunks.push(chunk)
+        }
+        result.content = Buffer.concat(chunks).toString()
+        result.hashes = await part.digest()
+      }
+    }
+    return result
+  })
+
+  const response = await upload(fastify)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { content: 'Hello World', hashes: { sha256: digest('sha256') } })
+})
+
+test('should reject unsupported hash algorithms at registration', async t => {
+  const fastify = Fastify()
+  fastify.register(multipart, { hashAlgorithms: ['not-a-hash'] })
+  await t.rejects(fastify.ready(), /Unsupported hash algorithm: not-a-hash/)
+})
@@ -0,0 +1,126 @@
+'use strict'
+
+const Fastify = require('fastify')
+const zlib = require('zlib')
+const multipart = require('../index')
+
+async function replySizes (request) {
+  const { files } = await request.parseMultipart()
+  return { sizes: files.map((file) => file.size) }
+}
+
+/**
+ * Create the `build(t, options, handler)` fixture of a test file. It registers the
+ * plugin with `defaults` and `options` on a new instance, closed once the test ends,
+ * and routes POST /upload to `handler`, or to the file's own `handler` by default.
+ * @param {object} [fixture]
+ * @param {object} [fixture.defaults] Plugin options shared by the tests of the file
+ * @param {function} [fixture.handler] Default route handler (default: replies with the file sizes)
+ * @param {object} [fixture.server] Fastify options
+ */
+function createBuild ({ defaults, handler: defaultHandler = replySizes, server } = {}) {
+  return async function build (t, options, handler = defaultHandler) {
+    const fastify = Fastify(server)
+    await fastify.register(multipart, { ...defaults, ...options })
+    t.teardown(() => fastify.close())
+
+    fastify.post('/upload', handler)
+
+    return fastify
+  }
+}
+
+/**
+ * Build a ZIP archive from entries `{ name, content, size }`. Contents are deflated
+ * unless `store` is set, `size` overrides the uncompressed size declared for an entry.
+ * With `descriptor`, sizes follow the data as streaming writers do; with `zip64`,
+ * sizes and offsets are moved to the ZIP64 records.
+ */
+function zip (entries, { descriptor = false, store = false, zip64 = false, comment = '' } = {}) {
+  const locals = []
+  const headers = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8')
+    const content = Buffer.from(entry.content || '')
+    const data = store ? content : zlib.deflateRawSync(content)
+    const size = entry.size !== undefined ? entry.size : content.length
+    const method = store ? 0 : 8
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034B50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(0x0800 | (descriptor ? 0x0008 : 0), 6)
+    local.writeUInt16LE(method, 8)
+    local.writeUInt32LE(descriptor ? 0 : data.length, 18)
+    local.writeUInt32LE(descriptor ? 0 : Math.min(size, 0xFFFFFFFF), 22)
+    local.writeUInt16LE(name.length, 26)
+    locals.push(local, name, data)
+
+    let length = local.length + name.length + data.length
+    if (descriptor) {
+      const trailer = Buffer.alloc(16)
+      trailer.writeUInt32LE(0x08074B50, 0)
+      trailer.writeUInt32LE(data.length, 8)
+      trailer.writeUInt32LE(size, 12)
+      locals.push(trailer)
+      length += trailer.length
+    }
+
+    let extra = Buffer.alloc(0)
+    if (zip64) {
+      extra = Buffer.alloc(20)
+      extra.writeUInt16LE(0x0001, 0)
+      extra.writeUInt16LE(16, 2)
+      extra.writeBigUInt64LE(BigInt(size), 4)
+      extra.writeBigUInt64LE(BigInt(data.length), 12)
+    }
+    const header = Buffer.alloc(46)
+    header.writeUInt32LE(0x02014B50, 0)
+    header.writeUInt16LE(45, 4)
+    header.writeUInt16LE(45, 6)
+    header.writeUInt16LE(0x0800 | (descriptor ? 0x0008 : 0), 8)
+    header.writeUInt16LE(method, 10)
+    header.writeUInt32LE(zip64 ? 0xFFFFFFFF : data.length, 20)
+    header.writeUInt32LE(zip64 ? 0xFFFFFFFF : size, 24)
+    header.writeUInt16LE(name.length, 28)
+    header.writeUInt16LE(extra.length, 30)
+    header.writeUInt32LE(offset, 42)
+    headers.push(header, name, extra)
+
+    offset += length
+  }
+
+  const directory = Buffer.concat(headers)
+  const tail = []
+  if (zip64) {
+    const record = Buffer.alloc(56)
+    record.writeUInt32LE(0x06064B50, 0)
+    record.writeBigUInt64LE(44n, 4)
+    record.writeBigUInt64LE(BigInt(entries.length), 24)
+    record.writeBigUInt64LE(BigInt(entries.length), 32)
+    record.writeBigUInt64LE(BigInt(directory.length), 40)
+    record.writeBigUInt64LE(BigInt(offset), 48)
+    const locator = Buffer.alloc(20)
+    locator.writeUInt32LE(0x07064B50, 0)
+    locator.writeBigUInt64LE(BigInt(offset + directory.length), 8)
+    locator.writeUInt32LE(1, 16)
+    tail.push(record, locator)
+  }
+  const eocd = Buffer.alloc(22)
+  eocd.writeUInt32LE(0x06054B50, 0)
+  eocd.writeUInt16LE(zip64 ? 0xFFFF : entries.length, 8)
+  eocd.writeUInt16LE(zip64 ? 0xFFFF : entries.length, 10)
+  eocd.writeUInt32LE(zip64 ? 0xFFFFFFFF : directory.length, 12)
+  eocd.writeUInt32LE(zip64 ? 0xFFFFFFFF : offset, 16)
+  eocd.writeUInt16LE(Buffer.byteLength(comment), 20)
+  tail.push(eocd, Buffer.from(comment))
+
+  return Buffer.concat([...locals, directory, ...tail])
+}
+
+module.exports = {
+  createBuild,
+  zip
+}
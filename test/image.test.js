@@ -0,0 +1,267 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const multipart = require('../index')
+const { readImageInfo } = require('../lib/image')
+
+function png (width, height) {
+  const buffer = Buffer.alloc(64)
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(buffer)
+  buffer.writeUInt32BE(13, 8)
+  buffer.write('IHDR', 12, 'latin1')
+  buffer.writeUInt32BE(width, 16)
+  buffer.writeUInt32BE(height, 20)
+  return buffer
+}
+
+function gif (width, height) {
+  const buffer = Buffer.alloc(64)
+  buffer.write('GIF89a', 0, 'latin1')
+  buffer.writeUInt16LE(width, 6)
+  buffer.writeUInt16LE(height, 8)
+  return buffer
+}
+
+function bmp (width, height) {
+  const buffer = Buffer.alloc(64)
+  buffer.write('BM', 0, 'latin1')
+  buffer.writeUInt32LE(40, 14)
+  buffer.writeInt32LE(width, 18)
+  buffer.writeInt32LE(height, 22)
+  return buffer
+}
+
+function webp (chunk, width, height) {
+  const buffer = Buffer.alloc(64)
+  buffer.write('RIFF', 0, 'latin1')
+  buffer.writeUInt32LE(56, 4)
+  buffer.write('WEBP', 8, 'latin1')
+  buffer.write(chunk, 12, 'latin1')
+  if (chunk === 'VP8 ') {
+    Buffer.from([0x9D, 0x01, 0x2A]).copy(buffer, 23)
+    buffer.writeUInt16LE(width, 26)
+    buffer.writeUInt16LE(height, 28)
+  } else if (chunk === 'VP8L') {
+    buffer[20] = 0x2F
+    buffer.writeUInt32LE(((width - 1) | ((height - 1) << 14)) >>> 0, 21)
+  } else {
+    buffer.writeUIntLE(width - 1, 24, 3)
+    buffer.writeUIntLE(height - 1, 27, 3)
+  }
+  return buffer
+}
+
+// JPEG with an Exif APP1 segment, `padding` bytes of APP2 and a baseline frame header
+function jpeg (width, height, { orientation = null, padding = 0 } = {}) {
+  const segments = [Buffer.from([0xFF, 0xD8])]
+
+  if (orientation) {
+    const tiff = Buffer.alloc(26)
+    tiff.write('MM', 0, 'latin1')
+    tiff.writeUInt16BE(42, 2)
+    tiff.writeUInt32BE(8, 4)
+    tiff.writeUInt16BE(1, 8)
+    tiff.writeUInt16BE(0x0112, 10)
+    tiff.writeUInt16BE(3, 12)
+    tiff.writeUInt32BE(1, 14)
+    tiff.writeUInt16BE(orientation, 18)
+    const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff])
+    const header = Buffer.from([0xFF, 0xE1, 0, 0])
+    header.writeUInt16BE(payload.length + 2, 2)
+    segments.push(header, payload)
+  }
+
+  while (padding > 0) {
+    const size = Math.min(padding, 65000)
+    const header = Buffer.from([0xFF, 0xE2, 0, 0])
+    header.writeUInt16BE(size + 2, 2)
+    segments.push(header, Buffer.alloc(size))
+    padding -= size
+  }
+
+  const sof = Buffer.from([0xFF, 0xC0, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03])
+  sof.writeUInt16BE(height, 5)
+  sof.writeUInt16BE(width, 7)
+  segments.push(sof, Buffer.alloc(32), Buffer.from([0xFF, 0xD9]))
+  return Buffer.concat(segments)
+}
+
+function box (type, ...payloads) {
+  const payload = Buffer.concat(payloads)
+  const header = Buffer.alloc(8)
+  header.writeUInt32BE(payload.length + 8, 0)
+  header.write(type, 4, 'latin1')
+  return Buffer.concat([header, payload])
+}
+
+function ispe (width, height) {
+  const payload = Buffer.alloc(12)
+  payload.writeUInt32BE(width, 4)
+  payload.writeUInt32BE(height, 8)
+  return box('ispe', payload)
+}
+
+function avif (width, height, rotation = null) {
+  const properties = [ispe(width / 4, height / 4), ispe(width, height)]
+  if (rotation !== null) {
+    properties.push(box('irot', Buffer.from([rotation])))
+  }
+  return Buffer.concat([
+    box('ftyp', Buffer.from('avif\0\0\0\0mif1miaf', 'latin1')),
+    box('meta', Buffer.alloc(4), box('hdlr', Buffer.alloc(24)), box('iprp', box('ipco', ...properties))),
+    box('mdat', Buffer.alloc(16))
+  ])
+}
+
+function upload (fastify, files, url = '/upload') {
+  const form = new FormData()
+  for (const [filename, content] of Object.entries(files)) {
+    form.append('image', content, { filename })
+  }
+  return fastify.inject({
+    method: 'POST',
+    url,
+    headers: form.getHeaders(),
+    payload: form.getBuffer()
+  })
+}
+
+test('readImageInfo should read the dimensions of supported formats', async t => {
+  t.same(readImageInfo(png(640, 480)), { width: 640, height: 480, format: 'png', orientation: null })
+  t.same(readImageInfo(gif(32, 16)), { width: 32, height: 16, format: 'gif', orientation: null })
+  t.same(readImageInfo(bmp(100, -50)), { width: 100, height: 50, format: 'bmp', orientation: null })
+  t.same(readImageInfo(webp('VP8 ', 300, 200)), { width: 300, height: 200, format: 'webp', orientation: null })
+  t.same(readImageInfo(webp('VP8L', 1024, 768)), { width: 1024, height: 768, format: 'webp', orientation: null })
+  t.same(readImageInfo(webp('VP8X', 5000, 4000)), { width: 5000, height: 4000, format: 'webp', orientation: null })
+  t.same(readImageInfo(jpeg(1920, 1080)), { width: 1920, height: 1080, format: 'jpeg', orientation: null })
+  t.same(readImageInfo(jpeg(1920, 1080, { orientation: 6 })), { width: 1920, height: 1080, format: 'jpeg', orientation: 6 })
+  t.same(readImageInfo(avif(800, 600)), { width: 800, height: 600, format: 'avif', orientation: null })
+  t.same(readImageInfo(avif(800, 600, 1)), { width: 800, height: 600, format: 'avif', orientation: 8 })
+})
+
+test('readImageInfo should return null for other or truncated files', async t => {
+  t.equal(readImageInfo(Buffer.from('%PDF-1.7 not an image')), null)
+  t.equal(readImageInfo(Buffer.alloc(0)), null)
+  t.equal(readImageInfo(png(10, 10).subarray(0, 20)), null)
+  t.equal(readImageInfo(jpeg(10, 10).subarray(0, 4)), null)
+  t.equal(readImageInfo(png(0, 10)), null)
+})
+
+test('parseMultipart should expose image metadata', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request) => {
+    const { files } = await request.parseMultipart()
+    return files
+      .map((file) => ({ filename: file.filename, image: file.image }))
+      .sort((a, b) => a.filename.localeCompare(b.filename))
+  })
+
+  const response = await upload(fastify, {
+    'photo.jpg': jpeg(4000, 3000, { orientation: 3, padding: 100 * 1024 }),
+    'notes.txt': 'not an image'
+  })
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), [
+    { filename: 'notes.txt', image: null },
+    { filename: 'photo.jpg', image: { width: 4000, height: 3000, format: 'jpeg', orientation: 3 } }
+  ])
+})
+
+test('imageMetadata: false should skip image parsing', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory', imageMetadata: false })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request) => {
+    const { files } = await request.parseMultipart()
+    return { hasImage: 'image' in files[0] }
+  })
+
+  const response = await upload(fastify, { 'image.png': png(10, 10) })
+  t.same(response.json(), { hasImage: false })
+})
+
+test('route image limits should reject images before the handler runs', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory' })
+  t.teardown(() => fastify.close())
+
+  let handled = 0
+  fastify.post('/avatar', {
+    config: { multipart: { minWidth: 100, minHeight: 100, maxPixels: 4096 * 4096 } }
+  }, async (request) => {
+    const { files } = await request.parseMultipart()
+    handled++
+    return files.map((file) => file.image).filter(Boolean)
+  })
+
+  const accepted = await upload(fastify, { 'avatar.png': png(256, 256), 'notes.txt': 'text files are not images' }, '/avatar')
+  t.equal(accepted.statusCode, 200)
+  t.same(accepted.json(), [{ width: 256, height: 256, format: 'png', orientation: null }])
+
+  const small = await upload(fastify, { 'avatar.png': png(64, 256) }, '/avatar')
+  t.equal(small.statusCode, 422)
+  t.equal(small.json().code, 'FST_MULTIPART_IMAGE_DIMENSIONS')
+  t.equal(small.json().message, 'Image "avatar.png" in field "image" is not accepted: width 64 is below the minimum of 100')
+
+  // A tiny file declaring a huge canvas, as decompression bombs do
+  const bomb = await upload(fastify, { 'bomb.png': png(50000, 50000) }, '/avatar')
+  t.equal(bomb.statusCode, 422)
+  t.match(bomb.json().message, /50000x50000 pixels exceed the maximum of 16777216/)
+
+  const unreadable = await upload(fastify, { 'broken.png': png(256, 256).subarray(0, 20) }, '/avatar')
+  t.equal(unreadable.statusCode, 422)
+  t.match(unreadable.json().message, /dimensions could not be read/)
+
+  t.equal(handled, 1)
+})
+
+test('image limits should stop oversized images while they stream to storage', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { maxWidth: 1000, maxHeight: 1000 })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request) => {
+    await request.parseMultipart()
+    return { ok: true }
+  })
+
+  const image = Buffer.concat([webp('VP8X', 2000, 500), Buffer.alloc(1024 * 1024)])
+  const response = await upload(fastify, { 'wide.webp': image })
+
+  t.equal(response.statusCode, 422)
+  t.match(response.json().message, /width 2000 exceeds the maximum of 1000/)
+})
+
+test('parts() should expose image metadata and fail on image limits', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { maxPixels: 1000 * 1000 })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request) => {
+    const images = []
+    try {
+      for await (const part of request.parts()) {
+        if (part.type === 'file') {
+          for await (const chunk of part.stream) {} // eslint-disable-line no-unused-vars
+          images.push(part.image)
+        }
+      }
+    } catch (err) {
+      return { images, error: err.code }
+    }
+    return { images }
+  })
+
+  const accepted = await upload(fastify, { 'small.gif': gif(20, 10) })
+  t.same(accepted.json(), { images: [{ width: 20, height: 10, format: 'gif', orientation: null }] })
+
+  const rejected = await upload(fastify, { 'small.gif': gif(20, 10), 'huge.bmp': bmp(5000, 5000) })
+  t.equal(rejected.json().error, 'FST_MULTIPART_IMAGE_DIMENSIONS')
+})
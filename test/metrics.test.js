@@ -0,0 +1,145 @@
+'use strict'
+
+const { test } = require('tap')
+const FormData = require('form-data')
+const { createBuild } = require('./helper')
+
+const build = createBuild({
+  defaults: { storage: 'memory' },
+  handler: async (request) => {
+    const { files } = await request.parseMultipart()
+    return { files: files.length }
+  }
+})
+
+function upload (fastify, form) {
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form.getBuffer()
+  })
+}
+
+function buildForm () {
+  const form = new FormData()
+  form.append('name', 'John')
+  form.append('tags', 'a')
+  form.append('small', Buffer.alloc(100), { filename: 'small.bin' })
+  form.append('large', Buffer.alloc(50 * 1024), { filename: 'large.bin' })
+  return form
+}
+
+test('parseMultipart() should record requests, files, fields and durations', async t => {
+  const fastify = await build(t)
+
+  t.equal((await upload(fastify, buildForm())).statusCode, 200)
+  t.equal((await upload(fastify, buildForm())).statusCode, 200)
+
+  const snapshot = fastify.multipartMetrics.snapshot()
+  t.same(snapshot.requests, { success: 2, error: 0 })
+  t.same(snapshot.errors, {})
+  t.same(snapshot.filesPerRequest, {
+    buckets: { 0: 0, 1: 0, 2: 2, 5: 2, 10: 2, 20: 2, 50: 2, 100: 2, '+Inf': 2 },
+    sum: 4,
+    count: 2
+  })
+  t.equal(snapshot.fieldsPerRequest.sum, 4)
+  t.equal(snapshot.fileSize.count, 4)
+  t.equal(snapshot.fileSize.sum, 2 * (100 + 50 * 1024))
+  t.equal(snapshot.fileSize.buckets[1024], 2, 'small files')
+  t.equal(snapshot.fileSize.buckets[102400], 4)
+  t.equal(snapshot.duration.count, 2)
+  t.ok(snapshot.duration.sum > 0)
+})
+
+test('failed requests should be counted by error code', async t => {
+  const fastify = await build(t, { limits: { fileSize: 1024 } })
+
+  const tooLarge = await upload(fastify, buildForm())
+  t.equal(tooLarge.statusCode, 413)
+
+  const invalid = await fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: { 'content-type': 'text/plain' },
+    payload: 'hello'
+  })
+  t.equal(invalid.statusCode, 400)
+
+  const snapshot = fastify.multipartMetrics.snapshot()
+  t.same(snapshot.requests, { success: 0, error: 2 })
+  t.same(snapshot.errors, {
+    FST_MULTIPART_FILE_SIZE_LIMIT: 1,
+    FST_MULTIPART_INVALID_CONTENT_TYPE: 1
+  })
+  t.equal(snapshot.filesPerRequest.count, 0, 'only successful requests are counted per request')
+  t.equal(snapshot.duration.count, 2)
+})
+
+test('parts() should record the parts it yields', async t => {
+  const fastify = await build(t, {}, async (request) => {
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        for await (const chunk of part.stream) {
+          t.ok(chunk)
+        }
+      }
+    }
+    return { ok: true }
+  })
+
+  t.equal((await upload(fastify, buildForm())).statusCode, 200)
+
+  const snapshot = fastify.multipartMetrics.snapshot()
+  t.same(snapshot.requests, { success: 1, error: 0 })
+  t.equal(snapshot.filesPerRequest.sum, 2)
+  t.equal(snapshot.fieldsPerRequest.sum, 2)
+  t.equal(snapshot.fileSize.sum, 100 + 50 * 1024)
+})
+
+test('metricsRoute should serve the metrics in the Prometheus text format', async t => {
+  const fastify = await build(t, { metricsRoute: '/metrics', limits: { files: 1 } })
+
+  await upload(fastify, buildForm())
+  const form = new FormData()
+  form.append('file', Buffer.alloc(10), { filename: 'file.bin' })
+  await upload(fastify, form)
+
+  const response = await fastify.inject({ method: 'GET', url: '/metrics' })
+  t.equal(response.statusCode, 200)
+  t.equal(response.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8')
+
+  const lines = response.body.split('\n')
+  t.ok(lines.includes('# TYPE multipart_requests_total counter'))
+  t.ok(lines.includes('multipart_requests_total{result="success"} 1'))
+  t.ok(lines.includes('multipart_requests_total{result="error"} 1'))
+  t.ok(lines.includes('multipart_errors_total{code="FST_MULTIPART_FILES_LIMIT"} 1'))
+  t.ok(lines.includes('# TYPE multipart_file_size_bytes histogram'))
+  t.ok(lines.includes('multipart_request_files_bucket{le="1"} 1'))
+  t.ok(lines.includes('multipart_request_files_count 1'))
+  t.ok(lines.includes('multipart_parse_duration_seconds_bucket{le="+Inf"} 2'))
+
+  // Buckets are listed in increasing order
+  const bounds = lines
+    .filter((line) => line.startsWith('multipart_parse_duration_seconds_bucket'))
+    .map((line) => Number(line.match(/le="([^"]+)"/)[1].replace('+Inf', 'Infinity')))
+  t.same(bounds, [...bounds].sort((a, b) => a - b))
+})
+
+test('the metrics route should not be registered by default', async t => {
+  const fastify = await build(t)
+  const response = await fastify.inject({ method: 'GET', url: '/metrics' })
+  t.equal(response.statusCode, 404)
+})
+
+test('reset() should clear the metrics', async t => {
+  const fastify = await build(t)
+  await upload(fastify, buildForm())
+
+  fastify.multipartMetrics.reset()
+
+  const snapshot = fastify.multipartMetrics.snapshot()
+  t.same(snapshot.requests, { success: 0, error: 0 })
+  t.equal(snapshot.fileSize.count, 0)
+})
@@ -0,0 +1,213 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const http = require('http')
+const crypto = require('crypto')
+const { Readable } = require('stream')
+const { setTimeout: sleep } = require('timers/promises')
+const multipart = require('../index')
+
+const FILE_SIZE = 4 * 1024 * 1024
+
+// Send the body over a real connection, so the request is read as it is consumed
+async function send (fastify, form) {
+  await fastify.listen({ port: 0, host: '127.0.0.1' })
+  const body = form.getBuffer()
+  const chunks = []
+  for (let i = 0; i < body.length; i += 16 * 1024) {
+    chunks.push(body.subarray(i, i + 16 * 1024))
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      agent: false,
+      port: fastify.server.address().port,
+      host: '127.0.0.1',
+      method: 'POST',
+      path: '/upload',
+      headers: form.getHeaders({ 'content-length': body.length })
+    }, (res) => {
+      const data = []
+      res.on('data', (chunk) => data.push(chunk))
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        json: () => JSON.parse(Buffer.concat(data).toString())
+      }))
+    })
+    // The server may answer before the whole body has been sent
+    req.on('error', reject)
+    Readable.from(chunks, { objectMode: false }).pipe(req)
+  })
+}
+
+function buildForm () {
+  const form = new FormData()
+  form.append('title', 'Large file')
+  form.append('file', Buffer.alloc(FILE_SIZE, 1), { filename: 'large.bin' })
+  form.append('after', 'last field')
+  return form
+}
+
+test('parts() should stop reading the request until the file stream is consumed', async t => {
+  const fastify = Fastify({ forceCloseConnections: true })
+  await fastify.register(multipart, { limits: { fileSize: FILE_SIZE * 2 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    let received = 0
+    request.raw.on('data', (chunk) => { received += chunk.length })
+
+    const result = { fields: [] }
+    for await (const part of request.parts()) {
+      if (part.type === 'field') {
+        result.fields.push(part.fieldname)
+        continue
+      }
+      // Nothing is read from the file for a while
+      await sleep(100)
+      result.receivedWhilePaused = received
+
+      let size = 0
+      for await (const chunk of part.stream) {
+        size += chunk.length
+      }
+      result.size = size
+      result.partSize = part.size
+    }
+    result.received = received
+    return result
+  })
+
+  const response = await send(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  const result = response.json()
+  t.same(result.fields, ['title', 'after'])
+  t.equal(result.size, FILE_SIZE)
+  t.equal(result.partSize, FILE_SIZE)
+  t.ok(result.receivedWhilePaused < FILE_SIZE / 2, `paused after ${result.receivedWhilePaused} bytes`)
+  t.ok(result.received > FILE_SIZE)
+})
+
+test('parts() should hash every byte a slow consumer reads', async t => {
+  const fastify = Fastify({ forceCloseConnections: true })
+  await fastify.register(multipart, { hashAlgorithms: ['sha256'], detectMimeType: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const result = {}
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        const digest = part.digest()
+        for await (const chunk of part.stream) { // eslint-disable-line no-unused-vars
+          await sleep(5)
+        }
+        result.sha256 = (await digest).sha256
+      }
+    }
+    return result
+  })
+
+  const content = crypto.randomBytes(300 * 1024)
+  const form = new FormData()
+  form.append('file', content, { filename: 'random.bin' })
+  const response = await send(fastify, form)
+
+  t.equal(response.statusCode, 200)
+  t.equal(response.json().sha256, crypto.createHash('sha256').update(content).digest('hex'))
+})
+
+test('parts() should discard the file streams the consumer skips', async t => {
+  const fastify = Fastify({ forceCloseConnections: true })
+  await fastify.register(multipart, { limits: { fileSize: FILE_SIZE * 2 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const result = { files: [], fields: [] }
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        result.files.push(part.filename)
+      } else {
+        result.fields.push(part.fieldname)
+      }
+    }
+    return result
+  })
+
+  const response = await send(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { files: ['large.bin'], fields: ['title', 'after'] })
+})
+
+test('parts() should fail the file stream as soon as the size limit is hit', async t => {
+  const fastify = Fastify({ forceCloseConnections: true })
+  await fastify.register(multipart, { limits: { fileSize: 1024 * 1024 } })
+  t.teardown(() => fastify.close())
+
+  let streamError = null
+  fastify.post('/upload', async (request, reply) => {
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        try {
+          for await (const chunk of part.stream) { // eslint-disable-line no-unused-vars
+          }
+        } catch (err) {
+          streamError = err
+          throw err
+        }
+      }
+    }
+    return { success: true }
+  })
+
+  const response = await send(fastify, buildForm())
+
+  t.equal(response.statusCode, 413)
+  t.equal(response.json().code, 'FST_MULTIPART_FILE_SIZE_LIMIT')
+  t.equal(streamError && streamError.code, 'FST_MULTIPART_FILE_SIZE_LIMIT')
+})
+
+test('parts() should throw limit errors without waiting for the body', async t => {
+  const fastify = Fastify({ forceCloseConnections: true })
+  await fastify.register(multipart, { limits: { fields: 1 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const fields = []
+    for await (const part of request.parts()) {
+      if (part.type === 'field') {
+        fields.push(part.fieldname)
+      } else {
+        part.stream.resume()
+      }
+    }
+    return { fields }
+  })
+
+  const response = await send(fastify, buildForm())
+
+  t.equal(response.statusCode, 413)
+  t.equal(response.json().code, 'FST_MULTIPART_FIELDS_LIMIT')
+})
+
+test('parts() should discard the rest of the body when the consumer stops early', async t => {
+  const fastify = Fastify({ forceCloseConnections: true })
+  await fastify.register(multipart, { limits: { fileSize: FILE_SIZE * 2 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    for await (const part of request.parts()) {
+      if (part.type === 'field') {
+        return { first: part.fieldname }
+      }
+    }
+  })
+
+  const response = await send(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { first: 'title' })
+})
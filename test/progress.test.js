@@ -0,0 +1,125 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const multipart = require('../index')
+
+function buildForm () {
+  const form = new FormData()
+  form.append('title', 'Holiday')
+  form.append('photo', Buffer.alloc(200 * 1024, 1), { filename: 'beach.jpg', contentType: 'image/jpeg' })
+  return form
+}
+
+function inject (fastify, form) {
+  const payload = form.getBuffer()
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders({ 'content-length': payload.length }),
+    payload
+  })
+}
+
+test('parseMultipart() should report progress to onProgress', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { progressInterval: 0 })
+  t.teardown(() => fastify.close())
+
+  const events = []
+  fastify.post('/upload', async (request, reply) => {
+    await request.parseMultipart({ onProgress: (progress) => events.push(progress) })
+    return { success: true }
+  })
+
+  const form = buildForm()
+  const length = form.getBuffer().length
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 200)
+  t.ok(events.length > 2)
+  t.ok(events.some(e => e.fieldname === 'title' && e.files.length === 0))
+
+  const last = events[events.length - 1]
+  t.same(last, {
+    bytesReceived: length,
+    bytesExpected: length,
+    percent: 100,
+    fieldname: 'photo',
+    files: [{ fieldname: 'photo', filename: 'beach.jpg', bytesReceived: 200 * 1024, done: true }]
+  })
+
+  // Progress only moves forward
+  for (let i = 1; i < events.length; i++) {
+    t.ok(events[i].bytesReceived >= events[i - 1].bytesReceived)
+  }
+})
+
+test('request.uploadProgress should emit progress events', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { progressInterval: 0 })
+  t.teardown(() => fastify.close())
+
+  const events = []
+  fastify.post('/upload', async (request, reply) => {
+    request.uploadProgress.on('progress', (progress) => events.push(progress))
+    const names = []
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        names.push(part.filename)
+        part.stream.resume()
+      }
+    }
+    return { names }
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { names: ['beach.jpg'] })
+  const last = events[events.length - 1]
+  t.equal(last.percent, 100)
+  t.same(last.files, [{ fieldname: 'photo', filename: 'beach.jpg', bytesReceived: 200 * 1024, done: true }])
+})
+
+test('progress should be throttled to progressInterval', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { progressInterval: 60000 })
+  t.teardown(() => fastify.close())
+
+  const events = []
+  fastify.post('/upload', {
+    config: { multipart: { onProgress: (progress, request) => events.push(progress) } }
+  }, async (request, reply) => {
+    await request.parseMultipart()
+    return { success: true }
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  // The first update is reported right away, the final state when parsing ends
+  t.equal(events.length, 2)
+  t.equal(events[1].percent, 100)
+})
+
+test('progress listener errors should not break parsing', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { progressInterval: 0 })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart({
+      onProgress () {
+        throw new Error('listener failed')
+      }
+    })
+    return { size: files[0].size }
+  })
+
+  const response = await inject(fastify, buildForm())
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { size: 200 * 1024 })
+})
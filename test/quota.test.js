@@ -0,0 +1,233 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const multipart = require('../index')
+const { createBuild } = require('./helper')
+
+const build = createBuild()
+
+function upload (fastify, tenant, ...contents) {
+  const form = new FormData()
+  contents.forEach((content, index) => {
+    form.append('file', content, { filename: `file${index}.bin` })
+  })
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: { ...form.getHeaders(), 'x-tenant': tenant },
+    payload: form.getBuffer()
+  })
+}
+
+const byTenant = (request) => request.headers['x-tenant'] || null
+
+test('memoryQuotaStore should count usage per key and window', async t => {
+  const store = multipart.memoryQuotaStore()
+
+  t.equal(store.increment('a', 100, 50), 100)
+  t.equal(store.increment('a', 50, 50), 150)
+  t.equal(store.increment('b', 10, 50), 10)
+  store.decrement('a', 120, 50)
+  t.equal(store.get('a'), 30)
+  store.decrement('a', 1000, 50)
+  t.equal(store.get('a'), 0)
+
+  await new Promise((resolve) => setTimeout(resolve, 60))
+  t.equal(store.get('b'), 0, 'usage is reset once the window is over')
+  t.equal(store.increment('b', 5, 50), 5)
+})
+
+test('uploads should be rejected once the tenant crosses its quota', async t => {
+  const store = multipart.memoryQuotaStore()
+  const fastify = await build(t, { quota: { key: byTenant, limit: 1000, store } })
+
+  const first = await upload(fastify, 'acme', Buffer.alloc(600))
+  t.equal(first.statusCode, 200)
+  t.equal(store.get('acme'), 600, 'the unused reservation is given back')
+
+  const second = await upload(fastify, 'acme', Buffer.alloc(300), Buffer.alloc(300))
+  t.equal(second.statusCode, 429)
+  t.equal(second.json().code, 'FST_MULTIPART_QUOTA_EXCEEDED')
+  t.equal(second.json().message, 'Upload quota of 1000 bytes exceeded')
+  t.equal(store.get('acme'), 600, 'bytes of the failed upload are refunded')
+
+  const fits = await upload(fastify, 'acme', Buffer.alloc(400))
+  t.equal(fits.statusCode, 200)
+  t.equal(store.get('acme'), 1000)
+
+  const other = await upload(fastify, 'globex', Buffer.alloc(900))
+  t.equal(other.statusCode, 200, 'tenants have their own quota')
+
+  const anonymous = await upload(fastify, '', Buffer.alloc(5000))
+  t.equal(anonymous.statusCode, 200, 'requests without a key have no quota')
+})
+
+test('a large upload should be stopped as soon as it crosses the quota', async t => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-quota-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  const store = multipart.memoryQuotaStore()
+  const fastify = await build(t, {
+    tempDir,
+    limits: { fileSize: 50 * 1024 * 1024 },
+    quota: { key: byTenant, limit: 2 * 1024 * 1024, store }
+  })
+
+  const response = await upload(fastify, 'acme', Buffer.alloc(1024 * 1024), Buffer.alloc(20 * 1024 * 1024))
+
+  t.equal(response.statusCode, 429)
+  t.equal(store.get('acme'), 0)
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  t.same(fs.readdirSync(tempDir), [], 'stored files were deleted')
+})
+
+test('custom stores should be called per reservation, not per chunk', async t => {
+  const usage = new Map()
+  const calls = []
+  const store = {
+    async increment (key, bytes, window) {
+      calls.push(['increment', key, bytes, window])
+      usage.set(key, (usage.get(key) || 0) + bytes)
+      return usage.get(key)
+    },
+    async decrement (key, bytes, window) {
+      calls.push(['decrement', key, bytes, window])
+      usage.set(key, usage.get(key) - bytes)
+    }
+  }
+  const fastify = await build(t, {
+    storage: 'memory',
+    quota: { key: async (request) => `tenant:${request.headers['x-tenant']}`, limit: 100 * 1024 * 1024, window: 3600 * 1000, store }
+  })
+
+  const response = await upload(fastify, 'acme', Buffer.alloc(3 * 1024 * 1024 + 10))
+
+  t.equal(response.statusCode, 200)
+  t.equal(usage.get('tenant:acme'), 3 * 1024 * 1024 + 10)
+  const increments = calls.filter((call) => call[0] === 'increment')
+  t.ok(increments.length <= 4, 'bytes are reserved a megabyte at a time')
+  t.ok(increments.every((call) => call[2] >= 1024 * 1024))
+  t.ok(calls.every((call) => call[1] === 'tenant:acme' && call[3] === 3600 * 1000))
+})
+
+test('store failures should fail the upload', async t => {
+  const store = {
+    increment () {
+      throw new Error('quota database unavailable')
+    },
+    decrement () {}
+  }
+  const fastify = await build(t, { storage: 'memory', quota: { key: byTenant, limit: 1000, store } })
+
+  const response = await upload(fastify, 'acme', 'content')
+  t.equal(response.statusCode, 500)
+  t.match(response.json().message, /quota database unavailable/)
+})
+
+test('quotas should be configurable per route', async t => {
+  const store = multipart.memoryQuotaStore()
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', {
+    config: { multipart: { quota: { key: byTenant, limit: 100, store } } }
+  }, async (request) => {
+    await request.parseMultipart()
+    return { ok: true }
+  })
+  fastify.post('/unlimited', async (request) => {
+    await request.parseMultipart()
+    return { ok: true }
+  })
+
+  const limited = await upload(fastify, 'acme', Buffer.alloc(200))
+  t.equal(limited.statusCode, 429)
+
+  const form = new FormData()
+  form.append('file', Buffer.alloc(200), { filename: 'file.bin' })
+  const unlimited = await fastify.inject({
+    method: 'POST',
+    url: '/unlimited',
+    headers: { ...form.getHeaders(), 'x-tenant': 'acme' },
+    payload: form.getBuffer()
+  })
+  t.equal(unlimited.statusCode, 200)
+})
+
+test('parts() should count consumed files and refund failed uploads', async t => {
+  const store = multipart.memoryQuotaStore()
+  const fastify = await build(t, { quota: { key: byTenant, limit: 1000, store } }, async (request) => {
+    const sizes = []
+    try {
+      for await (const part of request.parts()) {
+        let size = 0
+        for await (const chunk of part.stream) {
+          size += chunk.length
+        }
+        sizes.push(size)
+      }
+    } catch (err) {
+      return { sizes, error: err.code }
+    }
+    return { sizes }
+  })
+
+  const accepted = await upload(fastify, 'acme', Buffer.alloc(300), Buffer.alloc(300))
+  t.same(accepted.json(), { sizes: [300, 300] })
+  t.equal(store.get('acme'), 600)
+
+  const rejected = await upload(fastify, 'acme', Buffer.alloc(300), Buffer.alloc(300))
+  t.equal(rejected.json().error, 'FST_MULTIPART_QUOTA_EXCEEDED')
+  t.equal(store.get('acme'), 600)
+})
+
+test('concurrent uploads should only reserve what their bodies can hold', async t => {
+  const store = multipart.memoryQuotaStore()
+  let consumed = 0
+  let bothConsumed
+  const barrier = new Promise((resolve) => { bothConsumed = resolve })
+  const fastify = await build(t, { quota: { key: byTenant, limit: 1536 * 1024, store } }, async (request) => {
+    for await (const part of request.parts()) {
+      try {
+        for await (const chunk of part.stream) {
+          t.ok(chunk)
+        }
+      } finally {
+        if (++consumed === 2) {
+          bothConsumed()
+        }
+      }
+      // Both uploads hold their reservations until both files are read
+      await barrier
+    }
+    return { ok: true }
+  })
+
+  const responses = await Promise.all([
+    upload(fastify, 'acme', Buffer.alloc(640 * 1024)),
+    upload(fastify, 'acme', Buffer.alloc(640 * 1024))
+  ])
+
+  t.same(responses.map((response) => response.statusCode), [200, 200])
+  t.equal(store.get('acme'), 1280 * 1024)
+})
+
+test('should reject invalid quotas at registration', async t => {
+  const invalid = [
+    [{ limit: 100 }, /quota\.key must be a function/],
+    [{ key: byTenant, limit: 0 }, /quota\.limit must be a positive number/],
+    [{ key: byTenant, limit: 100, window: -1 }, /quota\.window must be a positive number/],
+    [{ key: byTenant, limit: 100, store: {} }, /quota\.store must be an object implementing increment\(\) and decrement\(\)/]
+  ]
+  for (const [quota, message] of invalid) {
+    const fastify = Fastify()
+    fastify.register(multipart, { quota })
+    await t.rejects(fastify.ready(), message)
+  }
+})
@@ -0,0 +1,143 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const multipart = require('../index')
+
+function upload (fastify, url, size) {
+  const form = new FormData()
+  form.append('file', Buffer.alloc(size, 'x'), { filename: 'data.bin' })
+
+  return fastify.inject({
+    method: 'POST',
+    url,
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('route config.multipart limits should override plugin limits', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { limits: { fileSize: 100 } })
+  t.teardown(() => fastify.close())
+
+  const handler = async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return { size: files[0].size }
+  }
+
+  fastify.post('/avatar', handler)
+  fastify.post('/video', { config: { multipart: { limits: { fileSize: 1000 } } } }, handler)
+
+  const small = await upload(fastify, '/avatar', 200)
+  t.equal(small.statusCode, 413)
+  t.equal(small.json().code, 'FST_MULTIPART_FILE_SIZE_LIMIT')
+
+  const large = await upload(fastify, '/video', 200)
+  t.equal(large.statusCode, 200)
+  t.same(large.json(), { size: 200 })
+})
+
+test('route config.multipart should keep unrelated plugin limits', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { limits: { files: 1 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', { config: { multipart: { limits: { fileSize: 1000 } } } }, async (request, reply) => {
+    await request.parseMultipart()
+    return { success: true }
+  })
+
+  const form = new FormData()
+  form.append('first', Buffer.from('1'), { filename: 'first.txt' })
+  form.append('second', Buffer.from('2'), { filename: 'second.txt' })
+
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+
+  t.equal(response.statusCode, 413)
+  t.equal(response.json().code, 'FST_MULTIPART_FILES_LIMIT')
+})
+
+test('parseMultipart(options) should override route options', async t => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-route-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { limits: { fileSize: 100 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', { config: { multipart: { limits: { fileSize: 150 } } } }, async (request, reply) => {
+    const { files } = await request.parseMultipart({ tempDir, limits: { fileSize: 1000 } })
+    return { dir: path.dirname(files[0]._tempPath), size: files[0].size }
+  })
+
+  const response = await upload(fastify, '/upload', 200)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { dir: tempDir, size: 200 })
+})
+
+test('parts(options) should apply per-call limits', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    try {
+      for await (const part of request.parts({ limits: { fileSize: 50 } })) {
+        if (part.type === 'file') {
+          part.stream.resume()
+        }
+      }
+      return { success: true }
+    } catch (err) {
+      return reply.code(413).send({ code: err.code })
+    }
+  })
+
+  const response = await upload(fastify, '/upload', 200)
+
+  t.equal(response.statusCode, 413)
+  t.same(response.json(), { code: 'FST_MULTIPART_FILE_SIZE_LIMIT' })
+})
+
+test('route config.multipart should enable validateBody per route', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  const schema = {
+    body: {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name']
+    }
+  }
+
+  fastify.post('/strict', { schema, config: { multipart: { validateBody: true } } }, async (request, reply) => {
+    await request.parseMultipart()
+    return { success: true }
+  })
+
+  const form = new FormData()
+  form.append('other', 'value')
+
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/strict',
+    headers: form.getHeaders(),
+    payload: form
+  })
+
+  t.equal(response.statusCode, 400)
+  t.equal(response.json().message, "body must have required property 'name'")
+})
@@ -0,0 +1,323 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const os = require('os')
+const net = require('net')
+const path = require('path')
+const { Writable } = require('stream')
+const { pipeline } = require('stream/promises')
+const multipart = require('../index')
+const { createBuild } = require('./helper')
+const { parseReply } = require('../lib/clamav')
+
+const SIGNATURE = 'EICAR-TEST-SIGNATURE'
+
+/**
+ * Fake clamd answering INSTREAM commands: files containing SIGNATURE are infected
+ * @param {object} [options]
+ * @param {string} [options.socketPath] Listen on a unix socket instead of a TCP port
+ * @param {string|null} [options.reply] Fixed reply, `null` to never reply
+ * @param {boolean} [options.stall] Accept connections but never read from them
+ */
+async function startClamd (options = {}) {
+  const scanned = []
+  const sockets = new Set()
+  const server = net.createServer((socket) => {
+    sockets.add(socket)
+    socket.on('close', () => sockets.delete(socket))
+    if (options.stall) {
+      socket.pause()
+      socket.on('error', () => {})
+      return
+    }
+    let buffer = Buffer.alloc(0)
+    let command = null
+    const chunks = []
+    const lengths = []
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data])
+      if (command === null) {
+        const end = buffer.indexOf(0)
+        if (end === -1) {
+          return
+        }
+        command = buffer.subarray(0, end).toString()
+        buffer = buffer.subarray(end + 1)
+      }
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0)
+        if (length === 0) {
+          const content = Buffer.concat(chunks)
+          scanned.push({ command, content, lengths })
+          if (options.reply === null) {
+            return
+          }
+          const reply = options.reply || (content.includes(SIGNATURE) ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK')
+          socket.end(`${reply}\0`)
+          return
+        }
+        if (buffer.length < 4 + length) {
+          return
+        }
+        lengths.push(length)
+        chunks.push(buffer.subarray(4, 4 + length))
+        buffer = buffer.subarray(4 + length)
+      }
+    })
+    socket.on('error', () => {})
+  })
+
+  if (options.socketPath) {
+    await new Promise((resolve) => server.listen(options.socketPath, resolve))
+  } else {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  }
+
+  return {
+    port: options.socketPath ? null : server.address().port,
+    scanned,
+    close: () => new Promise((resolve) => {
+      server.close(resolve)
+      for (const socket of sockets) {
+        socket.destroy()
+      }
+    })
+  }
+}
+
+const build = createBuild({
+  handler: async (request) => {
+    const { files } = await request.parseMultipart()
+    return files.map((file) => ({ filename: file.filename, scan: file.scan }))
+  }
+})
+
+function upload (fastify, files) {
+  const form = new FormData()
+  form.append('name', 'John')
+  for (const [filename, content] of Object.entries(files)) {
+    form.append('file', content, { filename })
+  }
+
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form.getBuffer()
+  })
+}
+
+test('clamavScanner should accept clean files and stream them to clamd', async t => {
+  const clamd = await startClamd()
+  t.teardown(() => clamd.close())
+
+  const fastify = await build(t, {
+    scanner: multipart.clamavScanner({ port: clamd.port, chunkSize: 1024 })
+  })
+  const content = Buffer.alloc(5000, 'a')
+
+  const response = await upload(fastify, { 'clean.txt': content })
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), [{ filename: 'clean.txt', scan: { infected: false, viruses: [] } }])
+  t.equal(clamd.scanned.length, 1)
+  t.equal(clamd.scanned[0].command, 'zINSTREAM')
+  t.ok(clamd.scanned[0].content.equals(content), 'clamd received the whole file')
+  t.ok(clamd.scanned[0].lengths.every((length) => length <= 1024), 'chunks respect chunkSize')
+})
+
+test('infected files should be removed and the request rejected', async t => {
+  const clamd = await startClamd()
+  t.teardown(() => clamd.close())
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-scan-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  let handled = false
+  const fastify = await build(t, {
+    tempDir,
+    scanner: multipart.clamavScanner({ port: clamd.port })
+  }, async (request) => {
+    await request.parseMultipart()
+    handled = true
+    return { ok: true }
+  })
+
+  const response = await upload(fastify, {
+    'clean.txt': 'clean content',
+    'virus.com': `X5O!P%@AP ${SIGNATURE} content`
+  })
+
+  t.equal(response.statusCode, 422)
+  t.equal(response.json().code, 'FST_MULTIPART_INFECTED_FILE')
+  t.match(response.json().message, /"virus\.com" in field "file" is infected: Eicar-Test-Signature/)
+  t.notOk(handled)
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  t.same(fs.readdirSync(tempDir), [], 'stored files were deleted')
+})
+
+test('clamavScanner should connect over a unix socket', { skip: process.platform === 'win32' }, async t => {
+  const socketPath = path.join(os.tmpdir(), `clamd-${process.pid}-${Date.now()}.sock`)
+  const clamd = await startClamd({ socketPath })
+  t.teardown(() => clamd.close())
+
+  const fastify = await build(t, { storage: 'memory', scanner: multipart.clamavScanner({ socketPath }) })
+
+  const response = await upload(fastify, { 'clean.txt': 'hello' })
+
+  t.equal(response.statusCode, 200)
+  t.equal(clamd.scanned[0].content.toString(), 'hello')
+})
+
+test('scan failures should reject the request unless scanFailOpen is set', async t => {
+  const clamd = await startClamd({ reply: null })
+  t.teardown(() => clamd.close())
+
+  const scanner = multipart.clamavScanner({ port: clamd.port, timeout: 100 })
+
+  const closed = await build(t, { storage: 'memory', scanner })
+  const rejected = await upload(closed, { 'file.txt': 'content' })
+  t.equal(rejected.statusCode, 503)
+  t.equal(rejected.json().code, 'FST_MULTIPART_SCAN_FAILED')
+  t.match(rejected.json().message, /did not reply within 100ms/)
+
+  const open = await build(t, { storage: 'memory', scanner, scanFailOpen: true })
+  const accepted = await upload(open, { 'file.txt': 'content' })
+  t.equal(accepted.statusCode, 200)
+  t.same(accepted.json(), [{ filename: 'file.txt', scan: null }])
+})
+
+test('clamavScanner should fail when clamd stops reading the file', async t => {
+  const clamd = await startClamd({ stall: true })
+  t.teardown(() => clamd.close())
+
+  const scanner = multipart.clamavScanner({ port: clamd.port, timeout: 500 })
+  const fastify = await build(t, { storage: 'memory', scanner, limits: { fileSize: 64 * 1024 * 1024 } })
+
+  const start = Date.now()
+  const response = await upload(fastify, { 'large.bin': Buffer.alloc(32 * 1024 * 1024) })
+
+  t.equal(response.statusCode, 503)
+  t.match(response.json().message, /clamd stopped reading the file for 500ms/)
+  t.ok(Date.now() - start < 5000, 'the upload does not hang')
+})
+
+test('clamavScanner should fail when clamd is unavailable or reports an error', async t => {
+  const clamd = await startClamd()
+  const port = clamd.port
+  await clamd.close()
+
+  const unavailable = await build(t, { storage: 'memory', scanner: multipart.clamavScanner({ port }) })
+  const response = await upload(unavailable, { 'file.txt': 'content' })
+  t.equal(response.statusCode, 503)
+  t.match(response.json().message, /clamd connection failed/)
+
+  const limited = await startClamd({ reply: 'INSTREAM size limit exceeded. ERROR' })
+  t.teardown(() => limited.close())
+  const failing = await build(t, { storage: 'memory', scanner: multipart.clamavScanner({ port: limited.port }) })
+  const error = await upload(failing, { 'file.txt': 'content' })
+  t.equal(error.statusCode, 503)
+  t.match(error.json().message, /INSTREAM size limit exceeded/)
+})
+
+test('parseReply should read clamd verdicts', async t => {
+  t.same(parseReply('stream: OK\0'), { infected: false, viruses: [] })
+  t.same(parseReply('stream: Win.Test.EICAR_HDB-1 FOUND\0'), { infected: true, viruses: ['Win.Test.EICAR_HDB-1'] })
+  t.throws(() => parseReply('UNKNOWN COMMAND\0'), /clamd replied: UNKNOWN COMMAND/)
+})
+
+test('custom scanners should see each file with its metadata', async t => {
+  const seen = []
+  const scanner = {
+    async scan (stream, file) {
+      const chunks = []
+      for await (const chunk of stream) {
+        chunks.push(chunk)
+      }
+      seen.push({ ...file, content: Buffer.concat(chunks).toString() })
+      return { infected: file.filename === 'bad.txt', viruses: ['Custom.Signature'] }
+    }
+  }
+
+  const fastify = await build(t, { storage: 'memory', scanner })
+
+  const clean = await upload(fastify, { 'good.txt': 'good' })
+  t.equal(clean.statusCode, 200)
+  t.same(seen, [{ fieldname: 'file', filename: 'good.txt', encoding: '7bit', mimetype: 'text/plain', content: 'good' }])
+
+  const infected = await upload(fastify, { 'bad.txt': 'bad' })
+  t.equal(infected.statusCode, 422)
+  t.match(infected.json().message, /Custom\.Signature/)
+})
+
+test('scanners settling before the end of the file should not stall the upload', async t => {
+  const scanner = {
+    async scan () {
+      return { infected: false }
+    }
+  }
+
+  const fastify = await build(t, { storage: 'memory', scanner }, async (request) => {
+    const { files } = await request.parseMultipart()
+    return { size: files[0].size, scan: files[0].scan }
+  })
+
+  const response = await upload(fastify, { 'large.bin': Buffer.alloc(1024 * 1024) })
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { size: 1024 * 1024, scan: { infected: false, viruses: [] } })
+})
+
+test('parts() should fail infected files and expose the verdict through part.scan()', async t => {
+  const clamd = await startClamd()
+  t.teardown(() => clamd.close())
+
+  const fastify = await build(t, { scanner: multipart.clamavScanner({ port: clamd.port }) }, async (request) => {
+    const results = []
+    try {
+      for await (const part of request.parts()) {
+        if (part.type === 'file') {
+          let size = 0
+          const sink = new Writable({
+            write (chunk, encoding, callback) {
+              size += chunk.length
+              callback()
+            }
+          })
+          // The file is stored without waiting for part.scan()
+          try {
+            await pipeline(part.stream, sink)
+            results.push({ filename: part.filename, size, scan: await part.scan() })
+          } catch (err) {
+            results.push({ filename: part.filename, error: err.code })
+          }
+        }
+      }
+    } catch (err) {
+      results.push({ iterator: err.code })
+    }
+    return results
+  })
+
+  const response = await upload(fastify, {
+    'clean.txt': 'clean',
+    'virus.com': SIGNATURE
+  })
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), [
+    { filename: 'clean.txt', size: 5, scan: { infected: false, viruses: [] } },
+    { filename: 'virus.com', error: 'FST_MULTIPART_INFECTED_FILE' },
+    { iterator: 'FST_MULTIPART_INFECTED_FILE' }
+  ])
+})
+
+test('should reject invalid scanners at registration', async t => {
+  const fastify = Fastify()
+  fastify.register(multipart, { scanner: {} })
+  await t.rejects(fastify.ready(), /scanner must be an object implementing scan\(\)/)
+})
@@ -0,0 +1,150 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const multipart = require('../index')
+const { detectMimeType, isMimeMismatch } = require('../lib/sniff')
+const { zip } = require('./helper')
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')
+const EXE = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(200)])
+
+function upload (fastify, content, contentType, extra) {
+  const form = new FormData()
+  form.append('file', content, { filename: 'upload.png', contentType })
+  if (extra) {
+    form.append('other', extra, { filename: 'other.txt', contentType: 'text/plain' })
+  }
+
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('detectMimeType should recognise common signatures', async t => {
+  t.equal(detectMimeType(PNG), 'image/png')
+  t.equal(detectMimeType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])), 'image/jpeg')
+  t.equal(detectMimeType(Buffer.from('GIF89a')), 'image/gif')
+  t.equal(detectMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp')
+  t.equal(detectMimeType(Buffer.from('\0\0\0\x1cftypavif')), 'image/avif')
+  t.equal(detectMimeType(Buffer.from('%PDF-1.7')), 'application/pdf')
+  t.equal(detectMimeType(zip([{ name: 'data.csv' }])), 'application/zip')
+  t.equal(
+    detectMimeType(zip([{ name: '[Content_Types].xml' }, { name: 'word/document.xml' }])),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  )
+  t.equal(detectMimeType(Buffer.from([0x1F, 0x8B, 0x08, 0x00])), 'application/gzip')
+  t.equal(detectMimeType(Buffer.from([0x7F, 0x45, 0x4C, 0x46, 0x02])), 'application/x-elf')
+  t.equal(detectMimeType(EXE), 'application/vnd.microsoft.portable-executable')
+  t.equal(detectMimeType(Buffer.from('plain text')), null)
+})
+
+test('isMimeMismatch should compare declared and detected types', async t => {
+  t.notOk(isMimeMismatch('image/png', 'image/png'))
+  t.notOk(isMimeMismatch('image/jpg', 'image/jpeg'), 'aliases')
+  t.notOk(isMimeMismatch('IMAGE/PNG; charset=binary', 'image/png'), 'parameters and case')
+  t.notOk(isMimeMismatch('application/zip', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'), 'container families')
+  t.notOk(isMimeMismatch('application/octet-stream', 'application/x-elf'), 'generic declared type')
+  t.notOk(isMimeMismatch('text/csv', null), 'undetectable declared type')
+  t.ok(isMimeMismatch('image/png', 'application/vnd.microsoft.portable-executable'))
+  t.ok(isMimeMismatch('image/png', null), 'detectable declared type without signature')
+})
+
+test('files should expose the detected MIME type', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    const content = await files[0].toBuffer()
+    return { mimetype: files[0].mimetype, detectedMimeType: files[0].detectedMimeType, intact: content.equals(EXE) }
+  })
+
+  const response = await upload(fastify, EXE, 'image/png')
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    mimetype: 'image/png',
+    detectedMimeType: 'application/vnd.microsoft.portable-executable',
+    intact: true
+  })
+})
+
+test('rejectMimeMismatch should reject files whose content disagrees with the declared type', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { rejectMimeMismatch: true })
+  t.teardown(() => fastify.close())
+
+  let tempFiles = null
+  fastify.post('/upload', async (request, reply) => {
+    try {
+      const result = await request.parseMultipart()
+      tempFiles = result._tempFiles
+      return { success: true }
+    } catch (err) {
+      t.ok(err instanceof fastify.multipartErrors.MimeMismatch)
+      throw err
+    }
+  })
+
+  const response = await upload(fastify, EXE, 'image/png', 'trailing file')
+
+  t.equal(response.statusCode, 415)
+  t.same(response.json(), {
+    statusCode: 415,
+    code: 'FST_MULTIPART_MIME_MISMATCH',
+    error: 'Unsupported Media Type',
+    message: 'Declared type image/png of file "upload.png" does not match its content (application/vnd.microsoft.portable-executable)'
+  })
+  t.equal(tempFiles, null)
+
+  const valid = await upload(fastify, PNG, 'image/png')
+  t.equal(valid.statusCode, 200)
+})
+
+test('parts() should expose the detected type and reject mismatching files', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { rejectMimeMismatch: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const detected = []
+    for await (const part of request.parts()) {
+      if (part.type === 'file') {
+        for await (const chunk of part.stream) {
+          t.ok(chunk)
+        }
+        detected.push(part.detectedMimeType)
+      }
+    }
+    return { detected }
+  })
+
+  const valid = await upload(fastify, PNG, 'image/png', 'trailing file')
+  t.equal(valid.statusCode, 200)
+  t.same(valid.json(), { detected: ['image/png', null] })
+
+  const response = await upload(fastify, EXE, 'image/png')
+  t.equal(response.statusCode, 415)
+  t.equal(response.json().code, 'FST_MULTIPART_MIME_MISMATCH')
+})
+
+test('detectMimeType: false should skip sniffing', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { detectMimeType: false })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return { sniffed: 'detectedMimeType' in files[0] }
+  })
+
+  const response = await upload(fastify, PNG, 'image/png')
+
+  t.same(response.json(), { sniffed: false })
+})
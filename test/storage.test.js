@@ -0,0 +1,297 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Readable } = require('stream')
+const { promisify } = require('util')
+const sleep = promisify(setTimeout)
+const multipart = require('../index')
+
+function upload (fastify, content = 'Hello World') {
+  const form = new FormData()
+  form.append('name', 'John')
+  form.append('file', Buffer.from(content), { filename: 'test.txt', contentType: 'text/plain' })
+
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+async function readFile (file) {
+  const chunks = []
+  for await (const chunk of file.createReadStream()) {
+    chunks.push(chunk)
+  }
+  return {
+    buffer: (await file.toBuffer()).toString(),
+    stream: Buffer.concat(chunks).toString(),
+    size: file.size
+  }
+}
+
+test('memory storage should keep files in buffers', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files, fields, _tempFiles } = await request.parseMultipart()
+    t.ok(Buffer.isBuffer(files[0].buffer))
+    t.equal(files[0]._tempPath, undefined)
+    t.same(_tempFiles, [])
+    return { name: fields.name, ...(await readFile(files[0])) }
+  })
+
+  const response = await upload(fastify)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { name: 'John', buffer: 'Hello World', stream: 'Hello World', size: 11 })
+})
+
+test('directory storage should store files with the naming function', async t => {
+  const destination = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-storage-'))
+  t.teardown(() => fs.rmSync(destination, { recursive: true, force: true }))
+
+  const fastify = Fastify()
+  await fastify.register(multipart, {
+    storage: multipart.directoryStorage({
+      destination,
+      filename: (part) => `${part.fieldname}-${part.filename}`
+    })
+  })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    t.equal(files[0].path, path.join(destination, 'file-test.txt'))
+    t.equal(files[0].destination, destination)
+    return readFile(files[0])
+  })
+
+  const response = await upload(fastify)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { buffer: 'Hello World', stream: 'Hello World', size: 11 })
+
+  // Stored files outlive the request
+  t.equal(fs.readFileSync(path.join(destination, 'file-test.txt'), 'utf8'), 'Hello World')
+})
+
+test('directory storage should reject names escaping the destination', async t => {
+  const destination = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-storage-'))
+  t.teardown(() => fs.rmSync(destination, { recursive: true, force: true }))
+
+  const fastify = Fastify()
+  await fastify.register(multipart, {
+    storage: multipart.directoryStorage({ destination, filename: () => '../escaped.txt' })
+  })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    await request.parseMultipart()
+    return { success: true }
+  })
+
+  const response = await upload(fastify)
+
+  t.equal(response.statusCode, 500)
+  t.notOk(fs.existsSync(path.join(destination, '..', 'escaped.txt')))
+})
+
+test('custom storage engines should receive each part', async t => {
+  const objects = new Map()
+  const removed = []
+  const objectStore = {
+    async _handleFile (part) {
+      const chunks = []
+      for await (const chunk of part.stream) {
+        chunks.push(chunk)
+      }
+      const key = `${part.fieldname}/${part.filename}`
+      objects.set(key, Buffer.concat(chunks))
+      return { key, size: objects.get(key).length }
+    },
+    async _removeFile (info) {
+      removed.push(info.key)
+      objects.delete(info.key)
+    },
+    _createReadStream (info) {
+      return Readable.from([objects.get(info.key)])
+    }
+  }
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: objectStore, limits: { fileSize: 20 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return { key: files[0].key, ...(await readFile(files[0])) }
+  })
+
+  const response = await upload(fastify)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { key: 'file/test.txt', buffer: 'Hello World', stream: 'Hello World', size: 11 })
+
+  // Files of failed uploads are removed through the engine
+  const failed = await upload(fastify, 'x'.repeat(50))
+  t.equal(failed.statusCode, 413)
+  await sleep(100)
+  t.same(removed, ['file/test.txt'])
+})
+
+test('storage engines may remove files synchronously', async t => {
+  const objects = new Map()
+  const engine = {
+    async _handleFile (part) {
+      const chunks = []
+      for await (const chunk of part.stream) {
+        chunks.push(chunk)
+      }
+      objects.set(part.filename, Buffer.concat(chunks))
+      return { key: part.filename }
+    },
+    _removeFile (info) {
+      objects.delete(info.key)
+    },
+    _createReadStream (info) {
+      return Readable.from([objects.get(info.key)])
+    }
+  }
+  const rejections = []
+  const onRejection = (err) => rejections.push(err)
+  process.on('unhandledRejection', onRejection)
+  t.teardown(() => process.removeListener('unhandledRejection', onRejection))
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: engine, limits: { fileSize: 20 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    await request.parseMultipart()
+    return { ok: true }
+  })
+
+  const failed = await upload(fastify, 'x'.repeat(50))
+  t.equal(failed.statusCode, 413)
+  await sleep(100)
+  t.same([...objects.keys()], [])
+  t.same(rejections, [])
+})
+
+test('parts following a rejected file should not reach the storage engine', async t => {
+  const handled = []
+  const engine = {
+    async _handleFile (part) {
+      handled.push(part.filename)
+      for await (const chunk of part.stream) {
+        t.ok(chunk)
+      }
+      return { key: part.filename }
+    },
+    async _removeFile () {},
+    _createReadStream () {
+      return Readable.from([])
+    }
+  }
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: engine, limits: { fileSize: 1024 } })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    await request.parseMultipart()
+    return { ok: true }
+  })
+
+  const form = new FormData()
+  form.append('file', Buffer.alloc(1024 * 1024), { filename: 'big.txt' })
+  for (let i = 0; i < 3; i++) {
+    form.append('file', Buffer.from('small'), { filename: `small${i}.txt` })
+  }
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form.getBuffer()
+  })
+
+  t.equal(response.statusCode, 413)
+  t.same(handled, ['big.txt'])
+})
+
+test('storage can be selected per route', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart)
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', { config: { multipart: { storage: 'memory' } } }, async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return { inMemory: Buffer.isBuffer(files[0].buffer) }
+  })
+
+  const response = await upload(fastify)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { inMemory: true })
+})
+
+test('should reject invalid storage engines at registration', async t => {
+  const fastify = Fastify()
+  fastify.register(multipart, { storage: {} })
+  await t.rejects(fastify.ready(), /storage must be/)
+})
+
+test('hybrid storage should keep small files in memory and spill large ones to disk', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'hybrid', memoryThreshold: 100 })
+  t.teardown(() => fastify.close())
+
+  let tempPaths = []
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files, _tempFiles } = await request.parseMultipart()
+    tempPaths = _tempFiles
+    const result = {}
+    for (const file of files) {
+      const { buffer, stream, size } = await readFile(file)
+      result[file.fieldname] = {
+        inMemory: Buffer.isBuffer(file.buffer),
+        onDisk: Boolean(file.path) && fs.existsSync(file.path),
+        matches: buffer === stream && buffer.length === size,
+        size
+      }
+    }
+    return result
+  })
+
+  const form = new FormData()
+  form.append('small', Buffer.alloc(100, 'a'), { filename: 'small.txt' })
+  form.append('large', Buffer.alloc(5000, 'b'), { filename: 'large.txt' })
+
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), {
+    small: { inMemory: true, onDisk: false, matches: true, size: 100 },
+    large: { inMemory: false, onDisk: true, matches: true, size: 5000 }
+  })
+
+  // Spilled files are temporary
+  t.equal(tempPaths.length, 1)
+  await sleep(100)
+  t.notOk(fs.existsSync(tempPaths[0]))
+})
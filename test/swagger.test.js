@@ -0,0 +1,177 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const swagger = require('@fastify/swagger')
+const multipart = require('../index')
+const { swaggerTransform, swaggerTransformObject } = require('../index')
+
+const productSchema = {
+  consumes: ['multipart/form-data'],
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Product name' },
+      metadata: { type: 'object', contentMediaType: 'application/json' },
+      image: { type: 'string', format: 'binary', contentMediaType: 'image/png' },
+      attachments: { type: 'array', items: { type: 'string', contentEncoding: 'binary' } }
+    },
+    required: ['name', 'image']
+  }
+}
+
+async function buildSpec (routes, swaggerOptions = { openapi: { info: { title: 'test', version: '1.0.0' } } }) {
+  const fastify = Fastify()
+  await fastify.register(swagger, {
+    ...swaggerOptions,
+    transform: swaggerTransform,
+    transformObject: swaggerTransformObject
+  })
+  await fastify.register(multipart, { validateBody: true })
+  routes(fastify)
+  await fastify.ready()
+  const spec = fastify.swagger()
+  await fastify.close()
+  return spec
+}
+
+test('swaggerTransform - documents multipart bodies with files and part encodings', async (t) => {
+  const spec = await buildSpec((fastify) => {
+    fastify.post('/products', { schema: productSchema }, async () => ({ ok: true }))
+  })
+
+  const operation = spec.paths['/products'].post
+  t.notOk(operation['x-multipart'], 'internal extension is removed')
+  t.same(Object.keys(operation.requestBody.content), ['multipart/form-data'])
+  t.equal(operation.requestBody.required, true)
+
+  const media = operation.requestBody.content['multipart/form-data']
+  t.same(media.schema.properties, {
+    name: { type: 'string', description: 'Product name' },
+    metadata: { type: 'object' },
+    image: { type: 'string', format: 'binary' },
+    attachments: { type: 'array', items: { type: 'string', format: 'binary' } }
+  })
+  t.same(media.encoding, {
+    metadata: { contentType: 'application/json' },
+    image: { contentType: 'image/png' }
+  })
+})
+
+test('swaggerTransform - unwraps body.content schemas and keeps other media types', async (t) => {
+  const spec = await buildSpec((fastify) => {
+    fastify.post('/documents', {
+      schema: {
+        body: {
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  files: { type: 'array', items: { type: 'string', format: 'binary', contentMediaType: 'application/pdf' } }
+                }
+              },
+              encoding: { files: { contentType: 'application/pdf, image/*' } }
+            },
+            'application/json': {
+              schema: { type: 'object', properties: { title: { type: 'string' } } }
+            }
+          }
+        }
+      }
+    }, async () => ({ ok: true }))
+  })
+
+  const content = spec.paths['/documents'].post.requestBody.content
+  t.same(Object.keys(content), ['multipart/form-data', 'application/json'])
+  t.same(content['multipart/form-data'].schema.properties.files, {
+    type: 'array',
+    items: { type: 'string', format: 'binary' }
+  })
+  t.same(content['multipart/form-data'].encoding, {
+    files: { contentType: 'application/pdf, image/*' }
+  }, 'explicit encoding wins over contentMediaType')
+  t.same(content['application/json'].schema.properties, { title: { type: 'string' } })
+})
+
+test('swaggerTransform - leaves other routes unchanged', async (t) => {
+  const spec = await buildSpec((fastify) => {
+    fastify.post('/json', {
+      schema: { body: { type: 'object', properties: { avatar: { type: 'string', format: 'binary' } } } }
+    }, async () => ({ ok: true }))
+    fastify.get('/health', async () => ({ ok: true }))
+  })
+
+  t.same(Object.keys(spec.paths['/json'].post.requestBody.content), ['application/json'])
+  t.ok(spec.paths['/health'].get)
+
+  const result = swaggerTransform({ schema: undefined, url: '/health' })
+  t.same(result, { schema: undefined, url: '/health' })
+})
+
+test('swaggerTransform - describes files as file parameters in Swagger 2', async (t) => {
+  const spec = await buildSpec((fastify) => {
+    fastify.post('/products', { schema: productSchema }, async () => ({ ok: true }))
+  }, { swagger: { info: { title: 'test', version: '1.0.0' } } })
+
+  const operation = spec.paths['/products'].post
+  t.notOk(operation['x-multipart'])
+  const parameters = Object.fromEntries(operation.parameters.map((parameter) => [parameter.name, parameter]))
+  t.equal(parameters.image.in, 'formData')
+  t.equal(parameters.image.type, 'file')
+  t.equal(parameters.image.required, true)
+  t.equal(parameters.name.type, 'string')
+})
+
+test('swaggerTransform - does not modify the route schema', async (t) => {
+  const schema = JSON.parse(JSON.stringify(productSchema))
+  const snapshot = JSON.stringify(schema)
+  const { schema: transformed } = swaggerTransform({ schema, url: '/products' })
+
+  t.equal(JSON.stringify(schema), snapshot)
+  t.not(transformed, schema)
+  t.same(transformed['x-multipart'].encoding, {
+    metadata: { contentType: 'application/json' },
+    image: { contentType: 'image/png' }
+  })
+})
+
+test('validateBody - documented schemas validate multipart requests', async (t) => {
+  const fastify = Fastify()
+  t.teardown(() => fastify.close())
+  await fastify.register(multipart, { validateBody: true })
+
+  fastify.post('/products', { schema: productSchema }, async (request) => {
+    const { files, fields } = await request.parseMultipart()
+    return { name: fields.name, files: files.map((file) => file.fieldname) }
+  })
+
+  const form = new FormData()
+  form.append('name', 'Lamp')
+  form.append('image', Buffer.from('png'), { filename: 'lamp.png', contentType: 'image/png' })
+  form.append('attachments', Buffer.from('pdf'), { filename: 'manual.pdf' })
+
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/products',
+    headers: form.getHeaders(),
+    payload: form.getBuffer()
+  })
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { name: 'Lamp', files: ['image', 'attachments'] })
+
+  const textOnly = new FormData()
+  textOnly.append('name', 'Lamp')
+  textOnly.append('image', 'not a file')
+
+  const invalid = await fastify.inject({
+    method: 'POST',
+    url: '/products',
+    headers: textOnly.getHeaders(),
+    payload: textOnly.getBuffer()
+  })
+  t.equal(invalid.statusCode, 400)
+  t.match(invalid.json().message, /required property 'image'/)
+})
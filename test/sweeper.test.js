@@ -0,0 +1,184 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { Writable } = require('stream')
+const { setTimeout: sleep } = require('timers/promises')
+const multipart = require('../index')
+
+const HOUR = 60 * 60 * 1000
+
+function createTempDir (t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-sweep-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+  return tempDir
+}
+
+// Create a file last modified `age` milliseconds ago
+function createFile (tempDir, name, age) {
+  const filePath = path.join(tempDir, name)
+  fs.writeFileSync(filePath, 'orphan')
+  const time = new Date(Date.now() - age)
+  fs.utimesSync(filePath, time, time)
+  return filePath
+}
+
+function createLogger () {
+  const lines = []
+  const stream = new Writable({
+    write (chunk, encoding, callback) {
+      lines.push(JSON.parse(chunk))
+      callback()
+    }
+  })
+  return { lines, logger: { level: 'info', stream } }
+}
+
+test('should sweep old temp files on start', async t => {
+  const tempDir = createTempDir(t)
+  const orphan = createFile(tempDir, 'upload_1700000000000_abc12', 2 * HOUR)
+  createFile(tempDir, 'upload_1700000000001_def34', 10 * 1000)
+  createFile(tempDir, 'notes.txt', 2 * HOUR)
+  createFile(tempDir, 'upload_backup.tar', 2 * HOUR)
+
+  const { lines, logger } = createLogger()
+  const fastify = Fastify({ logger })
+  await fastify.register(multipart, { tempDir, sweepTempFiles: true })
+  t.teardown(() => fastify.close())
+
+  await fastify.ready()
+
+  t.same(fs.readdirSync(tempDir).sort(), ['notes.txt', 'upload_1700000000001_def34', 'upload_backup.tar'])
+  const log = lines.find(line => line.files)
+  t.equal(log.msg, 'Removed 1 orphaned temp upload file(s)')
+  t.same(log.files, [orphan])
+})
+
+test('should sweep again on every interval', async t => {
+  const tempDir = createTempDir(t)
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { tempDir, sweepTempFiles: true, sweepInterval: 50, tempFileMaxAge: HOUR })
+  t.teardown(() => fastify.close())
+  await fastify.ready()
+
+  createFile(tempDir, 'upload_1700000000000_abc12', 2 * HOUR)
+  await new Promise(resolve => setTimeout(resolve, 200))
+
+  t.same(fs.readdirSync(tempDir), [])
+})
+
+test('should not sweep unless enabled', async t => {
+  const tempDir = createTempDir(t)
+  createFile(tempDir, 'upload_1700000000000_abc12', 2 * HOUR)
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { tempDir })
+  t.teardown(() => fastify.close())
+  await fastify.ready()
+
+  t.equal(fs.readdirSync(tempDir).length, 1)
+
+  // Sweeping on demand is always possible
+  const removed = await fastify.multipartSweep()
+  t.equal(removed.length, 1)
+  t.same(fs.readdirSync(tempDir), [])
+})
+
+test('should never sweep files of in-flight requests', async t => {
+  const tempDir = createTempDir(t)
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { tempDir, tempFileMaxAge: 0 })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    const old = new Date(Date.now() - 2 * HOUR)
+    fs.utimesSync(files[0].path, old, old)
+
+    const removed = await fastify.multipartSweep()
+    return { removed, exists: fs.existsSync(files[0].path), content: (await files[0].toBuffer()).toString() }
+  })
+
+  const form = new FormData()
+  form.append('file', Buffer.from('Hello World'), { filename: 'test.txt' })
+
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form
+  })
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { removed: [], exists: true, content: 'Hello World' })
+})
+
+test('should never sweep files still being written', async t => {
+  const tempDir = createTempDir(t)
+
+  const fastify = Fastify({ forceCloseConnections: true })
+  await fastify.register(multipart, { tempDir, tempFileMaxAge: 0 })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', async (request, reply) => {
+    const { files } = await request.parseMultipart()
+    return { size: (await files[0].toBuffer()).length }
+  })
+  await fastify.listen({ port: 0, host: '127.0.0.1' })
+
+  const form = new FormData()
+  form.append('file', Buffer.alloc(256 * 1024), { filename: 'large.bin' })
+  const body = form.getBuffer()
+  const req = http.request({
+    agent: false,
+    port: fastify.server.address().port,
+    host: '127.0.0.1',
+    method: 'POST',
+    path: '/upload',
+    headers: form.getHeaders({ 'content-length': body.length })
+  })
+  const response = new Promise((resolve, reject) => {
+    req.on('response', (res) => {
+      const chunks = []
+      res.on('data', (chunk) => chunks.push(chunk))
+      res.on('end', () => resolve(JSON.parse(Buffer.concat(chunks))))
+    })
+    req.on('error', reject)
+  })
+
+  // The upload is still being written until the rest of the body is sent
+  req.write(body.subarray(0, 128 * 1024))
+  await sleep(200)
+  const [name] = fs.readdirSync(tempDir)
+  const old = new Date(Date.now() - 2 * HOUR)
+  fs.utimesSync(path.join(tempDir, name), old, old)
+  t.same(await fastify.multipartSweep(), [])
+
+  req.end(body.subarray(128 * 1024))
+  t.same(await response, { size: 256 * 1024 })
+})
+
+test('should sweep the temp directories of routes', async t => {
+  const tempDir = createTempDir(t)
+  const routeDir = createTempDir(t)
+  const orphan = createFile(routeDir, 'upload_1700000000000_abc12', 2 * HOUR)
+
+  const fastify = Fastify()
+  await fastify.register(multipart, { tempDir })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', { config: { multipart: { tempDir: routeDir } } }, async (request, reply) => {
+    await request.parseMultipart()
+    return { success: true }
+  })
+  await fastify.ready()
+
+  t.same(await fastify.multipartSweep(), [orphan])
+})
@@ -0,0 +1,199 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const { setTimeout: sleep } = require('timers/promises')
+const multipart = require('../index')
+const { createBuild } = require('./helper')
+
+const KB = 1024
+
+const build = createBuild({
+  defaults: { storage: 'memory' },
+  server: { forceCloseConnections: true }
+})
+
+function upload (fastify, size) {
+  const form = new FormData()
+  form.append('file', Buffer.alloc(size, 1), { filename: 'file.bin' })
+  return fastify.inject({
+    method: 'POST',
+    url: '/upload',
+    headers: form.getHeaders(),
+    payload: form.getBuffer()
+  })
+}
+
+test('uploadRate should limit the pace of each upload', async t => {
+  const fastify = await build(t, { uploadRate: 64 * KB })
+
+  const start = Date.now()
+  const response = await upload(fastify, 192 * KB)
+  const elapsed = Date.now() - start
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { sizes: [192 * KB] })
+  // One second worth of bytes goes through at once, the rest at 64KB/s
+  t.ok(elapsed >= 1800, `took ${elapsed}ms`)
+  t.ok(elapsed < 4000, `took ${elapsed}ms`)
+})
+
+test('totalUploadRate should be shared by all in-flight uploads', async t => {
+  const fastify = await build(t, { totalUploadRate: 64 * KB })
+
+  const start = Date.now()
+  const responses = await Promise.all([upload(fastify, 96 * KB), upload(fastify, 96 * KB)])
+  const elapsed = Date.now() - start
+
+  t.same(responses.map((response) => response.statusCode), [200, 200])
+  t.ok(elapsed >= 1800, `took ${elapsed}ms`)
+})
+
+test('uploadRate should be configurable per route', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { storage: 'memory' })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/upload', { config: { multipart: { uploadRate: 64 * KB } } }, async (request) => {
+    await request.parseMultipart()
+    return { ok: true }
+  })
+  fastify.post('/fast', async (request) => {
+    await request.parseMultipart()
+    return { ok: true }
+  })
+
+  let start = Date.now()
+  t.equal((await upload(fastify, 128 * KB)).statusCode, 200)
+  t.ok(Date.now() - start >= 800, 'the throttled route is slowed down')
+
+  const form = new FormData()
+  form.append('file', Buffer.alloc(128 * KB), { filename: 'file.bin' })
+  start = Date.now()
+  const response = await fastify.inject({ method: 'POST', url: '/fast', headers: form.getHeaders(), payload: form.getBuffer() })
+  t.equal(response.statusCode, 200)
+  t.ok(Date.now() - start < 800, 'other routes are not')
+})
+
+test('the request body should only be read as fast as it is let through', async t => {
+  let read = 0
+  const fastify = await build(t, {
+    uploadRate: 256 * KB,
+    progressInterval: 0,
+    onProgress: (progress) => { read = progress.bytesReceived }
+  })
+  await fastify.listen({ port: 0, host: '127.0.0.1' })
+
+  const form = new FormData()
+  form.append('file', Buffer.alloc(1024 * KB, 1), { filename: 'file.bin' })
+  const body = form.getBuffer()
+  const response = new Promise((resolve, reject) => {
+    const req = http.request({
+      agent: false,
+      port: fastify.server.address().port,
+      host: '127.0.0.1',
+      method: 'POST',
+      path: '/upload',
+      headers: form.getHeaders({ 'content-length': body.length })
+    }, (res) => {
+      let data = ''
+      res.on('data', (chunk) => { data += chunk })
+      res.on('end', () => resolve(JSON.parse(data)))
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+
+  await sleep(500)
+  // About 384KB let through, plus what the streams in between hold
+  t.ok(read < 640 * KB, `${read} bytes read after 500ms`)
+
+  t.same(await response, { sizes: [1024 * KB] })
+})
+
+test('parts() should honour the upload rates', async t => {
+  const fastify = await build(t, {}, async (request) => {
+    const sizes = []
+    for await (const part of request.parts({ uploadRate: 64 * KB })) {
+      let size = 0
+      for await (const chunk of part.stream) {
+        size += chunk.length
+      }
+      sizes.push(size)
+    }
+    return { sizes }
+  })
+
+  const start = Date.now()
+  const response = await upload(fastify, 128 * KB)
+  const elapsed = Date.now() - start
+
+  t.same(response.json(), { sizes: [128 * KB] })
+  t.ok(elapsed >= 800, `took ${elapsed}ms`)
+})
+
+test('parts() should stop throttling once the consumer stops early', async t => {
+  const fastify = await build(t, { uploadRate: 64 * KB }, async (request) => {
+    for await (const part of request.parts()) {
+      return { fieldname: part.fieldname }
+    }
+  })
+
+  const response = await upload(fastify, 512 * KB)
+  t.same(response.json(), { fieldname: 'file' })
+})
+
+test('a throttled upload should be aborted when the client disconnects', async t => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-throttle-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  let settled
+  const result = new Promise((resolve) => { settled = resolve })
+  const fastify = await build(t, { storage: 'disk', tempDir, uploadRate: 64 * KB }, async (request) => {
+    try {
+      await request.parseMultipart()
+      settled('resolved')
+    } catch (err) {
+      settled(err.code)
+      throw err
+    }
+  })
+  await fastify.listen({ port: 0, host: '127.0.0.1' })
+
+  const form = new FormData()
+  form.append('file', Buffer.alloc(512 * KB), { filename: 'file.bin' })
+  const body = form.getBuffer()
+  const req = http.request({
+    agent: false,
+    port: fastify.server.address().port,
+    host: '127.0.0.1',
+    method: 'POST',
+    path: '/upload',
+    headers: form.getHeaders({ 'content-length': body.length })
+  })
+  req.on('error', () => {})
+  req.write(body.subarray(0, 256 * KB))
+  await sleep(300)
+  req.destroy()
+
+  t.equal(await result, 'FST_MULTIPART_REQUEST_ABORTED')
+  await sleep(50)
+  t.same(fs.readdirSync(tempDir), [], 'partial files were deleted')
+})
+
+test('should reject invalid upload rates at registration', async t => {
+  const invalid = [
+    [{ uploadRate: 0 }, /uploadRate must be a positive number of bytes per second/],
+    [{ totalUploadRate: '1mb' }, /totalUploadRate must be a positive number of bytes per second/]
+  ]
+  for (const [options, message] of invalid) {
+    const fastify = Fastify()
+    fastify.register(multipart, options)
+    await t.rejects(fastify.ready(), message)
+  }
+})
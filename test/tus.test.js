@@ -0,0 +1,271 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const multipart = require('../index')
+const { parseMetadata, serializeMetadata } = require('../lib/tus')
+
+const TUS = { 'tus-resumable': '1.0.0' }
+
+async function build (t, options = {}) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-tus-'))
+  t.teardown(() => fs.rmSync(tempDir, { recursive: true, force: true }))
+
+  const completed = []
+  const fastify = Fastify()
+  await fastify.register(multipart.tus, {
+    prefix: '/uploads',
+    tempDir,
+    async onComplete (file, request, reply) {
+      completed.push({
+        id: file.id,
+        filename: file.filename,
+        safeFilename: file.safeFilename,
+        mimetype: file.mimetype,
+        metadata: file.metadata,
+        size: file.size,
+        content: (await file.toBuffer()).toString()
+      })
+    },
+    ...options
+  })
+  t.teardown(() => fastify.close())
+
+  return { fastify, tempDir, completed }
+}
+
+function create (fastify, length, headers = {}) {
+  return fastify.inject({
+    method: 'POST',
+    url: '/uploads',
+    headers: {
+      ...TUS,
+      'upload-length': String(length),
+      'upload-metadata': serializeMetadata({ filename: 'report.txt', filetype: 'text/plain' }),
+      ...headers
+    }
+  })
+}
+
+function patch (fastify, location, offset, payload) {
+  return fastify.inject({
+    method: 'PATCH',
+    url: location,
+    headers: {
+      ...TUS,
+      'upload-offset': String(offset),
+      'content-type': 'application/offset+octet-stream'
+    },
+    payload
+  })
+}
+
+test('Upload-Metadata should round-trip', async t => {
+  const metadata = parseMetadata('filename d29ybGRfZG9taW5hdGlvbl9wbGFuLnBkZg==,is_confidential')
+  t.same(metadata, { filename: 'world_domination_plan.pdf', is_confidential: '' })
+  t.same(parseMetadata(serializeMetadata(metadata)), metadata)
+  t.throws(() => parseMetadata('filename not-base64!'), /Upload-Metadata/)
+})
+
+test('OPTIONS should advertise the supported protocol', async t => {
+  const { fastify } = await build(t, { maxSize: 1000 })
+
+  const response = await fastify.inject({ method: 'OPTIONS', url: '/uploads' })
+
+  t.equal(response.statusCode, 204)
+  t.equal(response.headers['tus-resumable'], '1.0.0')
+  t.equal(response.headers['tus-version'], '1.0.0')
+  t.equal(response.headers['tus-extension'], 'creation,creation-with-upload,termination,expiration')
+  t.equal(response.headers['tus-max-size'], '1000')
+
+  const { fastify: keeping } = await build(t, { expireAfter: null })
+  const kept = await keeping.inject({ method: 'OPTIONS', url: '/uploads' })
+  t.equal(kept.headers['tus-extension'], 'creation,creation-with-upload,termination')
+})
+
+test('should resume an upload across several PATCH requests', async t => {
+  const { fastify, completed } = await build(t)
+
+  const created = await create(fastify, 11)
+  t.equal(created.statusCode, 201)
+  const location = created.headers.location
+  t.match(location, /^\/uploads\/[a-f0-9]{32}$/)
+
+  const first = await patch(fastify, location, 0, Buffer.from('Hello'))
+  t.equal(first.statusCode, 204)
+  t.equal(first.headers['upload-offset'], '5')
+  t.same(completed, [])
+
+  // The client lost track of the offset and asks for it
+  const head = await fastify.inject({ method: 'HEAD', url: location, headers: TUS })
+  t.equal(head.statusCode, 200)
+  t.equal(head.headers['upload-offset'], '5')
+  t.equal(head.headers['upload-length'], '11')
+  t.equal(head.headers['cache-control'], 'no-store')
+  t.same(parseMetadata(head.headers['upload-metadata']), { filename: 'report.txt', filetype: 'text/plain' })
+
+  const second = await patch(fastify, location, 5, Buffer.from(' World'))
+  t.equal(second.statusCode, 204)
+  t.equal(second.headers['upload-offset'], '11')
+
+  t.same(completed, [{
+    id: location.split('/').pop(),
+    filename: 'report.txt',
+    safeFilename: 'report.txt',
+    mimetype: 'text/plain',
+    metadata: { filename: 'report.txt', filetype: 'text/plain' },
+    size: 11,
+    content: 'Hello World'
+  }])
+})
+
+test('should accept the first chunk with the creation request', async t => {
+  const { fastify, completed } = await build(t)
+
+  const empty = await create(fastify, 5, { 'content-type': 'application/offset+octet-stream' })
+  t.equal(empty.statusCode, 201)
+  t.equal(empty.headers['upload-offset'], '0')
+
+  const created = await fastify.inject({
+    method: 'POST',
+    url: '/uploads',
+    headers: { ...TUS, 'upload-length': '5', 'content-type': 'application/offset+octet-stream' },
+    payload: Buffer.from('Hello')
+  })
+
+  t.equal(created.statusCode, 201)
+  t.equal(created.headers['upload-offset'], '5')
+  t.equal(completed.length, 1)
+  t.equal(completed[0].content, 'Hello')
+})
+
+test('should reject PATCH requests at the wrong offset', async t => {
+  const { fastify } = await build(t)
+
+  const created = await create(fastify, 10)
+  const response = await patch(fastify, created.headers.location, 3, Buffer.from('abc'))
+
+  t.equal(response.statusCode, 409)
+  t.equal(response.json().code, 'FST_MULTIPART_TUS_OFFSET_MISMATCH')
+})
+
+test('should reject bytes beyond Upload-Length and keep what was written', async t => {
+  const { fastify } = await build(t)
+
+  const created = await create(fastify, 4)
+  const response = await patch(fastify, created.headers.location, 0, Buffer.from('too long'))
+
+  t.equal(response.statusCode, 413)
+  t.equal(response.json().code, 'FST_MULTIPART_TUS_SIZE_LIMIT')
+
+  const head = await fastify.inject({ method: 'HEAD', url: created.headers.location, headers: TUS })
+  t.equal(head.headers['upload-offset'], '0')
+})
+
+test('should enforce maxSize on creation', async t => {
+  const { fastify } = await build(t, { maxSize: 10 })
+
+  const response = await create(fastify, 11)
+
+  t.equal(response.statusCode, 413)
+})
+
+test('should require the Tus-Resumable header', async t => {
+  const { fastify } = await build(t)
+
+  const response = await fastify.inject({ method: 'POST', url: '/uploads', headers: { 'upload-length': '5' } })
+
+  t.equal(response.statusCode, 412)
+  t.equal(response.headers['tus-version'], '1.0.0')
+})
+
+test('should reject PATCH requests without the offset content type', async t => {
+  const { fastify } = await build(t)
+
+  const created = await create(fastify, 5)
+  const response = await fastify.inject({
+    method: 'PATCH',
+    url: created.headers.location,
+    headers: { ...TUS, 'upload-offset': '0', 'content-type': 'text/plain' },
+    payload: 'Hello'
+  })
+
+  t.equal(response.statusCode, 415)
+})
+
+test('a failed onComplete should run again when the client retries', async t => {
+  let attempts = 0
+  const { fastify, tempDir, completed } = await build(t, {
+    async onComplete (file) {
+      attempts++
+      if (attempts === 1) {
+        throw new Error('storage unavailable')
+      }
+      completed.push(file.id)
+      await fs.promises.rename(file.path, path.join(tempDir, 'kept.txt'))
+    }
+  })
+
+  const created = await create(fastify, 5)
+  const location = created.headers.location
+  const failed = await patch(fastify, location, 0, Buffer.from('Hello'))
+  t.equal(failed.statusCode, 500)
+  t.same(completed, [])
+
+  const retried = await patch(fastify, location, 5, Buffer.alloc(0))
+  t.equal(retried.statusCode, 204)
+  t.same(completed, [location.split('/').pop()])
+
+  // Completed uploads are not handed over twice, and keep their offset once moved away
+  const again = await patch(fastify, location, 5, Buffer.alloc(0))
+  t.equal(again.statusCode, 204)
+  t.equal(attempts, 2)
+  const head = await fastify.inject({ method: 'HEAD', url: location, headers: TUS })
+  t.equal(head.headers['upload-offset'], '5')
+  t.notOk(head.headers['upload-expires'])
+})
+
+test('uploads should be removed once they expire', async t => {
+  const { fastify, tempDir } = await build(t, { expireAfter: 200 })
+  await fastify.ready()
+
+  const unfinished = await create(fastify, 10)
+  t.match(unfinished.headers['upload-expires'], /^\w{3}, \d{2} \w{3} \d{4} [\d:]{8} GMT$/)
+  await patch(fastify, unfinished.headers.location, 0, Buffer.from('Hello'))
+  const finished = await create(fastify, 2)
+  await patch(fastify, finished.headers.location, 0, Buffer.from('OK'))
+  t.equal(fs.readdirSync(tempDir).length, 4)
+
+  await new Promise((resolve) => setTimeout(resolve, 500))
+
+  t.same(fs.readdirSync(tempDir), [], 'complete and unfinished uploads are removed')
+  const head = await fastify.inject({ method: 'HEAD', url: unfinished.headers.location, headers: TUS })
+  t.equal(head.statusCode, 404)
+})
+
+test('should reject an invalid expireAfter at registration', async t => {
+  const fastify = Fastify()
+  fastify.register(multipart.tus, { expireAfter: 0 })
+  await t.rejects(fastify.ready(), /expireAfter must be a positive number/)
+})
+
+test('DELETE should terminate an upload', async t => {
+  const { fastify, tempDir } = await build(t)
+
+  const created = await create(fastify, 5)
+  await patch(fastify, created.headers.location, 0, Buffer.from('He'))
+  t.equal(fs.readdirSync(tempDir).length, 2)
+
+  const deleted = await fastify.inject({ method: 'DELETE', url: created.headers.location, headers: TUS })
+  t.equal(deleted.statusCode, 204)
+  t.same(fs.readdirSync(tempDir), [])
+
+  const head = await fastify.inject({ method: 'HEAD', url: created.headers.location, headers: TUS })
+  t.equal(head.statusCode, 404)
+
+  const unknown = await fastify.inject({ method: 'HEAD', url: '/uploads/..%2F..%2Fetc', headers: TUS })
+  t.equal(unknown.statusCode, 404)
+})
@@ -0,0 +1,133 @@
+'use strict'
+
+const { test } = require('tap')
+const Fastify = require('fastify')
+const FormData = require('form-data')
+const multipart = require('../index')
+
+const schema = {
+  consumes: ['multipart/form-data'],
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 3 },
+      category: { type: 'string', enum: ['books', 'electronics'] },
+      image: { type: 'string', format: 'binary' },
+      attachments: { type: 'array', items: { type: 'string', format: 'binary' } }
+    },
+    required: ['name', 'image']
+  }
+}
+
+async function build (t, options = { validateBody: true }) {
+  const fastify = Fastify()
+  await fastify.register(multipart, options)
+
+  fastify.post('/products', { schema }, async (request, reply) => {
+    const { files, fields } = await request.parseMultipart()
+    return { name: fields.name, files: files.map(f => f.fieldname).sort() }
+  })
+
+  t.teardown(() => fastify.close())
+  return fastify
+}
+
+function inject (fastify, form) {
+  return fastify.inject({
+    method: 'POST',
+    url: '/products',
+    headers: form.getHeaders(),
+    payload: form
+  })
+}
+
+test('validateBody should accept a form matching the route schema', async t => {
+  const fastify = await build(t)
+
+  const form = new FormData()
+  form.append('name', 'Laptop')
+  form.append('category', 'electronics')
+  form.append('image', Buffer.from('fake image'), { filename: 'laptop.jpg' })
+  form.append('attachments', Buffer.from('manual'), { filename: 'manual.pdf' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { name: 'Laptop', files: ['attachments', 'image'] })
+})
+
+test('validateBody should reject missing text fields with a Fastify validation error', async t => {
+  const fastify = await build(t)
+
+  const form = new FormData()
+  form.append('image', Buffer.from('fake image'), { filename: 'laptop.jpg' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 400)
+  t.same(response.json(), {
+    statusCode: 400,
+    code: 'FST_ERR_VALIDATION',
+    error: 'Bad Request',
+    message: "body must have required property 'name'"
+  })
+})
+
+test('validateBody should treat binary properties as file slots', async t => {
+  const fastify = await build(t)
+
+  const form = new FormData()
+  form.append('name', 'Laptop')
+  form.append('image', 'not a file')
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 400)
+  t.equal(response.json().message, "body must have required property 'image'")
+})
+
+test('validateBody should enforce property constraints', async t => {
+  const fastify = await build(t)
+
+  const form = new FormData()
+  form.append('name', 'Laptop')
+  form.append('category', 'toys')
+  form.append('image', Buffer.from('fake image'), { filename: 'laptop.jpg' })
+
+  const response = await inject(fastify, form)
+
+  t.equal(response.statusCode, 400)
+  t.match(response.json().message, /body\/category must be equal to one of the allowed values/)
+})
+
+test('validateBody should keep parsed fields as plain strings', async t => {
+  const fastify = Fastify()
+  await fastify.register(multipart, { validateBody: true })
+  t.teardown(() => fastify.close())
+
+  fastify.post('/items', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: { quantity: { type: 'integer' } },
+        required: ['quantity']
+      }
+    }
+  }, async (request, reply) => {
+    const { fields } = await request.parseMultipart()
+    return { quantity: fields.quantity, type: typeof fields.quantity }
+  })
+
+  const form = new FormData()
+  form.append('quantity', '5')
+
+  const response = await fastify.inject({
+    method: 'POST',
+    url: '/items',
+    headers: form.getHeaders(),
+    payload: form
+  })
+
+  t.equal(response.statusCode, 200)
+  t.same(response.json(), { quantity: '5', type: 'string' })
+})